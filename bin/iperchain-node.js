@@ -7,9 +7,102 @@
  * It simulates a blockchain node with basic RPC capabilities.
  */
 
+const fs = require('fs');
 const http = require('http');
+const path = require('path');
 const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
 const IperChainP2PNode = require('../network/p2p-node');
+const ChainStore = require('../chain/storage');
+const { EMPTY_ROOT, computeTransactionsRoot, computeReceiptsRoot, computeStateRoot, computeBlockHash } = require('../chain/block');
+const {
+  generateAuthorityKey,
+  loadKeyFile,
+  saveKeyFile,
+  loadRegistry,
+  createDevAuthorities,
+  signBlockHash,
+  verifyBlockSignature
+} = require('../chain/authority');
+const { createVote, FinalityTracker } = require('../chain/finality');
+const {
+  getProposerSlot,
+  getBlockDifficulty,
+  descendsFrom,
+  selectBestHead,
+  findReorg,
+  orphanedTransactions
+} = require('../chain/fork-choice');
+const TxPool = require('../chain/mempool');
+const FilterManager = require('../chain/filters');
+const { decodeRawTransaction, verifyTransaction, isSignedTransaction, signTransaction, privateKeyToAddress } = require('../chain/transaction');
+const { Keystore, signPersonalMessage, recoverPersonalMessage } = require('../chain/keystore');
+const { createEventLogs, logsBloom, normalizeLogFilter, matchesLogFilter } = require('../chain/events');
+const { ExecutionAborted, decodeDeployment, runContract } = require('../chain/contracts');
+
+// Maximum number of headers or bodies exchanged in one sync request
+const SYNC_BATCH_SIZE = 64;
+
+// Bytes of block bodies in one sync reply, well below the largest reply peers
+// read (network/p2p-node.js); a single body always fits
+const SYNC_BODIES_SIZE = 16 * 1024 * 1024;
+
+// Gas available to the transactions of one block
+const BLOCK_GAS_LIMIT = 0x1000000;
+
+// Gas costs, as in Ethereum: every transaction pays a base cost plus its
+// calldata, contract creations pay for creating the account and for every
+// byte of code they store, event logs for their topics and data, contract
+// code for its storage access, hashing and ABI coding
+const GAS_COSTS = {
+  transaction: 21000,
+  contractCreation: 32000,
+  zeroDataByte: 4,
+  nonZeroDataByte: 16,
+  codeDepositByte: 200,
+  log: 375,
+  logTopic: 375,
+  logDataByte: 8,
+  storageRead: 2100,
+  storageWrite: 20000, // A zero slot becomes non-zero
+  storageUpdate: 5000,
+  hash: 30,
+  hashWord: 6,
+  abiWord: 3, // Per 32 bytes encoded or decoded by a contract
+  step: 20, // Per loop iteration or function call of a contract
+  builtinItem: 1 // Per character, element or byte a built-in function of a contract is given or returns
+};
+
+// Gas of the contract runs that RPC callers ask for without a transaction
+// (eth_call, eth_estimateGas): nobody pays for them
+const RPC_GAS_CAP = 0x200000;
+
+// Maximum number of blocks eth_getLogs searches in one request
+const MAX_LOG_BLOCK_RANGE = 10000;
+
+// Address credited when no block producer is known (gas estimates)
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Fixed values of Ethereum block fields that IperChain does not use
+const ZERO_HASH = '0x' + '0'.repeat(64);
+const EMPTY_UNCLES_HASH = '0x1dcc4de8dec75d7aab85b567b6ccd41ad312451b948a7413f0a142fd40d49347'; // keccak256(rlp([]))
+
+// Fixed genesis timestamp, so that every start (and every node) has the same genesis block
+const GENESIS_TIMESTAMP = 1735689600; // 2025-01-01T00:00:00Z
+
+// Development faucet: a well-known key, funded by the default genesis
+// allocation, that tops up the accounts of the actor CLIs (iperchain_fund).
+// A network started with a --genesis file that does not fund it has no faucet.
+const DEV_FAUCET_KEY = '0x' + crypto.createHash('sha256').update('iperchain development faucet').digest('hex');
+const DEV_FAUCET_ADDRESS = privateKeyToAddress(DEV_FAUCET_KEY);
+
+// Balance in wei the faucet tops an account up to (10 ETH)
+const DEV_FAUCET_AMOUNT = 10n ** 19n;
+
+// Genesis allocation without a --genesis file: 1,000,000 ETH to the faucet
+const DEFAULT_GENESIS_ALLOC = {
+  [DEV_FAUCET_ADDRESS]: { balance: (10n ** 24n).toString() }
+};
 
 // --- PoA Simulation Start ---
 // Define the list of Authority addresses (using existing test accounts)
@@ -19,489 +112,2302 @@ const AUTHORITIES = [
   '0x456f681646d4a755815f9cb19e1acc8565a0c2ac', // Associated with Retailer CLI
   '0x999f681646d4a755815f9cb19e1acc8565a0c2ac'  // Associated with Contract Creator CLI
 ];
-let currentAuthorityIndex = 0;
+
+// Consensus parameters in seconds (overridable from the command line).
+// Every node of the network must use the same values.
+const consensusConfig = {
+  blockPeriod: 2, // Minimum time between a block and its parent
+  maxClockDrift: 15, // Maximum time a block timestamp may be ahead of the local clock
+  turnTimeout: 10 // Back-off of each authority before the next one may propose in its place
+};
 // --- PoA Simulation End ---
 
 // Blockchain state
 const state = {
-  blocks: [],
+  blocks: [], // Canonical chain, indexed by block number
+  blockIndex: {}, // Block hash -> block, for every known block on any branch
+  chainTips: new Set(), // Hashes of the blocks of blockIndex without children
+  executions: {}, // Block hash -> { world, receipts } after executing the block
+  reorgs: [], // Recent chain reorganisations, for clients
   transactions: [],
-  pendingTransactions: [],
+  receipts: {},
+  txPool: null, // Transactions waiting to be included in a block
+  keystore: null, // Encrypted accounts the node signs transactions for
+  filters: null, // Polling filters installed by clients
   contracts: {},
   accounts: {},
   nextBlockNumber: 0,
   mining: false,
   miningInterval: null,
+  proposing: false, // A block of ours is being proposed to the other authorities
+  mineAgain: false, // mineBlock() was called during the proposal
+  store: null, // On-disk chain store
+  authorityRegistry: {}, // Authority address (lowercase) -> public key
+  authorityKeys: {}, // Authority address (lowercase) -> key pair held by this node
+  finality: null, // Votes of the authorities on recent blocks
+  finalized: null, // Latest final block: { number, hash, certificate }
+  lastVotedNumber: {}, // Authority address (lowercase) -> highest block number it voted for
+  turnStartedAt: Date.now(), // When this node started waiting for the next block
+  waitingForBlock: null, // Block number we last logged waiting for
+  syncing: false, // Catching up with peers; no blocks are produced meanwhile
+  syncProgress: null, // { startingBlock, currentBlock, highestBlock } while syncing
+  genesisAlloc: DEFAULT_GENESIS_ALLOC, // Address (lowercase) -> { balance } at genesis
   p2pNode: null // P2P node instance
 };
 
+// Genesis allocation of a --genesis file, in the format of geth:
+// { "alloc": { "<address>": { "balance": "<wei, decimal or 0x hex>" } } }
+function loadGenesisAlloc(file) {
+  const { alloc } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  
+  if (!alloc || typeof alloc !== 'object' || Array.isArray(alloc)) {
+    throw new Error(`${file} has no alloc object`);
+  }
+  
+  const genesisAlloc = {};
+  Object.entries(alloc).forEach(([address, entry]) => {
+    if (!/^0x[0-9a-f]{40}$/i.test(address)) {
+      throw new Error(`invalid address ${address} in ${file}`);
+    }
+    if (!entry || !/^(0x[0-9a-f]+|[0-9]+)$/i.test(entry.balance)) {
+      throw new Error(`invalid balance of ${address} in ${file}`);
+    }
+    genesisAlloc[address.toLowerCase()] = { balance: BigInt(entry.balance).toString() };
+  });
+  
+  return genesisAlloc;
+}
+
+// World state of the genesis block
+function createGenesisWorld() {
+  const accounts = {};
+  
+  Object.entries(state.genesisAlloc).forEach(([address, { balance }]) => {
+    accounts[address] = { balance, nonce: 0 };
+  });
+  
+  return { accounts, contracts: {} };
+}
+
 // Initialize genesis block
 function initGenesisBlock() {
-  const timestamp = Math.floor(Date.now() / 1000);
+  const world = createGenesisWorld();
+  const timestamp = GENESIS_TIMESTAMP;
   const genesisBlock = {
-    number: 0,
-    hash: '0x' + crypto.createHash('sha256').update(`genesis-${timestamp}`).digest('hex'),
-    parentHash: '0x0000000000000000000000000000000000000000000000000000000000000000',
-    timestamp,
+    number: '0x0',
+    parentHash: ZERO_HASH,
+    timestamp: '0x' + timestamp.toString(16),
     transactions: [],
+    transactionsRoot: EMPTY_ROOT,
+    stateRoot: computeStateRoot(world),
     miner: '0x0000000000000000000000000000000000000000',
     difficulty: '0x1',
     totalDifficulty: '0x1',
     size: '0x0',
     gasUsed: '0x0',
-    gasLimit: '0x1000000'
+    gasLimit: '0x' + BLOCK_GAS_LIMIT.toString(16)
   };
+  genesisBlock.hash = computeBlockHash(genesisBlock);
   
   state.blocks.push(genesisBlock);
+  state.blockIndex[genesisBlock.hash] = genesisBlock;
+  state.chainTips = new Set([genesisBlock.hash]);
+  state.executions[genesisBlock.hash] = { world, receipts: [] };
+  state.accounts = world.accounts;
+  state.contracts = world.contracts;
   state.nextBlockNumber = 1;
+  state.finalized = { number: 0, hash: genesisBlock.hash, certificate: [] };
   
-  // Initialize test accounts
-  state.accounts['0x742d35Cc6634C0532925a3b844Bc454e4438f44e'] = {
-    balance: '1000000000000000000000', // 1000 ETH
-    nonce: 0
-  };
+  state.store.saveBlock(genesisBlock, []);
+  persistState();
   
-  state.accounts['0x123f681646d4a755815f9cb19e1acc8565a0c2ac'] = {
-    balance: '1000000000000000000000', // 1000 ETH
-    nonce: 0
-  };
+  console.log('Genesis block created:', genesisBlock.hash);
+}
+
+// Load the chain from the data directory, or create it on first start
+function initChain(datadir) {
+  state.store = new ChainStore(datadir);
+  state.store.open();
   
-  state.accounts['0x456f681646d4a755815f9cb19e1acc8565a0c2ac'] = {
-    balance: '1000000000000000000000', // 1000 ETH
-    nonce: 0
-  };
+  const saved = state.store.load();
+  
+  if (!saved) {
+    initGenesisBlock();
+    return;
+  }
+  
+  // Blocks are re-executed from genesis after a reorg, so the genesis state
+  // must be the one the chain was started with
+  if (saved.blocks[0].stateRoot !== computeStateRoot(createGenesisWorld())) {
+    throw new Error(`the chain in ${state.store.datadir} was started with another genesis allocation: use the same --genesis file, or a new data directory`);
+  }
+  
+  const head = saved.blocks[saved.blocks.length - 1];
+  
+  state.blocks = saved.blocks;
+  saved.blocks.forEach(block => {
+    state.blockIndex[block.hash] = block;
+    
+    // Blocks are stored before they join the chain, without these fields
+    block.transactions.forEach(tx => {
+      tx.blockNumber = '0x' + Number(block.number).toString(16);
+      tx.blockHash = block.hash;
+    });
+  });
   
-  state.accounts['0x999f681646d4a755815f9cb19e1acc8565a0c2ac'] = {
-    balance: '1000000000000000000000', // 1000 ETH
-    nonce: 0
+  // Blocks of the other branches, so that the fork choice can still switch to them
+  saved.branches.forEach(block => {
+    if (state.blockIndex[block.parentHash]) {
+      state.blockIndex[block.hash] = block;
+    }
+  });
+  state.chainTips = new Set(Object.keys(state.blockIndex));
+  Object.values(state.blockIndex).forEach(block => {
+    state.chainTips.delete(block.parentHash);
+  });
+  state.receipts = saved.receipts;
+  state.accounts = saved.accounts;
+  state.contracts = saved.contracts;
+  state.executions[head.hash] = {
+    world: { accounts: saved.accounts, contracts: saved.contracts },
+    receipts: head.transactions.map(tx => saved.receipts[tx.hash])
   };
+  state.finalized = saved.finalized || { number: 0, hash: saved.blocks[0].hash, certificate: [] };
+  state.transactions = saved.blocks.flatMap(block => block.transactions);
+  state.nextBlockNumber = saved.blocks.length;
   
-  console.log('Genesis block created:', genesisBlock.hash);
+  console.log(`Loaded ${saved.blocks.length} blocks from ${state.store.datadir}. Head: ${saved.blocks[saved.blocks.length - 1].hash}`);
+}
+
+// Load the authority registry and the signing key of this node.
+// With --authority or --authority-key the node validates as that single authority.
+// Without them it runs as a development network and signs for every authority
+// whose key is in <datadir>/keys.
+function initAuthorities({ datadir, registryFile, authority, authorityKeyFile }) {
+  const keysDir = path.join(datadir, 'keys');
+  
+  if (!fs.existsSync(registryFile)) {
+    if (authority || authorityKeyFile) {
+      throw new Error(`Authority registry not found: ${registryFile}`);
+    }
+    
+    console.log(`No authority registry at ${registryFile}, creating development keys for all authorities`);
+    createDevAuthorities(keysDir, registryFile, AUTHORITIES);
+  }
+  
+  state.authorityRegistry = loadRegistry(registryFile);
+  state.finality = new FinalityTracker(AUTHORITIES, state.authorityRegistry);
+  
+  if (authority || authorityKeyFile) {
+    const keyFile = authorityKeyFile || path.join(keysDir, `${authority.toLowerCase()}.json`);
+    const key = loadKeyFile(keyFile);
+    
+    if (authority && key.address !== authority.toLowerCase()) {
+      throw new Error(`Key file ${keyFile} belongs to ${key.address}, not ${authority}`);
+    }
+    
+    if (!AUTHORITIES.some(address => address.toLowerCase() === key.address)) {
+      throw new Error(`${key.address} is not an authority`);
+    }
+    
+    if (state.authorityRegistry[key.address] !== key.publicKey) {
+      throw new Error(`Public key of ${key.address} does not match the authority registry`);
+    }
+    
+    state.authorityKeys[key.address] = key;
+    console.log('Validating as authority:', key.address);
+    return;
+  }
+  
+  if (fs.existsSync(keysDir)) {
+    fs.readdirSync(keysDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const key = loadKeyFile(path.join(keysDir, file));
+        state.authorityKeys[key.address] = key;
+      });
+  }
+  
+  console.log('Development mode, signing for authorities:', Object.keys(state.authorityKeys).join(', ') || 'none');
+}
+
+// Write the current head, accounts and contracts to disk
+function persistState() {
+  state.store.saveState({
+    headHash: state.blocks[state.blocks.length - 1].hash,
+    finalized: state.finalized,
+    accounts: state.accounts,
+    contracts: state.contracts
+  });
 }
 
 // Initialize P2P node
-async function initP2PNode(port) {
+async function initP2PNode({ port, datadir, bootstrapList }) {
   state.p2pNode = new IperChainP2PNode({
     port: port + 1, // Use port+1 for P2P to avoid conflict with RPC
-    bootstrapList: [] // In production, this would contain known peers
+    bootstrapList, // Known peers (multiaddrs with /p2p/<peer id>)
+    peerIdFile: path.join(datadir, 'peer-id.json')
+  });
+
+  // Set up message handlers
+  state.p2pNode.setMessageHandlers({
+    transaction: (tx) => {
+      console.log('Received transaction from network:', tx.hash);
+      if (validateTransaction(tx)) {
+        try {
+          addPendingTransaction(tx);
+        } catch (error) {
+          rejectTransaction(tx, error.message);
+        }
+      }
+    },
+    block: async (block) => {
+      try {
+        console.log('Received block from network:', block.hash);
+        // Validate and add block if valid
+        if (await validateBlock(block)) {
+          addBlock(block);
+        }
+      } catch (error) {
+        console.error('Error handling block from network:', error.message);
+      }
+    },
+    consensus: (msg) => {
+      handleConsensusMessage(msg).catch(error => {
+        console.error('Error handling consensus message:', error.message);
+      });
+    }
+  });
+
+  await state.p2pNode.init();
+  state.p2pNode.handleSyncRequests(handleSyncRequest);
+}
+
+// Header of a block: everything but the transactions
+function toHeader(block) {
+  const { transactions, ...header } = block;
+  return header;
+}
+
+// Answer a block sync request from a peer
+function handleSyncRequest(request) {
+  const head = state.blocks[state.blocks.length - 1];
+  
+  switch (request.type) {
+    case 'STATUS':
+      return {
+        head: { number: Number(head.number), hash: head.hash, totalDifficulty: head.totalDifficulty },
+        finalized: state.finalized
+      };
+    
+    case 'GET_HEADERS':
+      // Canonical headers from block number `from`
+      const from = Math.max(0, Number(request.from) || 0);
+      const count = Math.min(Math.max(0, Number(request.count) || 0), SYNC_BATCH_SIZE);
+      return state.blocks.slice(from, from + count).map(toHeader);
+    
+    case 'GET_BODIES': {
+      // Transactions of the requested blocks, null for unknown blocks; the
+      // first ones that fit in SYNC_BODIES_SIZE bytes
+      const hashes = Array.isArray(request.hashes) ? request.hashes.slice(0, SYNC_BATCH_SIZE) : [];
+      const bodies = [];
+      let size = 0;
+      
+      for (const hash of hashes) {
+        const body = state.blockIndex[hash] ? state.blockIndex[hash].transactions : null;
+        size += JSON.stringify(body).length;
+        if (bodies.length > 0 && size > SYNC_BODIES_SIZE) {
+          break;
+        }
+        bodies.push(body);
+      }
+      return bodies;
+    }
+    
+    default:
+      return { error: `Unknown sync request: ${request.type}` };
+  }
+}
+
+// Whether a STATUS reply of a peer has a usable head
+function isValidSyncStatus(status) {
+  return Boolean(status) && typeof status === 'object' &&
+    Boolean(status.head) && typeof status.head === 'object' &&
+    Number.isSafeInteger(Number(status.head.number)) && Number(status.head.number) >= 0 &&
+    Number.isFinite(Number(status.head.totalDifficulty));
+}
+
+// Catch up with the peer that has the heaviest chain
+async function syncWithPeers() {
+  if (!state.p2pNode || state.syncing) {
+    return;
+  }
+  
+  state.syncing = true;
+  
+  try {
+    const statuses = [];
+    
+    for (const peer of state.p2pNode.getConnectedPeers()) {
+      try {
+        const status = await state.p2pNode.sendSyncRequest(peer, { type: 'STATUS' });
+        
+        if (!isValidSyncStatus(status)) {
+          console.log(`Ignored malformed sync status from peer ${peer}`);
+          continue;
+        }
+        statuses.push({ peer, status });
+      } catch (error) {
+        console.log(`Could not get sync status from peer ${peer}:`, error.message);
+      }
+    }
+    
+    statuses.sort((a, b) => Number(b.status.head.totalDifficulty) - Number(a.status.head.totalDifficulty));
+    
+    for (const { peer, status } of statuses) {
+      const head = state.blocks[state.blocks.length - 1];
+      
+      if (Number(status.head.totalDifficulty) <= Number(head.totalDifficulty)) {
+        break;
+      }
+      
+      try {
+        await syncFromPeer(peer, status);
+      } catch (error) {
+        console.log(`Sync from peer ${peer} failed:`, error.message);
+      }
+    }
+  } finally {
+    state.syncing = false;
+    state.syncProgress = null;
+  }
+}
+
+// Download and import the chain of a peer, starting from our latest final block
+async function syncFromPeer(peer, status) {
+  const highestBlock = Number(status.head.number);
+  let from = state.finalized.number;
+  
+  console.log(`Syncing with peer ${peer} from block #${from} to #${highestBlock}`);
+  state.syncProgress = {
+    startingBlock: state.blocks.length - 1,
+    currentBlock: state.blocks.length - 1,
+    highestBlock
+  };
+  
+  while (from <= highestBlock) {
+    const headers = await state.p2pNode.sendSyncRequest(peer, { type: 'GET_HEADERS', from, count: SYNC_BATCH_SIZE });
+    
+    if (!Array.isArray(headers) || headers.length === 0) {
+      break;
+    }
+    
+    if (!headers.every(header => header !== null && typeof header === 'object' && typeof header.hash === 'string')) {
+      console.log(`Sync from peer ${peer} stopped at malformed headers`);
+      return;
+    }
+    
+    if (from === state.finalized.number && headers[0].hash !== state.finalized.hash) {
+      console.log(`Peer ${peer} is on a chain that conflicts with our final block #${from}`);
+      return;
+    }
+    
+    const missing = headers.filter(header => !state.blockIndex[header.hash]);
+    
+    // A reply may hold only the first bodies: ask again for the rest
+    const bodies = [];
+    while (bodies.length < missing.length) {
+      const reply = await state.p2pNode.sendSyncRequest(peer, {
+        type: 'GET_BODIES',
+        hashes: missing.slice(bodies.length).map(header => header.hash)
+      });
+      
+      if (!Array.isArray(reply) || reply.length === 0) {
+        console.log(`Sync from peer ${peer} stopped at malformed block bodies`);
+        return;
+      }
+      bodies.push(...reply.slice(0, missing.length - bodies.length));
+    }
+    
+    for (let i = 0; i < missing.length; i++) {
+      const block = { ...missing[i], transactions: bodies[i] };
+      
+      // validateBlock() checks the header hash, signature and roots against the body
+      if (!Array.isArray(bodies[i]) || !(await validateBlock(block))) {
+        console.log(`Sync from peer ${peer} stopped at invalid block #${Number(missing[i].number)}`);
+        return;
+      }
+      
+      addBlock(block);
+    }
+    
+    from += headers.length;
+    state.syncProgress.currentBlock = state.blocks.length - 1;
+  }
+  
+  // Finalize with the peer's commit certificate, in case we missed the COMMIT messages
+  const { finalized } = status;
+  const finalBlock = finalized && typeof finalized === 'object' && state.blockIndex[finalized.hash];
+  
+  if (finalBlock && Number(finalBlock.number) > state.finalized.number &&
+      state.finality.verifyCertificate(finalBlock.number, finalBlock.hash, finalized.certificate)) {
+    finalizeBlock(finalBlock, finalized.certificate.map(({ voter, signature }) => ({ voter, signature })));
+  }
+  
+  console.log(`Synced with peer ${peer}, head is block #${state.blocks.length - 1}`);
+}
+
+// Sync before producing blocks, once the first peers had time to connect
+async function initialSync(waitSeconds) {
+  state.syncing = true;
+  
+  const deadline = Date.now() + waitSeconds * 1000;
+  while (Date.now() < deadline && state.p2pNode.getConnectedPeers().length === 0) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  
+  state.syncing = false;
+  
+  if (state.p2pNode.getConnectedPeers().length === 0) {
+    console.log('No peers connected, starting from the local chain');
+    return;
+  }
+  
+  await syncWithPeers().catch(error => {
+    console.error('Initial sync failed:', error.message);
+  });
+}
+
+// Log why a block was rejected
+function rejectBlock(block, reason) {
+  console.log(`Rejected block #${Number(block.number)} (${block.hash}): ${reason}`);
+  return false;
+}
+
+// Validate received block
+async function validateBlock(block) {
+  // Basic validation: the shape of the block, before any of its fields is used
+  if (!block || typeof block !== 'object' ||
+      typeof block.hash !== 'string' || typeof block.parentHash !== 'string' || typeof block.miner !== 'string' ||
+      !Array.isArray(block.transactions) || !block.transactions.every(tx => tx !== null && typeof tx === 'object')) {
+    return rejectBlock(block || {}, 'malformed block');
+  }
+  
+  // Check if we have the parent block
+  const parentBlock = state.blockIndex[block.parentHash];
+  if (!parentBlock) {
+    // We are missing blocks: catch up with our peers
+    if (!state.syncing) {
+      setTimeout(() => syncWithPeers().catch(error => {
+        console.error('Sync with peers failed:', error.message);
+      }), 0);
+    }
+    return rejectBlock(block, 'unknown parent');
+  }
+  if (Number(block.number) !== Number(parentBlock.number) + 1) {
+    return rejectBlock(block, 'block number does not follow its parent');
+  }
+  
+  // Final blocks can never be replaced
+  if (!descendsFrom(state.blockIndex, parentBlock, state.finalized)) {
+    return rejectBlock(block, `conflicts with final block #${state.finalized.number}`);
+  }
+  
+  // Verify block proposer is a valid authority
+  if (!AUTHORITIES.includes(block.miner)) return rejectBlock(block, 'miner is not an authority');
+  
+  // Verify the proposer schedule and the block timing
+  const timestamp = Number(block.timestamp);
+  const slot = getProposerSlot(AUTHORITIES, block.miner, Number(block.number));
+  
+  if (timestamp > Math.floor(Date.now() / 1000) + consensusConfig.maxClockDrift) {
+    return rejectBlock(block, 'timestamp is too far in the future');
+  }
+  
+  if (timestamp < getEarliestTimestamp(parentBlock, slot)) {
+    return rejectBlock(block, slot === 0
+      ? 'produced before the minimum block period'
+      : `out-of-turn block (backup #${slot} of ${getInTurnAuthority(Number(block.number))}) produced before its back-off`);
+  }
+  
+  // Verify the fork-choice weight: in-turn blocks weigh more than out-of-turn ones
+  const difficulty = getBlockDifficulty(slot);
+  if (Number(block.difficulty) !== difficulty) {
+    return rejectBlock(block, 'difficulty does not match the proposer slot');
+  }
+  
+  if (Number(block.totalDifficulty) !== Number(parentBlock.totalDifficulty) + difficulty) {
+    return rejectBlock(block, 'totalDifficulty does not follow its parent');
+  }
+  
+  if (Number(block.gasLimit) !== BLOCK_GAS_LIMIT) {
+    return rejectBlock(block, `gasLimit must be 0x${BLOCK_GAS_LIMIT.toString(16)}`);
+  }
+  
+  // Verify the header commits to the block content
+  if (block.transactionsRoot !== computeTransactionsRoot(block.transactions)) {
+    return rejectBlock(block, 'transactionsRoot does not match the transactions');
+  }
+  
+  if (block.hash !== computeBlockHash(block)) {
+    return rejectBlock(block, 'hash does not match the header');
+  }
+  
+  const forged = block.transactions.find(tx => !isSignedTransaction(tx) || !verifyTransaction(tx));
+  if (forged) {
+    return rejectBlock(block, `invalid signature on transaction ${forged.hash}`);
+  }
+  
+  // Verify the block was signed by the authority it claims to come from
+  const publicKey = state.authorityRegistry[block.miner.toLowerCase()];
+  if (!publicKey) return rejectBlock(block, 'no public key registered for the miner');
+  if (!block.signature) return rejectBlock(block, 'missing authority signature');
+  if (!verifyBlockSignature(block.hash, block.signature, publicKey)) {
+    return rejectBlock(block, 'invalid authority signature');
+  }
+  
+  // Verify the state transition on top of the parent state; the result is
+  // only cached once the block is accepted
+  let execution;
+  try {
+    execution = executeBlock(block, getExecution(parentBlock).world);
+  } catch (error) {
+    return rejectBlock(block, error.message);
+  }
+  
+  if (block.stateRoot !== computeStateRoot(execution.world)) {
+    return rejectBlock(block, 'stateRoot does not match the executed transactions');
+  }
+  
+  const { receipts } = execution;
+  const gasUsed = receipts.length > 0 ? Number(receipts[receipts.length - 1].cumulativeGasUsed) : 0;
+  if (Number(block.gasUsed) !== gasUsed) {
+    return rejectBlock(block, 'gasUsed does not match the executed transactions');
+  }
+  
+  state.executions[block.hash] = execution;
+  return true;
+}
+
+// Add validated block to the block tree and follow the heaviest branch
+function addBlock(block) {
+  // Check if we already have this block
+  if (state.blockIndex[block.hash]) return;
+  
+  // Execute the block and persist it before the state that may point to it
+  const { receipts } = getExecution(block);
+  state.blockIndex[block.hash] = block;
+  state.chainTips.delete(block.parentHash);
+  state.chainTips.add(block.hash);
+  state.store.saveBlock(block, receipts);
+  
+  console.log(`Added block #${Number(block.number)} to block tree. Hash: ${block.hash}`);
+  
+  updateHead();
+  
+  // Vote for the block with the authority keys we hold if it is on our chain,
+  // and check whether votes received before the block already finalize it
+  if (isCanonical(block)) {
+    castVotes(block);
+  }
+  checkFinality(block.hash);
+}
+
+// Whether a block is part of the canonical chain
+function isCanonical(block) {
+  const canonical = state.blocks[Number(block.number)];
+  return Boolean(canonical) && canonical.hash === block.hash;
+}
+
+// Move the canonical chain to the best head, reorganising if it is on another branch
+function updateHead() {
+  const oldHead = state.blocks[state.blocks.length - 1];
+  const newHead = selectBestHead(state.blockIndex, oldHead, state.chainTips, state.finalized);
+  
+  if (newHead.hash === oldHead.hash) {
+    return;
+  }
+  
+  const { ancestor, reverted, connected: newBranch } = findReorg(state.blocks, state.blockIndex, newHead);
+  const ancestorNumber = Number(ancestor.number);
+  
+  // Disconnect the blocks of the old branch
+  const revertedHashes = new Set();
+  reverted.slice().reverse().forEach(block => {
+    state.filters.removeBlock(block, getExecution(block).receipts.flatMap(receipt => receipt.logs));
+  });
+  reverted.forEach(block => {
+    block.transactions.forEach(tx => {
+      revertedHashes.add(tx.hash);
+      delete state.receipts[tx.hash];
+    });
+  });
+  state.blocks = state.blocks.slice(0, ancestorNumber + 1);
+  state.transactions = state.transactions.filter(tx => !revertedHashes.has(tx.hash));
+  
+  // Connect the blocks of the new branch
+  newBranch.forEach(block => {
+    const { receipts } = getExecution(block);
+    
+    block.transactions.forEach(tx => {
+      tx.blockNumber = '0x' + Number(block.number).toString(16);
+      tx.blockHash = block.hash;
+      
+      if (tx.contractAddress) {
+        console.log(`Contract created at: ${tx.contractAddress}`);
+      }
+    });
+    receipts.forEach(receipt => {
+      state.receipts[receipt.transactionHash] = receipt;
+    });
+    
+    state.blocks.push(block);
+    state.transactions = [...state.transactions, ...block.transactions];
+    state.filters.addBlock(formatBlock(block, false), receipts.flatMap(receipt => receipt.logs));
+  });
+  
+  const { world } = getExecution(newHead);
+  state.accounts = world.accounts;
+  state.contracts = world.contracts;
+  state.nextBlockNumber = Number(newHead.number) + 1;
+  state.turnStartedAt = Date.now();
+  
+  // Remove included transactions from pending, and give the transactions
+  // of the old branch that did not make it into the new one another chance
+  const orphaned = orphanedTransactions(reverted, newBranch);
+  
+  orphaned.forEach(tx => {
+    try {
+      state.txPool.add(tx);
+    } catch (error) {
+      console.log(`Dropped transaction ${tx.hash} of the old branch: ${error.message}`);
+    }
   });
+  state.txPool.prune();
+  
+  persistState();
+  
+  if (reverted.length > 0) {
+    const reorg = {
+      timestamp: Math.floor(Date.now() / 1000),
+      depth: reverted.length,
+      commonAncestor: { number: '0x' + ancestorNumber.toString(16), hash: ancestor.hash },
+      oldHead: { number: '0x' + Number(oldHead.number).toString(16), hash: oldHead.hash },
+      newHead: { number: '0x' + Number(newHead.number).toString(16), hash: newHead.hash },
+      revertedBlocks: reverted.map(block => block.hash),
+      reinjectedTransactions: orphaned.map(tx => tx.hash)
+    };
+    
+    state.reorgs = [...state.reorgs, reorg].slice(-100);
+    console.log(`Chain reorganisation: ${reverted.length} block(s) reverted from #${ancestorNumber + 1}, new head #${Number(newHead.number)} (${newHead.hash}), ${orphaned.length} transaction(s) back to pending`);
+  } else {
+    console.log(`New head #${Number(newHead.number)}. Hash: ${newHead.hash}`);
+  }
+}
+
+// Execution result ({ world, receipts }) of a block, executing it and any
+// ancestors whose result is not cached on top of their parent state
+function getExecution(block) {
+  const toExecute = [];
+  let current = block;
+  
+  while (!state.executions[current.hash]) {
+    if (Number(current.number) === 0) {
+      state.executions[current.hash] = { world: createGenesisWorld(), receipts: [] };
+      break;
+    }
+    
+    toExecute.unshift(current);
+    current = state.blockIndex[current.parentHash];
+  }
+  
+  toExecute.forEach(b => {
+    state.executions[b.hash] = executeBlock(b, state.executions[b.parentHash].world);
+  });
+  
+  return state.executions[block.hash];
+}
+
+// Execution result ({ world, receipts }) of a block on top of the world state
+// of its parent, without caching it
+function executeBlock(block, parentWorld) {
+  const { world, results } = executeTransactions(parentWorld, block.transactions, block.miner);
+  return {
+    world,
+    receipts: block.transactions.map((tx, index) => createReceipt(tx, index, block, results[index]))
+  };
+}
+
+// Handle consensus messages
+async function handleConsensusMessage(msg) {
+  if (!msg || typeof msg !== 'object') {
+    return;
+  }
+  
+  switch (msg.type) {
+    case 'PROPOSE':
+      // Handle block proposal: accept it if valid, which also casts our votes
+      if (msg.block && await validateBlock(msg.block)) {
+        addBlock(msg.block);
+      }
+      break;
+    case 'VOTE':
+      // Handle block vote
+      if (!state.finality.addVote(msg)) {
+        console.log(`Ignored invalid vote from ${msg.voter} for block ${msg.blockHash}`);
+        break;
+      }
+      checkFinality(msg.blockHash);
+      break;
+    case 'COMMIT':
+      // Handle block commit: finalize the block if the certificate is valid
+      const block = state.blockIndex[msg.blockHash];
+      if (!block || Number(block.number) <= state.finalized.number) {
+        break;
+      }
+      if (!state.finality.verifyCertificate(block.number, block.hash, msg.certificate)) {
+        console.log(`Ignored commit for block ${msg.blockHash} without a valid quorum of votes`);
+        break;
+      }
+      finalizeBlock(block, msg.certificate.map(({ voter, signature }) => ({ voter, signature })));
+      break;
+  }
+}
+
+// Sign and broadcast a vote for a block with every authority key we hold.
+// An authority never votes for two blocks at the same height.
+function castVotes(block) {
+  const blockNumber = Number(block.number);
+  
+  Object.values(state.authorityKeys).forEach(key => {
+    if ((state.lastVotedNumber[key.address] || 0) >= blockNumber) {
+      return;
+    }
+    
+    state.lastVotedNumber[key.address] = blockNumber;
+    const vote = createVote(block, key);
+    state.finality.addVote(vote);
+    
+    if (state.p2pNode) {
+      state.p2pNode.broadcastConsensusMessage(vote);
+    }
+  });
+}
+
+// Finalize a block once more than 2/3 of the authorities voted for it
+function checkFinality(blockHash) {
+  const block = state.blockIndex[blockHash];
+  
+  if (!block || Number(block.number) <= state.finalized.number || !state.finality.hasQuorum(blockHash)) {
+    return;
+  }
+  
+  const certificate = state.finality.getCertificate(blockHash);
+  finalizeBlock(block, certificate);
+  
+  // Share the certificate so that nodes which missed some votes can finalize too
+  if (state.p2pNode && Object.keys(state.authorityKeys).length > 0) {
+    state.p2pNode.broadcastConsensusMessage({
+      type: 'COMMIT',
+      blockHash: block.hash,
+      blockNumber: block.number,
+      certificate
+    });
+  }
+}
+
+// Mark a block (and therefore all its ancestors) as final
+function finalizeBlock(block, certificate) {
+  const blockNumber = Number(block.number);
+  
+  state.finalized = { number: blockNumber, hash: block.hash, certificate };
+  state.finality.prune(blockNumber);
+  
+  console.log(`Block #${blockNumber} is final (${certificate.length}/${AUTHORITIES.length} authority votes)`);
+  
+  // Switch to the branch of the final block if needed, then forget
+  // the branches that conflict with it and old execution results
+  updateHead();
+  persistState();
+  
+  Object.values(state.blockIndex).forEach(b => {
+    if (Number(b.number) <= blockNumber && !isCanonical(b)) {
+      delete state.blockIndex[b.hash];
+      state.store.deleteBlock(b.hash);
+    }
+  });
+  state.chainTips.forEach(hash => {
+    if (!descendsFrom(state.blockIndex, state.blockIndex[hash], state.finalized)) {
+      state.chainTips.delete(hash);
+    }
+  });
+  
+  Object.keys(state.executions).forEach(hash => {
+    const b = state.blockIndex[hash];
+    if (!b || Number(b.number) < blockNumber) {
+      delete state.executions[hash];
+    }
+  });
+}
+
+// JSON-RPC 2.0 error codes
+const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000, // Request refused by the node, e.g. "nonce too low"
+  EXECUTION_REVERTED: 3 // eth_call failed in the contract
+};
+
+// Error returned to the client with a specific JSON-RPC error code
+class RPCError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Run a step of a request that the chain modules (keystore, transaction pool,
+// filters, transaction codec) refuse by throwing a plain Error: the refusal
+// becomes a -32000 error, while any other exception stays unexpected
+function refusing(action) {
+  try {
+    return action();
+  } catch (error) {
+    if (error.constructor === Error) {
+      throw new RPCError(RPC_ERRORS.SERVER_ERROR, error.message);
+    }
+    throw error;
+  }
+}
+
+// Minimum number of parameters of the methods that take any
+const REQUIRED_PARAMS = {
+  eth_getBlockByNumber: 1,
+  eth_getBlockByHash: 1,
+  eth_getBlockTransactionCountByNumber: 1,
+  eth_getBlockTransactionCountByHash: 1,
+  eth_getTransactionByHash: 1,
+  eth_getTransactionByBlockNumberAndIndex: 2,
+  eth_getTransactionByBlockHashAndIndex: 2,
+  eth_getTransactionReceipt: 1,
+  eth_getTransactionCount: 1,
+  eth_getBalance: 1,
+  eth_getCode: 1,
+  eth_getStorageAt: 2,
+  eth_feeHistory: 2,
+  eth_call: 1,
+  eth_estimateGas: 1,
+  eth_sendTransaction: 1,
+  eth_sendRawTransaction: 1,
+  eth_newFilter: 1,
+  eth_getFilterChanges: 1,
+  eth_getFilterLogs: 1,
+  eth_uninstallFilter: 1,
+  personal_sendTransaction: 2,
+  personal_newAccount: 1,
+  personal_unlockAccount: 2,
+  personal_lockAccount: 1,
+  personal_sign: 2,
+  personal_ecRecover: 2,
+  iperchain_fund: 1
+};
+
+// Types of the parameters of the methods that take any, by position (see paramError)
+const PARAM_TYPES = {
+  eth_getBlockByNumber: ['blockTag', 'bool'],
+  eth_getBlockByHash: ['hash', 'bool'],
+  eth_getBlockTransactionCountByNumber: ['blockTag'],
+  eth_getBlockTransactionCountByHash: ['hash'],
+  eth_getTransactionByHash: ['hash'],
+  eth_getTransactionByBlockNumberAndIndex: ['blockTag', 'quantity'],
+  eth_getTransactionByBlockHashAndIndex: ['hash', 'quantity'],
+  eth_getTransactionReceipt: ['hash'],
+  eth_getTransactionCount: ['address', 'blockTag'],
+  eth_getBalance: ['address', 'blockTag'],
+  eth_getCode: ['address', 'blockTag'],
+  eth_getStorageAt: ['address', 'quantity', 'blockTag'],
+  eth_feeHistory: ['count', 'blockTag', 'percentiles'],
+  eth_call: ['call', 'blockTag'],
+  eth_estimateGas: ['call'],
+  eth_sendTransaction: ['transaction'],
+  eth_sendRawTransaction: ['data'],
+  eth_getLogs: ['object'],
+  eth_newFilter: ['object'],
+  eth_getFilterChanges: ['data'],
+  eth_getFilterLogs: ['data'],
+  eth_uninstallFilter: ['data'],
+  eth_subscribe: ['string', 'object'],
+  eth_unsubscribe: ['data'],
+  personal_sendTransaction: ['transaction', 'string'],
+  personal_newAccount: ['string'],
+  personal_unlockAccount: ['address', 'string'],
+  personal_lockAccount: ['address'],
+  personal_sign: ['string', 'address', 'string'],
+  personal_ecRecover: ['string', 'data'],
+  iperchain_getReorgs: ['count'],
+  iperchain_fund: ['address']
+};
+
+// Types of the fields of the transaction objects of eth_sendTransaction,
+// eth_call and eth_estimateGas
+const TRANSACTION_PARAM_TYPES = {
+  from: 'address',
+  to: 'address',
+  gas: 'quantity',
+  gasPrice: 'quantity',
+  maxFeePerGas: 'quantity',
+  maxPriorityFeePerGas: 'quantity',
+  value: 'quantity',
+  nonce: 'quantity',
+  data: 'data',
+  input: 'data'
+};
+
+const BLOCK_TAGS = ['earliest', 'latest', 'pending', 'safe', 'finalized'];
+
+// Why a parameter is not of a type of PARAM_TYPES, or null if it is
+function paramError(type, value) {
+  const isHex = pattern => typeof value === 'string' && pattern.test(value);
+  
+  switch (type) {
+    case 'address':
+      return isHex(/^0x[0-9a-f]{40}$/i) ? null : 'expected a 20-byte hex address';
+    case 'hash':
+      return isHex(/^0x[0-9a-f]{64}$/i) ? null : 'expected a 32-byte hex hash';
+    case 'quantity':
+      return isHex(/^0x[0-9a-f]+$/i) ? null : 'expected a hex quantity';
+    case 'count':
+      return (Number.isSafeInteger(value) && value >= 0) || isHex(/^0x[0-9a-f]+$/i) ? null : 'expected a number or a hex quantity';
+    case 'blockTag':
+      return isHex(/^0x[0-9a-f]+$/i) || BLOCK_TAGS.includes(value) ? null : `expected a hex block number or ${BLOCK_TAGS.join(', ')}`;
+    case 'data':
+      return isHex(/^0x([0-9a-f]{2})*$/i) ? null : 'expected hex data';
+    case 'string':
+      return typeof value === 'string' ? null : 'expected a string';
+    case 'bool':
+      return typeof value === 'boolean' ? null : 'expected a boolean';
+    case 'percentiles':
+      return Array.isArray(value) && value.every(percentile => typeof percentile === 'number' && percentile >= 0 && percentile <= 100)
+        ? null
+        : 'expected an array of percentiles';
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) ? null : 'expected an object';
+    case 'transaction':
+    case 'call': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return 'expected a transaction object';
+      }
+      if (type === 'transaction' && (value.from === undefined || value.from === null)) {
+        return 'missing from address';
+      }
+      
+      const field = Object.keys(TRANSACTION_PARAM_TYPES).find(name =>
+        value[name] !== undefined && value[name] !== null && paramError(TRANSACTION_PARAM_TYPES[name], value[name]));
+      return field ? `${field}: ${paramError(TRANSACTION_PARAM_TYPES[field], value[field])}` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Check the parameters of a request against REQUIRED_PARAMS and PARAM_TYPES;
+// optional parameters may be left out or null
+function checkParams(method, params) {
+  const required = REQUIRED_PARAMS[method] || 0;
+  
+  if (params.length < required) {
+    throw new RPCError(RPC_ERRORS.INVALID_PARAMS, `missing value for required argument ${params.length}`);
+  }
+  
+  (PARAM_TYPES[method] || []).forEach((type, index) => {
+    const value = params[index];
+    
+    if (value === undefined || value === null) {
+      if (index < required) {
+        throw new RPCError(RPC_ERRORS.INVALID_PARAMS, `missing value for required argument ${index}`);
+      }
+      return;
+    }
+    
+    const error = paramError(type, value);
+    if (error) {
+      throw new RPCError(RPC_ERRORS.INVALID_PARAMS, `invalid argument ${index}: ${error}`);
+    }
+  });
+}
+
+// Handle JSON-RPC requests
+function handleRPCRequest(req, res) {
+  let body = '';
+  
+  req.on('data', chunk => {
+    body += chunk.toString();
+  });
+  
+  req.on('end', () => {
+    const response = handleRPCMessage(body);
+    
+    // Notifications get no response
+    if (response === null) {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+    
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(response));
+  });
+}
+
+function rpcErrorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+// Response to a JSON-RPC message: a request or a batch (array) of requests.
+// Returns null when there is nothing to answer (only notifications).
+// `connection` is the WebSocket connection the message came from, which can
+// hold subscriptions.
+function handleRPCMessage(body, connection = null) {
+  let message;
+  
+  try {
+    message = JSON.parse(body);
+  } catch (err) {
+    console.error('Invalid JSON:', err.message);
+    return rpcErrorResponse(null, RPC_ERRORS.PARSE_ERROR, 'Parse error');
+  }
+  
+  if (!Array.isArray(message)) {
+    return handleRPCCall(message, connection);
+  }
+  
+  if (message.length === 0) {
+    return rpcErrorResponse(null, RPC_ERRORS.INVALID_REQUEST, 'Invalid request: empty batch');
+  }
+  
+  const responses = message.map(request => handleRPCCall(request, connection)).filter(response => response !== null);
+  return responses.length > 0 ? responses : null;
+}
+
+// Response to a single JSON-RPC request, or null for a notification (no id)
+function handleRPCCall(request, connection) {
+  const isObject = request !== null && typeof request === 'object' && !Array.isArray(request);
+  const id = isObject && ['string', 'number'].includes(typeof request.id) ? request.id : null;
+  
+  if (!isObject || request.jsonrpc !== '2.0' || typeof request.method !== 'string' ||
+      (request.params !== undefined && (request.params === null || typeof request.params !== 'object')) ||
+      (request.id !== undefined && request.id !== null && id === null)) {
+    return rpcErrorResponse(id, RPC_ERRORS.INVALID_REQUEST, 'Invalid request');
+  }
+  
+  const isNotification = !('id' in request);
+  const params = request.params || [];
+  let response;
+  
+  try {
+    if (!Array.isArray(params)) {
+      throw new RPCError(RPC_ERRORS.INVALID_PARAMS, 'parameters must be given by position (array)');
+    }
+    checkParams(request.method, params);
+    
+    const result = connection && ['eth_subscribe', 'eth_unsubscribe'].includes(request.method)
+      ? processSubscription(connection, request.method, params)
+      : processMethod(request.method, params);
+    
+    response = { jsonrpc: '2.0', id, result: result === undefined ? null : result };
+  } catch (err) {
+    // Deliberate refusals are RPCErrors; anything else is a failure of the node
+    if (!(err instanceof RPCError)) {
+      console.error(`Error processing ${request.method}:`, err);
+    }
+    response = rpcErrorResponse(id, err instanceof RPCError ? err.code : RPC_ERRORS.INTERNAL_ERROR, err.message);
+  }
+  
+  return isNotification ? null : response;
+}
+
+// Serve JSON-RPC over a WebSocket connection: the same methods as HTTP, plus
+// eth_subscribe and eth_unsubscribe
+function handleWebSocketConnection(socket) {
+  const connection = { socket, subscriptions: new Set() };
+  
+  socket.on('message', data => {
+    const response = handleRPCMessage(data.toString(), connection);
+    if (response !== null) {
+      socket.send(JSON.stringify(response));
+    }
+  });
+  
+  socket.on('error', error => {
+    console.log('WebSocket connection error:', error.message);
+  });
+  
+  // Subscriptions end with the connection
+  socket.on('close', () => {
+    connection.subscriptions.forEach(id => state.filters.unsubscribe(id));
+  });
+}
+
+// eth_subscribe(type, [criteria]) and eth_unsubscribe(id) on a WebSocket connection
+function processSubscription(connection, method, params = []) {
+  if (method === 'eth_unsubscribe') {
+    connection.subscriptions.delete(params[0]);
+    return state.filters.unsubscribe(params[0]);
+  }
+  
+  const types = { newHeads: 'blocks', logs: 'logs', newPendingTransactions: 'pendingTransactions' };
+  const type = types[params[0]];
+  
+  if (!type) {
+    throw new RPCError(RPC_ERRORS.INVALID_PARAMS, `unsupported subscription type ${params[0]}: use newHeads, logs or newPendingTransactions`);
+  }
+  
+  const criteria = type === 'logs' ? parseLogFilter(params[1]) : null;
+  const id = state.filters.subscribe(type, criteria, (subscription, result) => {
+    connection.socket.send(JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'eth_subscription',
+      params: { subscription, result }
+    }));
+  });
+  
+  connection.subscriptions.add(id);
+  return id;
+}
+
+// Process RPC methods
+function processMethod(method, params) {
+  // personal_* parameters contain passphrases
+  console.log(`Processing method: ${method}`, method.startsWith('personal_') ? '[redacted]' : params);
+  
+  switch (method) {
+    case 'web3_clientVersion':
+      return 'IperChain/v0.1.0';
+    
+    case 'net_version':
+      return '1337'; // Local private network ID
+    
+    case 'net_listening':
+      return Boolean(state.p2pNode);
+      
+    case 'net_peerCount':
+      return toQuantity(state.p2pNode ? state.p2pNode.getConnectedPeers().length : 0);
+      
+    case 'eth_syncing':
+      // false, or the progress of the sync with our peers
+      if (!state.syncProgress) {
+        return false;
+      }
+      
+      return {
+        startingBlock: toQuantity(state.syncProgress.startingBlock),
+        currentBlock: toQuantity(state.syncProgress.currentBlock),
+        highestBlock: toQuantity(state.syncProgress.highestBlock)
+      };
+    
+    case 'eth_chainId':
+      return '0x539'; // Hex for 1337
+      
+    case 'eth_blockNumber':
+      return '0x' + (state.nextBlockNumber - 1).toString(16);
+      
+    case 'eth_getBlockByNumber':
+      // 'finalized' and 'safe' return the latest block committed by the authorities
+      return formatBlock(getBlockByTag(params[0]), params[1]);
+      
+    case 'eth_getBlockByHash':
+      return formatBlock(state.blockIndex[params[0]], params[1]);
+      
+    case 'eth_getBlockTransactionCountByNumber':
+      const countBlock = getBlockByTag(params[0]);
+      return countBlock ? '0x' + countBlock.transactions.length.toString(16) : null;
+      
+    case 'eth_getBlockTransactionCountByHash':
+      const countBlockByHash = state.blockIndex[params[0]];
+      return countBlockByHash ? '0x' + countBlockByHash.transactions.length.toString(16) : null;
+      
+    case 'eth_getTransactionByBlockNumberAndIndex':
+      return getTransactionAtIndex(getBlockByTag(params[0]), params[1]);
+      
+    case 'eth_getTransactionByBlockHashAndIndex':
+      return getTransactionAtIndex(state.blockIndex[params[0]], params[1]);
+      
+    case 'eth_getTransactionCount':
+      // 'pending' counts the executable transactions of the pool too
+      if (params[1] === 'pending') {
+        return '0x' + state.txPool.nextNonce(params[0].toLowerCase()).toString(16);
+      }
+      
+      const nonceAccount = getAccount(getWorldAt(params[1]), params[0]);
+      return '0x' + (nonceAccount ? nonceAccount.nonce : 0).toString(16);
+      
+    case 'eth_getTransactionByHash':
+      const txHash = params[0];
+      // Included transactions first, then the ones still in the pool
+      const tx = state.transactions.find(t => t.hash === txHash) || state.txPool.get(txHash);
+      
+      if (!tx) {
+        return null;
+      }
+      
+      return formatTransaction(tx);
+      
+    case 'eth_sendTransaction':
+      // Only accounts of the keystore that were unlocked with personal_unlockAccount
+      const txParams = params[0];
+      const newTx = refusing(() => createTransaction(txParams, state.keystore.getUnlockedKey(txParams.from)));
+      addPendingTransaction(newTx);
+      
+      // Broadcast the transaction to the network
+      if (state.p2pNode) {
+        state.p2pNode.broadcastTransaction(newTx);
+      }
+      
+      // Simulate immediate mining for testing
+      if (!state.mining) {
+        setTimeout(() => mineBlock().catch(error => console.error('Error mining block:', error.message)), 500);
+      }
+      
+      return newTx.hash;
+      
+    case 'personal_sendTransaction':
+      // Sign with the passphrase, without unlocking the account
+      const personalTx = refusing(() => createTransaction(params[0], state.keystore.getKey(params[0].from, params[1])));
+      addPendingTransaction(personalTx);
+      
+      if (state.p2pNode) {
+        state.p2pNode.broadcastTransaction(personalTx);
+      }
+      
+      return personalTx.hash;
+      
+    case 'personal_newAccount':
+      return refusing(() => state.keystore.newAccount(params[0]));
+      
+    case 'personal_listAccounts':
+      return state.keystore.accounts();
+      
+    case 'personal_unlockAccount':
+      // Duration in seconds, 0 keeps the account unlocked until the node stops
+      const unlockDuration = params[2] === undefined || params[2] === null ? undefined : Number(params[2]);
+      if (unlockDuration !== undefined &&
+          (!['number', 'string'].includes(typeof params[2]) || params[2] === '' || !Number.isFinite(unlockDuration) || unlockDuration < 0)) {
+        throw new RPCError(RPC_ERRORS.INVALID_PARAMS, `invalid unlock duration: ${JSON.stringify(params[2])}`);
+      }
+      return refusing(() => state.keystore.unlock(params[0], params[1], unlockDuration));
+      
+    case 'personal_lockAccount':
+      return refusing(() => state.keystore.lock(params[0]));
+      
+    case 'personal_sign':
+      // [message, address, passphrase]; the passphrase can be omitted for unlocked accounts
+      return refusing(() => {
+        const signingKey = params[2] !== undefined
+          ? state.keystore.getKey(params[1], params[2])
+          : state.keystore.getUnlockedKey(params[1]);
+        return signPersonalMessage(toMessageBytes(params[0]), signingKey);
+      });
+      
+    case 'personal_ecRecover':
+      return refusing(() => recoverPersonalMessage(toMessageBytes(params[0]), params[1]));
+      
+    case 'eth_getTransactionReceipt':
+      const receiptTxHash = params[0];
+      const receipt = state.receipts[receiptTxHash];
+      
+      if (!receipt) {
+        console.log(`No receipt found for transaction: ${receiptTxHash}`);
+        return null;
+      }
+      
+      console.log(`Found receipt for transaction: ${receiptTxHash}`);
+      console.log('Receipt:', receipt);
+      return receipt;
+      
+    case 'eth_call':
+      if (!params[0].to) {
+        throw new RPCError(RPC_ERRORS.SERVER_ERROR, 'To address is required');
+      }
+      
+      return callContractAt(params[0], params[1]);
+      
+    case 'eth_accounts':
+      return state.keystore.accounts();
+      
+    case 'eth_estimateGas': {
+      // A deployment runs code the node has never seen: only estimate it for
+      // a sender that could pay for it
+      const sender = params[0] && params[0].from ? getAccount({ accounts: state.accounts }, params[0].from) : null;
+      if (params[0] && !params[0].to && (!sender || BigInt(sender.balance) === 0n)) {
+        throw new RPCError(RPC_ERRORS.SERVER_ERROR, 'contract creation estimates need a sender with a balance');
+      }
+      
+      return '0x' + estimateGas(params[0]).toString(16);
+    }
+      
+    case 'eth_gasPrice':
+    case 'eth_maxPriorityFeePerGas':
+      // No fee market and no base fee: the lowest price the transaction pool accepts
+      return toQuantity(state.txPool.options.minGasPrice);
+      
+    case 'eth_feeHistory':
+      return getFeeHistory(params[0], params[1], params[2]);
+      
+    case 'eth_getBalance':
+      const balanceAccount = getAccount(getWorldAt(params[1]), params[0]);
+      
+      if (balanceAccount) {
+        return '0x' + BigInt(balanceAccount.balance).toString(16);
+      }
+      
+      return '0x0';
+      
+    case 'eth_getCode':
+      const codeContract = getWorldAt(params[1]).contracts[params[0].toLowerCase()];
+      
+      if (codeContract) {
+        return codeContract.bytecode;
+      }
+      
+      return '0x';
+      
+    case 'eth_getStorageAt':
+      // Storage slots are 32-byte words, as in Ethereum
+      const storageContract = getWorldAt(params[2]).contracts[params[0].toLowerCase()];
+      const storageValue = storageContract && storageContract.storage[toWord(params[1])];
+      
+      return toWord(storageValue || '0x0');
+      
+    case 'eth_sendRawTransaction':
+      // Decode the signed transaction; the sender is recovered from the signature
+      const signedTx = refusing(() => decodeRawTransaction(params[0]));
+      
+      if (state.transactions.some(t => t.hash === signedTx.hash)) {
+        throw new RPCError(RPC_ERRORS.SERVER_ERROR, `already known: ${signedTx.hash}`);
+      }
+      
+      addPendingTransaction(signedTx);
+      
+      // Broadcast the transaction to the network
+      if (state.p2pNode) {
+        state.p2pNode.broadcastTransaction(signedTx);
+      }
+      
+      // Simulate immediate mining for testing
+      if (!state.mining) {
+        mineBlock().catch(error => console.error('Error mining block:', error.message));
+      }
+      
+      // A contract creation is stored when the transaction is executed in a block
+      return signedTx.hash;
+      
+    case 'eth_getLogs':
+      return getLogs(parseLogFilter(params[0]));
+      
+    case 'eth_newFilter':
+      // Validate the criteria now rather than on every poll or new block
+      const filterCriteria = parseLogFilter(params[0]);
+      resolveBlockTag(filterCriteria.fromBlock);
+      resolveBlockTag(filterCriteria.toBlock);
+      return state.filters.install('logs', filterCriteria);
+      
+    case 'eth_newBlockFilter':
+      return state.filters.install('blocks');
+      
+    case 'eth_newPendingTransactionFilter':
+      return state.filters.install('pendingTransactions');
+      
+    case 'eth_getFilterChanges':
+      return refusing(() => state.filters.poll(params[0]));
+      
+    case 'eth_getFilterLogs':
+      const logFilter = refusing(() => state.filters.get(params[0]));
+      
+      if (logFilter.type !== 'logs') {
+        throw new RPCError(RPC_ERRORS.SERVER_ERROR, 'filter not found');
+      }
+      
+      return getLogs(logFilter.criteria);
+      
+    case 'eth_uninstallFilter':
+      return state.filters.uninstall(params[0]);
+      
+    case 'eth_subscribe':
+    case 'eth_unsubscribe':
+      throw new RPCError(RPC_ERRORS.SERVER_ERROR, 'notifications not supported over HTTP: use the WebSocket endpoint');
+      
+    case 'txpool_status':
+      const poolStatus = state.txPool.status();
+      return {
+        pending: '0x' + poolStatus.pending.toString(16),
+        queued: '0x' + poolStatus.queued.toString(16)
+      };
+      
+    case 'txpool_content':
+      return state.txPool.content();
+      
+    case 'iperchain_getReorgs':
+      // Recent chain reorganisations, optionally only those after a given time
+      const sinceTimestamp = params && params[0] ? Number(params[0]) : 0;
+      return state.reorgs.filter(reorg => reorg.timestamp >= sinceTimestamp);
+      
+    case 'iperchain_fund':
+      // Development faucet: tops the balance of an account up to DEV_FAUCET_AMOUNT
+      // once it is below half of it; null when nothing needs to be sent
+      const fundAddress = params[0];
+      if (!state.genesisAlloc[DEV_FAUCET_ADDRESS]) {
+        throw new RPCError(RPC_ERRORS.SERVER_ERROR, 'this network has no development faucet: its genesis allocation funds the accounts');
+      }
+      
+      const fundAccount = getAccount({ accounts: state.accounts }, fundAddress);
+      const fundBalance = BigInt(fundAccount ? fundAccount.balance : 0);
+      if (fundBalance >= DEV_FAUCET_AMOUNT / 2n) {
+        return null;
+      }
+      
+      const fundTx = refusing(() => createTransaction({
+        from: DEV_FAUCET_ADDRESS,
+        to: fundAddress,
+        value: '0x' + (DEV_FAUCET_AMOUNT - fundBalance).toString(16)
+      }, DEV_FAUCET_KEY));
+      addPendingTransaction(fundTx);
+      
+      if (state.p2pNode) {
+        state.p2pNode.broadcastTransaction(fundTx);
+      }
+      
+      if (!state.mining) {
+        setTimeout(() => mineBlock().catch(error => console.error('Error mining block:', error.message)), 500);
+      }
+      
+      return fundTx.hash;
+      
+    case 'evm_mine':
+      // Manually trigger mining of pending transactions
+      console.log('Manually triggering mining...');
+      mineBlock().catch(error => console.error('Error mining block:', error.message));
+      return true;
+      
+    default:
+      console.log('Unhandled method:', method);
+      throw new RPCError(RPC_ERRORS.METHOD_NOT_FOUND, `the method ${method} does not exist/is not available`);
+  }
+}
+
+// Add a transaction to the transaction pool; throws if it is not valid on
+// top of the head state or the pool refuses it
+function addPendingTransaction(tx) {
+  const error = checkTransaction({ accounts: state.accounts, contracts: state.contracts }, tx, { allowFutureNonce: true });
+  if (error) {
+    throw new RPCError(RPC_ERRORS.SERVER_ERROR, error);
+  }
+  
+  const hadPending = state.txPool.status().pending > 0;
+  const result = refusing(() => state.txPool.add(tx));
+  state.filters.addPendingTransaction(tx.hash);
+  
+  // The wait for the next block starts when there is something to include
+  if (!hadPending && result === 'pending') {
+    state.turnStartedAt = Date.now();
+  }
+  
+  if (result === 'queued') {
+    console.log(`Transaction ${tx.hash} queued until the nonces before ${Number(tx.nonce)} arrive`);
+  }
+  
+  return result;
+}
+
+// Log why a transaction received from the network was dropped
+function rejectTransaction(tx, reason) {
+  console.log(`Rejected transaction ${tx && tx.hash}: ${reason}`);
+  return false;
+}
+
+// Check a transaction received from the network before adding it to the pending pool
+function validateTransaction(tx) {
+  if (!tx || typeof tx.hash !== 'string' || typeof tx.from !== 'string') {
+    return rejectTransaction(tx, 'malformed transaction');
+  }
+  
+  const quantities = ['nonce', 'value', 'gas', 'gasPrice'];
+  if (quantities.some(field => !/^0x[0-9a-f]+$/i.test(tx[field]))) {
+    return rejectTransaction(tx, 'nonce, value, gas and gasPrice must be hex quantities');
+  }
+  
+  if (tx.to !== null && !/^0x[0-9a-f]{40}$/i.test(tx.to)) {
+    return rejectTransaction(tx, 'invalid recipient');
+  }
+  
+  if (typeof tx.input !== 'string' || !tx.input.startsWith('0x')) {
+    return rejectTransaction(tx, 'invalid input data');
+  }
+  
+  // Gossip delivers the same transaction more than once
+  if (state.txPool.has(tx.hash) || state.transactions.some(t => t.hash === tx.hash)) {
+    return rejectTransaction(tx, 'already known');
+  }
+  
+  // The sender is whoever signed the transaction
+  if (!isSignedTransaction(tx)) {
+    return rejectTransaction(tx, 'missing signature');
+  }
+  
+  if (!verifyTransaction(tx)) {
+    return rejectTransaction(tx, 'invalid signature');
+  }
+  
+  // Inclusion fields are set by our own execution, not by the sender
+  delete tx.blockHash;
+  delete tx.blockNumber;
+  delete tx.contractAddress;
+  
+  return true;
+}
+
+// Create a transaction object
+// Create a transaction signed with the key of its sender
+function createTransaction(params, privateKey) {
+  const from = params.from.toLowerCase();
+  const raw = signTransaction({
+    nonce: params.nonce || state.txPool.nextNonce(from),
+    to: params.to,
+    value: params.value || '0x0',
+    gas: params.gas || '0x' + estimateGas({ ...params, from }).toString(16),
+    gasPrice: params.maxFeePerGas ? undefined : params.gasPrice || state.txPool.options.minGasPrice,
+    maxFeePerGas: params.maxFeePerGas,
+    maxPriorityFeePerGas: params.maxPriorityFeePerGas,
+    data: params.data || params.input || '0x'
+  }, privateKey);
+  
+  return decodeRawTransaction(raw);
+}
+
+// Number of a canonical block from a block tag: a hex number, 'earliest',
+// 'latest', 'pending' (the latest block, as blocks are not built ahead),
+// 'finalized' or 'safe'. Defaults to 'latest'.
+function resolveBlockTag(tag) {
+  if (tag === undefined || tag === null || tag === 'latest' || tag === 'pending') {
+    return state.blocks.length - 1;
+  }
+  if (tag === 'earliest') {
+    return 0;
+  }
+  if (tag === 'finalized' || tag === 'safe') {
+    return state.finalized.number;
+  }
+  if (!/^0x[0-9a-f]+$/i.test(tag)) {
+    throw new RPCError(RPC_ERRORS.INVALID_PARAMS, `invalid block tag: ${tag}`);
+  }
+  return parseInt(tag, 16);
+}
+
+// Canonical block of a block tag, or null past the head
+function getBlockByTag(tag) {
+  return state.blocks[resolveBlockTag(tag)] || null;
+}
+
+// World state after a canonical block
+function getWorldAt(tag) {
+  const block = getBlockByTag(tag);
+  
+  if (!block) {
+    throw new RPCError(RPC_ERRORS.INVALID_PARAMS, `unknown block ${tag}`);
+  }
+  return getExecution(block).world;
+}
+
+// Account of a world state, whatever the case of its address
+function getAccount(world, address) {
+  const normalized = address.toLowerCase();
+  if (world.accounts[normalized]) {
+    return world.accounts[normalized];
+  }
+  
+  const key = Object.keys(world.accounts).find(candidate => candidate.toLowerCase() === normalized);
+  return key ? world.accounts[key] : null;
+}
+
+// Account of a world state, created empty (keyed in lowercase) if missing
+function ensureAccount(world, address) {
+  const account = getAccount(world, address);
+  if (account) {
+    return account;
+  }
+  
+  world.accounts[address.toLowerCase()] = { balance: '0', nonce: 0 };
+  return world.accounts[address.toLowerCase()];
+}
+
+// Hex quantity of a number, BigInt or numeric string
+function toQuantity(value) {
+  return '0x' + BigInt(value).toString(16);
+}
+
+// 32-byte hex word of a quantity (storage slots and values)
+function toWord(value) {
+  return '0x' + BigInt(value).toString(16).padStart(64, '0');
+}
+
+// Receipts of a block, in transaction order
+function getBlockReceipts(block) {
+  return isCanonical(block)
+    ? block.transactions.map(tx => state.receipts[tx.hash])
+    : getExecution(block).receipts;
+}
+
+// Block as returned by the RPC, in the shape of an Ethereum block, with full
+// transactions or only their hashes. IperChain has no uncles, proof of work or
+// base fee, so those fields have fixed values.
+function formatBlock(block, includeTransactions) {
+  if (!block) {
+    return null;
+  }
+  
+  const receipts = getBlockReceipts(block);
+  
+  return {
+    number: toQuantity(block.number),
+    hash: block.hash,
+    parentHash: block.parentHash,
+    nonce: '0x0000000000000000',
+    mixHash: ZERO_HASH,
+    sha3Uncles: EMPTY_UNCLES_HASH,
+    logsBloom: logsBloom(receipts.flatMap(receipt => receipt.logs)),
+    transactionsRoot: block.transactionsRoot,
+    stateRoot: block.stateRoot,
+    receiptsRoot: computeReceiptsRoot(receipts),
+    miner: block.miner.toLowerCase(),
+    difficulty: toQuantity(block.difficulty),
+    totalDifficulty: toQuantity(block.totalDifficulty),
+    extraData: '0x',
+    size: toQuantity(block.size),
+    gasLimit: toQuantity(block.gasLimit),
+    gasUsed: toQuantity(block.gasUsed),
+    timestamp: toQuantity(block.timestamp),
+    baseFeePerGas: '0x0',
+    transactions: block.transactions.map(tx => includeTransactions ? formatTransaction(tx) : tx.hash),
+    uncles: [],
+    signature: block.signature // Authority signature of the block hash
+  };
+}
+
+// Transaction as returned by the RPC. The inclusion fields are null while the
+// transaction is in the pool; included EIP-1559 transactions report the gas
+// price they paid, as geth does.
+function formatTransaction(tx) {
+  const { contractAddress, ...fields } = tx;
+  const receipt = tx.blockHash ? state.receipts[tx.hash] : null;
+  const formatted = {
+    ...fields,
+    blockHash: tx.blockHash || null,
+    blockNumber: tx.blockNumber || null,
+    transactionIndex: receipt ? receipt.transactionIndex : null
+  };
+  
+  if (Number(tx.type) === 2) {
+    formatted.yParity = tx.v;
+    if (receipt) {
+      formatted.gasPrice = receipt.effectiveGasPrice;
+    }
+  }
+  
+  return formatted;
+}
+
+// Transaction at a (hex) index of a block, or null
+function getTransactionAtIndex(block, index) {
+  const tx = block && block.transactions[parseInt(index, 16)];
+  return tx ? formatTransaction(tx) : null;
+}
+
+// eth_feeHistory: there is no base fee, so only the gas used ratio and the
+// effective gas prices paid in each block (the requested percentiles) vary
+function getFeeHistory(blockCount, newestBlock, rewardPercentiles) {
+  const newest = Math.min(resolveBlockTag(newestBlock), state.blocks.length - 1);
+  const count = Math.max(0, Math.min(Number(blockCount), 1024, newest + 1));
+  const blocks = state.blocks.slice(newest - count + 1, newest + 1);
+  
+  const history = {
+    oldestBlock: toQuantity(newest - count + 1),
+    baseFeePerGas: new Array(count + 1).fill('0x0'), // Includes the block after the newest
+    gasUsedRatio: blocks.map(block => Number(block.gasUsed) / Number(block.gasLimit))
+  };
+  
+  if (Array.isArray(rewardPercentiles)) {
+    history.reward = blocks.map(block => {
+      const prices = getBlockReceipts(block)
+        .map(receipt => BigInt(receipt.effectiveGasPrice))
+        .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+      
+      return rewardPercentiles.map(percentile => prices.length === 0
+        ? '0x0'
+        : toQuantity(prices[Math.min(prices.length - 1, Math.floor(prices.length * percentile / 100))]));
+    });
+  }
+  
+  return history;
+}
+
+// Checked criteria of a log filter; throws -32602 for malformed ones
+function parseLogFilter(criteria) {
+  try {
+    return normalizeLogFilter(criteria || {});
+  } catch (error) {
+    throw new RPCError(RPC_ERRORS.INVALID_PARAMS, error.message);
+  }
+}
+
+// Logs of the canonical chain matching an eth_getLogs filter:
+// { fromBlock, toBlock } or { blockHash }, plus address and topics
+function getLogs(filter) {
+  let blocks;
+  
+  if (filter.blockHash) {
+    const block = state.blockIndex[filter.blockHash];
+    if (!block || !isCanonical(block)) {
+      throw new RPCError(RPC_ERRORS.SERVER_ERROR, `Unknown block ${filter.blockHash}`);
+    }
+    blocks = [block];
+  } else {
+    const fromBlock = resolveBlockTag(filter.fromBlock);
+    const toBlock = Math.min(resolveBlockTag(filter.toBlock), state.blocks.length - 1);
+    
+    if (toBlock - fromBlock >= MAX_LOG_BLOCK_RANGE) {
+      throw new RPCError(RPC_ERRORS.SERVER_ERROR, `Block range too large: at most ${MAX_LOG_BLOCK_RANGE} blocks per request`);
+    }
+    blocks = state.blocks.slice(fromBlock, toBlock + 1);
+  }
+  
+  return blocks
+    .flatMap(block => block.transactions.flatMap(tx => state.receipts[tx.hash] ? state.receipts[tx.hash].logs : []))
+    .filter(log => matchesLogFilter(log, filter));
+}
+
+// Gas used by a transaction executed on top of the head state, with
+// RPC_GAS_CAP gas available. Throws if the execution fails.
+function estimateGas(params) {
+  const world = JSON.parse(JSON.stringify({ accounts: state.accounts, contracts: state.contracts }));
+  const from = (params.from || ZERO_ADDRESS).toLowerCase();
+  const tx = {
+    hash: '0x' + crypto.randomBytes(32).toString('hex'),
+    from,
+    to: params.to || null,
+    value: params.value || '0x0',
+    input: params.data || params.input || '0x',
+    nonce: '0x' + getAccountNonce(from).toString(16),
+    gas: '0x' + RPC_GAS_CAP.toString(16),
+    gasPrice: '0x0'
+  };
+  
+  let result;
+  try {
+    result = applyTransaction(world, tx, ZERO_ADDRESS);
+  } catch (error) {
+    if (error instanceof ExecutionAborted) {
+      throw new RPCError(RPC_ERRORS.SERVER_ERROR, error.message);
+    }
+    throw error;
+  }
+  if (result.status === '0x0') {
+    throw new RPCError(RPC_ERRORS.SERVER_ERROR, `gas required exceeds allowance or always failing transaction: ${result.revertReason}`);
+  }
+  
+  return result.gasUsed;
+}
+
+// eth_call: run a contract call on a copy of the state at a block, without a
+// transaction. Calls to accounts without code return no data.
+function callContractAt(params, tag) {
+  const world = getWorldAt(tag);
+  const address = params.to.toLowerCase();
+  const contract = world.contracts[address];
+  
+  if (!isExecutable(contract)) {
+    return '0x';
+  }
+  
+  const callWorld = { contracts: { [address]: { ...contract, storage: { ...contract.storage } } } };
+  const msg = {
+    sender: (params.from || ZERO_ADDRESS).toLowerCase(),
+    value: params.value || '0x0',
+    data: params.data || params.input || '0x'
+  };
+  
+  try {
+    const gas = Number(params.gas) < RPC_GAS_CAP ? Number(params.gas) : RPC_GAS_CAP;
+    return callContract(callWorld, address, 'call', msg, gas).returnData;
+  } catch (error) {
+    throw new RPCError(RPC_ERRORS.EXECUTION_REVERTED, `execution reverted: ${error.message}`);
+  }
+}
+
+// Whether a contract account has JavaScript code to run
+function isExecutable(contract) {
+  return Boolean(contract) && contract.runtime === 'javascript';
+}
+
+// Run an entry point of the contract at `address`; its storage changes are
+// written to the world state
+function callContract(world, address, entry, msg, gasAvailable) {
+  const contract = world.contracts[address];
+  const code = Buffer.from(contract.bytecode.slice(2), 'hex').toString('utf8');
+  
+  return runContract(code, entry, { address, storage: contract.storage, msg, gasAvailable, costs: GAS_COSTS });
+}
+
+// Message of personal_sign: hex data, or a plain string
+function toMessageBytes(message) {
+  return /^0x([0-9a-f]{2})*$/i.test(message) ? Buffer.from(message.slice(2), 'hex') : Buffer.from(message);
+}
+
+// Nonce of an account in the head state
+function getAccountNonce(address) {
+  const account = getAccount({ accounts: state.accounts }, address);
+  return account ? account.nonce : 0;
+}
+
+// Create the receipt of a transaction included in a block
+function createReceipt(tx, index, block, result) {
+  const logs = result.logs.map((log, offset) => ({
+    ...log,
+    blockNumber: '0x' + Number(block.number).toString(16),
+    blockHash: block.hash,
+    transactionHash: tx.hash,
+    transactionIndex: '0x' + index.toString(16),
+    logIndex: '0x' + (result.logIndex + offset).toString(16),
+    removed: false
+  }));
+  
+  const receipt = {
+    type: tx.type || '0x0',
+    transactionHash: tx.hash,
+    transactionIndex: '0x' + index.toString(16),
+    blockHash: block.hash,
+    blockNumber: '0x' + Number(block.number).toString(16),
+    from: tx.from,
+    to: tx.to,
+    cumulativeGasUsed: '0x' + result.cumulativeGasUsed.toString(16),
+    gasUsed: '0x' + result.gasUsed.toString(16),
+    effectiveGasPrice: '0x' + result.effectiveGasPrice.toString(16),
+    contractAddress: tx.contractAddress || null,
+    logs,
+    logsBloom: logsBloom(logs),
+    status: result.status // 0x1 success, 0x0 failure
+  };
+  
+  if (result.status === '0x0') {
+    receipt.revertReason = result.revertReason;
+  }
+  
+  return receipt;
+}
+
+// Reason why a transaction cannot be executed on top of a world state, or
+// null if it can. With allowFutureNonce the nonce may be ahead of the account,
+// as for transactions that wait in the pool for the ones before them.
+function checkTransaction(world, tx, { allowFutureNonce = false } = {}) {
+  if (!isSignedTransaction(tx)) {
+    return 'unknown sender: the transaction is not signed';
+  }
+  
+  if (tx.to !== null && !/^0x[0-9a-f]{40}$/i.test(tx.to)) {
+    return `invalid recipient ${tx.to}`;
+  }
+  
+  const gas = Number(tx.gas);
+  const minimumGas = intrinsicGas(tx);
+  
+  if (gas < minimumGas) {
+    return `intrinsic gas too low: gas ${gas}, minimum ${minimumGas}`;
+  }
+  
+  if (gas > BLOCK_GAS_LIMIT) {
+    return `exceeds block gas limit: gas ${gas}, block gas limit ${BLOCK_GAS_LIMIT}`;
+  }
+  
+  const account = getAccount(world, tx.from) || { balance: '0', nonce: 0 };
+  const nonce = Number(tx.nonce);
+  
+  if (nonce < account.nonce) {
+    return `nonce too low: account nonce ${account.nonce}, transaction nonce ${nonce}`;
+  }
+  
+  if (nonce > account.nonce && !allowFutureNonce) {
+    return `nonce too high: account nonce ${account.nonce}, transaction nonce ${nonce}`;
+  }
+  
+  const cost = BigInt(tx.value) + BigInt(tx.gas) * BigInt(tx.gasPrice);
+  if (BigInt(account.balance) < cost) {
+    return `insufficient funds: balance ${account.balance}, value + gas * gasPrice ${cost}`;
+  }
+  
+  return null;
+}
 
-  // Set up message handlers
-  state.p2pNode.setMessageHandlers({
-    transaction: (tx) => {
-      console.log('Received transaction from network:', tx.hash);
-      if (!state.pendingTransactions.find(t => t.hash === tx.hash)) {
-        state.pendingTransactions.push(tx);
-      }
-    },
-    block: async (block) => {
-      console.log('Received block from network:', block.hash);
-      // Validate and add block if valid
-      if (await validateBlock(block)) {
-        addBlock(block);
-      }
-    },
-    consensus: (msg) => {
-      console.log('Received consensus message:', msg);
-      handleConsensusMessage(msg);
-    }
+// Gas a transaction pays before it executes: the base cost, its calldata and
+// the creation of a contract account
+function intrinsicGas(tx) {
+  const data = Buffer.from((tx.input || '0x').slice(2), 'hex');
+  let gas = GAS_COSTS.transaction + (tx.to ? 0 : GAS_COSTS.contractCreation);
+  
+  data.forEach(byte => {
+    gas += byte === 0 ? GAS_COSTS.zeroDataByte : GAS_COSTS.nonZeroDataByte;
   });
-
-  await state.p2pNode.init();
+  
+  return gas;
 }
 
-// Validate received block
-async function validateBlock(block) {
-  // Basic validation
-  if (!block.hash || !block.parentHash) return false;
-  
-  // Check if we have the parent block
-  const parentBlock = state.blocks.find(b => b.hash === block.parentHash);
-  if (!parentBlock && block.number !== 0) return false;
+// Price per gas paid by the sender. IperChain has no base fee, so an EIP-1559
+// transaction pays its priority fee, capped by its maximum fee.
+function getEffectiveGasPrice(tx) {
+  if (Number(tx.type) === 2) {
+    const maxFee = BigInt(tx.maxFeePerGas);
+    const priorityFee = BigInt(tx.maxPriorityFeePerGas);
+    return priorityFee < maxFee ? priorityFee : maxFee;
+  }
   
-  // Verify block proposer is a valid authority
-  if (!AUTHORITIES.includes(block.miner)) return false;
+  return BigInt(tx.gasPrice);
+}
+
+// Execute transactions on a copy of a world state; the fees go to `coinbase`.
+// Returns the new state, the result of each transaction and the gas used;
+// throws if a transaction is not valid on top of the state left by the
+// transactions before it, or does not fit in the block gas limit.
+function executeTransactions(parentWorld, transactions, coinbase) {
+  const world = JSON.parse(JSON.stringify(parentWorld));
+  let gasUsed = 0;
+  let logCount = 0;
   
-  // More validation would be needed in production:
-  // - Verify block signature
-  // - Verify transactions
-  // - Verify state transitions
-  // - etc.
+  const results = transactions.map(tx => {
+    let error = checkTransaction(world, tx);
+    if (!error && gasUsed + Number(tx.gas) > BLOCK_GAS_LIMIT) {
+      error = `block gas limit reached: ${gasUsed} gas used, transaction gas ${Number(tx.gas)}`;
+    }
+    if (error) {
+      throw new Error(`invalid transaction ${tx.hash}: ${error}`);
+    }
+    
+    const result = applyTransaction(world, tx, coinbase);
+    gasUsed += result.gasUsed;
+    result.cumulativeGasUsed = gasUsed;
+    result.logIndex = logCount; // Position of its first log in the block
+    logCount += result.logs.length;
+    return result;
+  });
   
-  return true;
+  return { world, results, gasUsed };
 }
 
-// Add validated block to chain
-function addBlock(block) {
-  // Check if we already have this block
-  if (state.blocks.find(b => b.hash === block.hash)) return;
+// Apply a valid transaction to a world state and charge its fee, gas used
+// times the effective gas price, from the sender to `coinbase`. If the
+// execution fails, every change but the sender nonce and the fee is reverted,
+// all the gas of the transaction is used and the result has status 0x0. If a
+// guard of the contract runtime stops it, it has no result: every change is
+// reverted and ExecutionAborted is thrown.
+function applyTransaction(world, tx, coinbase) {
+  // Advance the sender nonce; a signed transaction can come from a new account
+  ensureAccount(world, tx.from).nonce = Number(tx.nonce) + 1;
   
-  state.blocks.push(block);
-  state.nextBlockNumber = Math.max(state.nextBlockNumber, block.number + 1);
+  const snapshot = JSON.stringify({ accounts: world.accounts, contracts: world.contracts });
+  const minimumGas = intrinsicGas(tx);
+  let result;
   
-  // Remove included transactions from pending
-  const txHashes = block.transactions.map(tx => tx.hash);
-  state.pendingTransactions = state.pendingTransactions.filter(
-    tx => !txHashes.includes(tx.hash)
-  );
+  try {
+    const execution = executeTransaction(world, tx, Number(tx.gas) - minimumGas);
+    result = { status: '0x1', gasUsed: minimumGas + execution.gasUsed, logs: execution.logs };
+  } catch (error) {
+    const reverted = JSON.parse(snapshot);
+    world.accounts = reverted.accounts;
+    world.contracts = reverted.contracts;
+    delete tx.contractAddress;
+    
+    if (error instanceof ExecutionAborted) {
+      getAccount(world, tx.from).nonce = Number(tx.nonce);
+      throw error;
+    }
+    
+    result = { status: '0x0', gasUsed: Number(tx.gas), logs: [], revertReason: error.message };
+  }
   
-  // Add transactions to main list
-  state.transactions = [...state.transactions, ...block.transactions];
+  result.effectiveGasPrice = getEffectiveGasPrice(tx);
   
-  console.log(`Added block #${block.number} to chain. Hash: ${block.hash}`);
-}
-
-// Handle consensus messages
-function handleConsensusMessage(msg) {
-  switch (msg.type) {
-    case 'PROPOSE':
-      // Handle block proposal
-      break;
-    case 'VOTE':
-      // Handle block vote
-      break;
-    case 'COMMIT':
-      // Handle block commit
-      break;
+  const fee = BigInt(result.gasUsed) * result.effectiveGasPrice;
+  if (fee > 0n) {
+    const sender = getAccount(world, tx.from);
+    sender.balance = (BigInt(sender.balance) - fee).toString();
+    
+    const miner = ensureAccount(world, coinbase);
+    miner.balance = (BigInt(miner.balance) + fee).toString();
   }
+  
+  return result;
 }
 
-// Handle JSON-RPC requests
-function handleRPCRequest(req, res) {
-  let body = '';
+// Execute the effects of a transaction: value transfer, contract creation or
+// call, and supply chain event logs. Returns the gas used beyond the intrinsic
+// gas and the logs; throws to make the transaction fail, for example when
+// `gasAvailable` runs out.
+function executeTransaction(world, tx, gasAvailable) {
+  let gasUsed = 0;
+  const logs = [];
+  const msg = { sender: tx.from, value: '0x' + BigInt(tx.value).toString(16), data: tx.input || '0x' };
   
-  req.on('data', chunk => {
-    body += chunk.toString();
-  });
+  // Update account balances for transfers
+  if (tx.to) {
+    transferValue(world, tx.from, tx.to, tx.value);
+  }
   
-  req.on('end', () => {
-    let response = {
-      jsonrpc: '2.0',
-      id: null,
-      error: { code: -32700, message: 'Parse error' }
+  // Handle contract creation. A JavaScript contract stores its source as code
+  // and runs its constructor; any other input is stored as it is.
+  if (!tx.to && tx.input) {
+    const contractAddress = '0x' + crypto.createHash('sha256').update(tx.hash + tx.nonce).digest('hex').substring(0, 40);
+    
+    if (world.contracts[contractAddress]) {
+      throw new Error(`contract address collision at ${contractAddress}`);
+    }
+    
+    const deployment = decodeDeployment(tx.input);
+    const bytecode = deployment ? '0x' + Buffer.from(deployment.code).toString('hex') : tx.input;
+    
+    // Storing the code costs gas per byte
+    gasUsed += (bytecode.length - 2) / 2 * GAS_COSTS.codeDepositByte;
+    if (gasUsed > gasAvailable) {
+      throw new Error(`out of gas: storing the contract code needs ${gasUsed} gas, ${gasAvailable} available`);
+    }
+    
+    // Store the contract
+    world.contracts[contractAddress] = {
+      bytecode,
+      storage: {},
+      creator: tx.from
     };
     
-    try {
-      const request = JSON.parse(body);
-      response.id = request.id;
+    // Add contract address to the transaction
+    tx.contractAddress = contractAddress;
+    
+    // The value goes to the new contract before its constructor runs
+    transferValue(world, tx.from, contractAddress, tx.value);
+    
+    if (deployment) {
+      world.contracts[contractAddress].runtime = 'javascript';
       
-      // Process the method
-      try {
-        response.result = processMethod(request.method, request.params);
-        delete response.error;
-      } catch (err) {
-        response.error = {
-          code: -32603,
-          message: 'Internal error',
-          data: err.message
-        };
-      }
-    } catch (err) {
-      console.error('Invalid JSON:', err.message);
+      const result = callContract(world, contractAddress, 'constructor', { ...msg, data: deployment.input }, gasAvailable - gasUsed);
+      gasUsed += result.gasUsed;
+      logs.push(...result.logs);
     }
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify(response));
+  } else if (tx.to && isExecutable(world.contracts[tx.to.toLowerCase()])) {
+    const result = callContract(world, tx.to.toLowerCase(), 'call', msg, gasAvailable - gasUsed);
+    gasUsed += result.gasUsed;
+    logs.push(...result.logs);
+  }
+  
+  // Supply chain events become logs of the recipient (or of the created contract)
+  createEventLogs(tx, tx.to || tx.contractAddress).forEach(log => {
+    gasUsed += GAS_COSTS.log + log.topics.length * GAS_COSTS.logTopic + (log.data.length - 2) / 2 * GAS_COSTS.logDataByte;
+    logs.push(log);
   });
+  
+  if (gasUsed > gasAvailable) {
+    throw new Error(`out of gas: the event logs need ${gasUsed} gas, ${gasAvailable} available`);
+  }
+  
+  return { gasUsed, logs };
 }
 
-// Process RPC methods
-function processMethod(method, params) {
-  console.log(`Processing method: ${method}`, params);
+// Move `value` wei from the account `from` to the account `to`, created if missing
+function transferValue(world, from, to, value) {
+  if (BigInt(value) === 0n) {
+    return;
+  }
   
-  switch (method) {
-    case 'web3_clientVersion':
-      return 'IperChain/v0.1.0';
+  const sender = getAccount(world, from);
+  sender.balance = (BigInt(sender.balance) - BigInt(value)).toString();
+  
+  const recipient = ensureAccount(world, to);
+  recipient.balance = (BigInt(recipient.balance) + BigInt(value)).toString();
+}
+
+// Pick the pending transactions that can go into a block on top of a world
+// state, up to the block gas limit. The first transaction of a sender that is
+// not valid, or whose execution the contract runtime aborts, is dropped from
+// the pool; the later ones of that sender wait for the gap to be filled.
+// Transactions that do not fit wait for the next block.
+function selectTransactions(parentWorld, candidates, coinbase) {
+  const world = JSON.parse(JSON.stringify(parentWorld));
+  const blockedSenders = new Set();
+  let gasUsed = 0;
+  let deferred = 0;
+  
+  const selected = candidates.filter(tx => {
+    if (blockedSenders.has(tx.from)) {
+      return false;
+    }
     
-    case 'net_version':
-      return '1337'; // Local private network ID
+    const error = checkTransaction(world, tx);
+    if (error) {
+      console.log(`Dropping transaction ${tx.hash}: ${error}`);
+      state.txPool.remove(tx.hash);
+      blockedSenders.add(tx.from);
+      return false;
+    }
     
-    case 'eth_chainId':
-      return '0x539'; // Hex for 1337
-      
-    case 'eth_blockNumber':
-      return '0x' + (state.nextBlockNumber - 1).toString(16);
-      
-    case 'eth_getBlockByNumber':
-      const blockNumber = parseInt(params[0], 16);
-      const includeTransactions = params[1] || false;
-      
-      if (blockNumber >= state.blocks.length) {
-        throw new Error('Block not found');
-      }
-      
-      const block = { ...state.blocks[blockNumber] };
-      
-      if (!includeTransactions) {
-        block.transactions = block.transactions.map(tx => tx.hash);
-      }
-      
-      return block;
-      
-    case 'eth_getTransactionByHash':
-      const txHash = params[0];
-      const tx = state.transactions.find(t => t.hash === txHash);
-      
-      if (!tx) {
-        return null;
-      }
-      
-      return tx;
-      
-    case 'eth_sendTransaction':
-      const txParams = params[0];
-      const newTx = createTransaction(txParams);
-      state.pendingTransactions.push(newTx);
-      
-      // Broadcast the transaction to the network
-      if (state.p2pNode) {
-        state.p2pNode.broadcastTransaction(newTx);
-      }
-      
-      // Simulate immediate mining for testing
-      if (!state.mining) {
-        setTimeout(() => mineBlock(), 500);
-      }
-      
-      return newTx.hash;
-      
-    case 'eth_getTransactionReceipt':
-      const receiptTxHash = params[0];
-      
-      // First check in transactions
-      const receiptTx = state.transactions.find(t => t.hash === receiptTxHash);
-      
-      if (!receiptTx) {
-        console.log(`No receipt found for transaction: ${receiptTxHash}`);
-        return null;
-      }
-      
-      console.log(`Found receipt for transaction: ${receiptTxHash}`);
-      
-      // Simulate a transaction receipt
-      const receipt = {
-        transactionHash: receiptTx.hash,
-        transactionIndex: '0x0',
-        blockHash: receiptTx.blockHash || '0x0000000000000000000000000000000000000000000000000000000000000000',
-        blockNumber: receiptTx.blockNumber || '0x0',
-        from: receiptTx.from,
-        to: receiptTx.to,
-        cumulativeGasUsed: '0x5208', // 21000 gas
-        gasUsed: '0x5208',
-        contractAddress: receiptTx.contractAddress || null,
-        logs: [],
-        status: '0x1' // success
-      };
-      
-      console.log('Receipt:', receipt);
-      return receipt;
-      
-    case 'eth_call':
-      const callParams = params[0];
-      const blockParam = params[1];
-      
-      if (!callParams.to) {
-        throw new Error('To address is required');
-      }
-      
-      const contractAddress = callParams.to;
-      const contract = state.contracts[contractAddress];
-      
-      if (!contract) {
-        return '0x';
-      }
-      
-      // Simulate contract call based on data
-      if (callParams.data && callParams.data.startsWith('0x70a08231')) {
-        // balanceOf function: returns a balance of 100 tokens
-        return '0x0000000000000000000000000000000000000000000000056bc75e2d63100000'; // 100 tokens
-      } else if (callParams.data && callParams.data.startsWith('0x06fdde03')) {
-        // name function
-        return '0x0000000000000000000000000000000000000000000000000000000000000020000000000000000000000000000000000000000000000000000000000000000a4970657220546f6b656e0000000000000000000000000000000000000000000000'; // "Iper Token"
-      } else if (callParams.data && callParams.data.startsWith('0x18160ddd')) {
-        // totalSupply function
-        return '0x00000000000000000000000000000000000000000000152d02c7e14af6800000'; // 100000 tokens
-      }
-      
-      return '0x';
-      
-    case 'eth_accounts':
-      return Object.keys(state.accounts);
-      
-    case 'eth_estimateGas':
-      return '0x5208'; // 21000 gas (standard transfer)
-      
-    case 'eth_getBalance':
-      const address = params[0];
-      
-      if (state.accounts[address]) {
-        return '0x' + BigInt(state.accounts[address].balance).toString(16);
-      }
-      
-      return '0x0';
-      
-    case 'eth_getCode':
-      const codeAddress = params[0];
-      
-      if (state.contracts[codeAddress]) {
-        return state.contracts[codeAddress].bytecode;
-      }
-      
-      return '0x';
-      
-    case 'eth_sendRawTransaction':
-      const rawTx = params[0];
-      
-      // Simulate processing a raw transaction
-      // In a real implementation, we would decode and verify the raw transaction
-      const simpleTx = {
-        hash: '0x' + crypto.createHash('sha256').update(rawTx).digest('hex'),
-        from: '0x742d35Cc6634C0532925a3b844Bc454e4438f44e',
-        to: rawTx.includes('6060604') ? null : '0x123f681646d4a755815f9cb19e1acc8565a0c2ac', // Contract creation if contains bytecode
-        value: '0x0',
-        gas: '0x5208',
-        gasPrice: '0x3b9aca00',
-        input: rawTx,
-        nonce: '0x' + state.accounts['0x742d35Cc6634C0532925a3b844Bc454e4438f44e'].nonce.toString(16)
-      };
-      
-      state.pendingTransactions.push(simpleTx);
-      state.accounts['0x742d35Cc6634C0532925a3b844Bc454e4438f44e'].nonce++;
-      
-      // Simulate immediate mining for testing
-      if (!state.mining) {
-        mineBlock();
-      }
-      
-      // If this is a contract creation, generate a contract address
-      if (simpleTx.to === null) {
-        const contractAddress = '0x' + crypto.createHash('sha256').update(simpleTx.hash + simpleTx.nonce).digest('hex').substring(0, 40);
-        
-        // Store the contract
-        state.contracts[contractAddress] = {
-          bytecode: '0x' + '6060604052600080fd00'.repeat(10), // Dummy bytecode
-          storage: {},
-          creator: simpleTx.from
-        };
-        
-        console.log('Contract deployed at:', contractAddress);
+    // A smaller transaction of another sender may still fit
+    if (gasUsed + Number(tx.gas) > BLOCK_GAS_LIMIT) {
+      deferred++;
+      blockedSenders.add(tx.from);
+      return false;
+    }
+    
+    try {
+      gasUsed += applyTransaction(world, tx, coinbase).gasUsed;
+    } catch (error) {
+      if (!(error instanceof ExecutionAborted)) {
+        throw error;
       }
-      
-      return simpleTx.hash;
-      
-    case 'evm_mine':
-      // Manually trigger mining of pending transactions
-      console.log('Manually triggering mining...');
-      mineBlocks(1);
-      return true;
-      
-    default:
-      console.log('Unhandled method:', method);
-      return null;
+      console.log(`Dropping transaction ${tx.hash}: ${error.message}`);
+      state.txPool.remove(tx.hash);
+      blockedSenders.add(tx.from);
+      return false;
+    }
+    return true;
+  });
+  
+  if (deferred > 0) {
+    console.log(`Block gas limit reached, ${deferred} transaction(s) left for the next block`);
   }
+  
+  return selected;
 }
 
-// Create a transaction object
-function createTransaction(params) {
-  const hash = '0x' + crypto.createHash('sha256').update(JSON.stringify(params) + Date.now()).digest('hex');
-  const tx = {
-    hash,
-    from: params.from,
-    to: params.to,
-    value: params.value || '0x0',
-    gas: params.gas || '0x5208',
-    gasPrice: params.gasPrice || '0x3b9aca00',
-    input: params.data || '0x',
-    nonce: '0x' + state.accounts[params.from].nonce.toString(16)
-  };
+// Authority in turn to propose a block
+function getInTurnAuthority(blockNumber) {
+  return AUTHORITIES[blockNumber % AUTHORITIES.length];
+}
+
+// Earliest timestamp of a block proposed from a slot: the block period after
+// its parent, plus the back-off of every authority before it in the order
+function getEarliestTimestamp(parentBlock, slot) {
+  return Number(parentBlock.timestamp) + consensusConfig.blockPeriod + slot * consensusConfig.turnTimeout;
+}
+
+// Pick the local authority key allowed to propose a block now, if any.
+// The k-th backup may take over once the authorities before it had
+// consensusConfig.turnTimeout each to propose.
+function selectProposer(blockNumber) {
+  const waited = (Date.now() - state.turnStartedAt) / 1000;
+  const candidates = Object.values(state.authorityKeys)
+    .map(key => ({ key, slot: getProposerSlot(AUTHORITIES, key.address, blockNumber) }))
+    .sort((a, b) => a.slot - b.slot);
+  
+  if (candidates.length === 0) {
+    return null;
+  }
+  
+  const { key, slot } = candidates[0];
+  const parentBlock = state.blocks[blockNumber - 1];
+  
+  // Respect the block period and the back-off that validateBlock() enforces
+  if (Math.floor(Date.now() / 1000) < getEarliestTimestamp(parentBlock, slot)) {
+    return null;
+  }
   
-  state.accounts[params.from].nonce++;
+  if (waited < slot * consensusConfig.turnTimeout) {
+    if (state.waitingForBlock !== blockNumber) {
+      state.waitingForBlock = blockNumber;
+      console.log(`Waiting for authority ${getInTurnAuthority(blockNumber)} to propose block #${blockNumber}`);
+    }
+    return null;
+  }
+  
+  if (slot > 0) {
+    console.log(`No block #${blockNumber} after ${Math.round(waited)}s, proposing out of turn as ${key.address}`);
+  }
   
-  return tx;
+  return key;
 }
 
 // Mine a block
 async function mineBlock() {
-  console.log('Mining a new block...');
+  if (state.syncing) {
+    console.log('Syncing with peers, not producing blocks yet');
+    return;
+  }
   
-  if (state.pendingTransactions.length === 0) {
+  if (state.txPool.pending().length === 0) {
     console.log('No pending transactions to mine');
     return;
   }
   
+  // Our previous block is still being proposed: mining now would sign a
+  // second block at the same height, so mine again once it is added
+  if (state.proposing) {
+    state.mineAgain = true;
+    return;
+  }
+  
   // --- PoA Simulation Start ---
-  // Select the next authority in round-robin fashion
-  const currentAuthority = AUTHORITIES[currentAuthorityIndex];
-  currentAuthorityIndex = (currentAuthorityIndex + 1) % AUTHORITIES.length;
+  // Only propose when one of our authorities is in turn (or the in-turn ones timed out)
+  const signingKey = selectProposer(state.nextBlockNumber);
+  if (!signingKey) {
+    return;
+  }
+  
+  console.log('Mining a new block...');
+  const currentAuthority = AUTHORITIES.find(address => address.toLowerCase() === signingKey.address);
   console.log(`Block proposed by Authority: ${currentAuthority}`);
   // --- PoA Simulation End ---
 
   const blockNumber = state.nextBlockNumber;
   const timestamp = Math.floor(Date.now() / 1000);
-  const transactions = [...state.pendingTransactions];
-  const parentHash = state.blocks[blockNumber - 1].hash;
+  const parentBlock = state.blocks[blockNumber - 1];
+  const parentHash = parentBlock.hash;
+  const difficulty = getBlockDifficulty(getProposerSlot(AUTHORITIES, signingKey.address, blockNumber));
   
-  // Process transactions
-  transactions.forEach(tx => {
-    // Update account balances for transfers
-    if (tx.to && tx.value && BigInt(tx.value) > 0) {
-      if (state.accounts[tx.from]) {
-        state.accounts[tx.from].balance = (BigInt(state.accounts[tx.from].balance) - BigInt(tx.value)).toString();
-      }
-      
-      if (state.accounts[tx.to]) {
-        state.accounts[tx.to].balance = (BigInt(state.accounts[tx.to].balance) + BigInt(tx.value)).toString();
-      } else {
-        state.accounts[tx.to] = {
-          balance: tx.value,
-          nonce: 0
-        };
-      }
-    }
-    
-    // Handle contract creation
-    if (!tx.to && tx.input) {
-      const contractAddress = '0x' + crypto.createHash('sha256').update(tx.hash + tx.nonce).digest('hex').substring(0, 40);
-      
-      // Store the contract
-      state.contracts[contractAddress] = {
-        bytecode: tx.input,
-        storage: {},
-        creator: tx.from
-      };
-      
-      // Add contract address to the transaction
-      tx.contractAddress = contractAddress;
-      console.log(`Contract created at: ${contractAddress}`);
-    }
-    
-    // Add block info to the transaction
-    tx.blockNumber = '0x' + blockNumber.toString(16);
-    tx.blockHash = '0x' + crypto.createHash('sha256').update(`block-${blockNumber}-${timestamp}`).digest('hex');
-  });
+  // Process transactions to obtain the resulting state
+  const parentWorld = getExecution(parentBlock).world;
+  const transactions = selectTransactions(parentWorld, state.txPool.pending(), currentAuthority);
+  if (transactions.length === 0) {
+    return;
+  }
+  const { world, gasUsed } = executeTransactions(parentWorld, transactions, currentAuthority);
   
   // Create the new block
   const newBlock = {
     number: '0x' + blockNumber.toString(16),
-    hash: '0x' + crypto.createHash('sha256').update(`block-${blockNumber}-${timestamp}`).digest('hex'),
     parentHash,
     timestamp: '0x' + timestamp.toString(16),
     transactions,
+    transactionsRoot: computeTransactionsRoot(transactions),
+    stateRoot: computeStateRoot(world),
     miner: currentAuthority, // Use the selected Authority as the miner
-    difficulty: '0x1',
-    totalDifficulty: '0x' + (blockNumber + 1).toString(16),
+    difficulty: '0x' + difficulty.toString(16),
+    totalDifficulty: '0x' + (Number(parentBlock.totalDifficulty) + difficulty).toString(16),
     size: '0x' + (1000 + transactions.length * 500).toString(16),
-    gasUsed: '0x' + (transactions.length * 21000).toString(16),
-    gasLimit: '0x1000000'
+    gasUsed: '0x' + gasUsed.toString(16),
+    gasLimit: '0x' + BLOCK_GAS_LIMIT.toString(16)
   };
+  newBlock.hash = computeBlockHash(newBlock);
+  newBlock.signature = signBlockHash(newBlock.hash, signingKey.privateKey);
   
-  // Broadcast the block to the network
-  if (state.p2pNode) {
-    await state.p2pNode.broadcastBlock(newBlock);
+  // Propose the block to the other authorities, then add it locally
+  state.proposing = true;
+  try {
+    if (state.p2pNode) {
+      await state.p2pNode.broadcastConsensusMessage({ type: 'PROPOSE', block: newBlock });
+    }
+    addBlock(newBlock);
+  } finally {
+    state.proposing = false;
   }
   
-  // Add the block locally
-  addBlock(newBlock);
+  if (state.mineAgain) {
+    state.mineAgain = false;
+    setTimeout(() => mineBlock().catch(error => console.error('Error mining block:', error.message)), 0);
+  }
   
   return newBlock;
 }
@@ -514,10 +2420,10 @@ function startMining() {
   
   state.mining = true;
   state.miningInterval = setInterval(() => {
-    if (state.pendingTransactions.length > 0) {
-      mineBlock();
+    if (state.txPool.status().pending > 0) {
+      mineBlock().catch(error => console.error('Error mining block:', error.message));
     }
-  }, 10000);
+  }, 1000);
   
   console.log('Mining started');
 }
@@ -536,12 +2442,21 @@ function stopMining() {
 }
 
 // Modify startServer to initialize P2P
-async function startServer(port) {
+async function startServer(options) {
+  const { port, datadir } = options;
+  
   // Initialize blockchain
-  initGenesisBlock();
+  state.txPool = new TxPool(getAccountNonce, options.txPool);
+  state.keystore = new Keystore(options.keystoreDir, { lightKdf: options.lightKdf });
+  state.filters = new FilterManager({ timeout: options.filterTimeout });
+  if (options.genesisFile) {
+    state.genesisAlloc = loadGenesisAlloc(options.genesisFile);
+  }
+  initChain(datadir);
+  initAuthorities(options);
   
   // Initialize P2P node
-  await initP2PNode(port);
+  await initP2PNode(options);
   
   // Create the HTTP server
   const server = http.createServer((req, res) => {
@@ -553,15 +2468,10 @@ async function startServer(port) {
     }
   });
   
-  // Start listening
-  server.listen(port, '127.0.0.1', () => {
-    console.log(`IperChain node listening on http://127.0.0.1:${port}`);
-    console.log('Genesis accounts:');
-    Object.entries(state.accounts).forEach(([address, account]) => {
-      console.log(`  ${address}: ${account.balance} wei`);
-    });
-    startMining();
-  });
+  // JSON-RPC over WebSocket on the same port
+  const wsServer = new WebSocketServer({ server });
+  wsServer.on('connection', handleWebSocketConnection);
+  wsServer.on('error', () => {}); // Errors of the underlying server are handled below
   
   // Handle server errors
   server.on('error', (err) => {
@@ -569,6 +2479,18 @@ async function startServer(port) {
     process.exit(1);
   });
   
+  // Answer requests during the initial sync already: no blocks are produced
+  // while it runs, and clients that start the node do not wait for it
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  console.log(`IperChain node listening on http://127.0.0.1:${port} and ws://127.0.0.1:${port}`);
+  console.log('Genesis accounts:');
+  Object.entries(state.accounts).forEach(([address, account]) => {
+    console.log(`  ${address}: ${account.balance} wei`);
+  });
+  
+  await initialSync(options.syncWait);
+  startMining();
+  
   // Handle process termination
   process.on('SIGINT', async () => {
     console.log('Received SIGINT, shutting down...');
@@ -585,7 +2507,53 @@ async function startServer(port) {
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const port = args.includes('--port') ? parseInt(args[args.indexOf('--port') + 1], 10) : 8545;
+const getArg = (name, defaultValue) => args.includes(name) ? args[args.indexOf(name) + 1] : defaultValue;
+
+const datadir = getArg('--datadir', path.join(__dirname, '..', 'chaindata'));
+const options = {
+  port: parseInt(getArg('--port', '8545'), 10),
+  datadir,
+  registryFile: getArg('--authorities', path.join(datadir, 'authorities.json')),
+  genesisFile: getArg('--genesis'), // Genesis allocation; without it the development faucet is funded
+  authority: getArg('--authority'),
+  authorityKeyFile: getArg('--authority-key'),
+  keystoreDir: getArg('--keystore', path.join(datadir, 'keystore')),
+  lightKdf: args.includes('--lightkdf'), // Faster, weaker key encryption for development
+  bootstrapList: getArg('--bootstrap', '').split(',').filter(Boolean),
+  syncWait: parseInt(getArg('--sync-wait', '5'), 10), // Seconds to wait for peers before the initial sync
+  filterTimeout: parseInt(getArg('--filter-timeout', '300'), 10), // Seconds an unpolled filter lives
+  txPool: {
+    maxPerAccount: parseInt(getArg('--txpool-account-limit', '64'), 10),
+    maxSize: parseInt(getArg('--txpool-size', '4096'), 10),
+    minGasPrice: getArg('--min-gas-price', '1000000000') // Wei (1 gwei); transactions pay for their gas
+  }
+};
+
+consensusConfig.blockPeriod = parseInt(getArg('--block-period', String(consensusConfig.blockPeriod)), 10);
+consensusConfig.maxClockDrift = parseInt(getArg('--max-clock-drift', String(consensusConfig.maxClockDrift)), 10);
+consensusConfig.turnTimeout = parseInt(getArg('--turn-timeout', String(consensusConfig.turnTimeout)), 10);
+
+if (args.includes('--generate-authority-key')) {
+  // Create the key of a new authority and print its entry for the authority registry
+  const authorityAddress = getArg('--generate-authority-key');
+  if (!/^0x[0-9a-f]{40}$/i.test(authorityAddress || '')) {
+    console.error('Usage: node bin/iperchain-node.js [--datadir <dir>] --generate-authority-key <address>');
+    console.error('  <address>: address of the authority, 0x followed by 40 hex digits');
+    process.exit(1);
+  }
+  
+  const key = generateAuthorityKey(authorityAddress);
+  const keyFile = path.join(datadir, 'keys', `${key.address}.json`);
+  
+  saveKeyFile(keyFile, key);
+  console.log(`Authority key written to ${keyFile}`);
+  console.log('Add this entry to the authority registry of every node:');
+  console.log(JSON.stringify({ [key.address]: { publicKey: key.publicKey } }, null, 2));
+  process.exit(0);
+}
 
 // Start the server
-startServer(port); 
\ No newline at end of file
+startServer(options).catch(error => {
+  console.error('Failed to start IperChain node:', error.message);
+  process.exit(1);
+});
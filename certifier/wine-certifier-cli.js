@@ -12,16 +12,21 @@
 
 const fs = require('fs');
 const path = require('path');
-const http = require('http');
 const crypto = require('crypto');
 const readline = require('readline');
-const { spawn } = require('child_process');
+const { loadActorAccount, knownActorAddress } = require('../lib/actor-account');
+const { subscribeToNode } = require('../lib/node-subscriptions');
+const { createNodeClient } = require('../lib/node-client');
+const { eventTopic } = require('../chain/events');
 
 // Configuration
-const CERTIFIER_ACCOUNT = '0x123f681646d4a755815f9cb19e1acc8565a0c2ac';
+let CERTIFIER_ACCOUNT = null; // Keystore account of this certifier, unlocked at start-up
+const ACCOUNT_FILE = path.join(__dirname, 'account.json');
 const BLOCKCHAIN_PORT = 8545;
 const DB_FILE = path.join(__dirname, 'certifier-batches.json');
 const RETAILERS_FILE = path.join(__dirname, 'known-retailers.json');
+const nodeClient = createNodeClient(BLOCKCHAIN_PORT);
+const { rpcCall, startNode, waitForReceipt } = nodeClient;
 
 // Ensure DB files exist
 if (!fs.existsSync(DB_FILE)) {
@@ -31,9 +36,10 @@ if (!fs.existsSync(DB_FILE)) {
   }));
 }
 
+// The address of a retailer is the account its CLI created (see knownActorAddress)
 if (!fs.existsSync(RETAILERS_FILE)) {
   fs.writeFileSync(RETAILERS_FILE, JSON.stringify([
-    { id: 'retailer1', name: 'Premium Wine Shop', address: '0x456f681646d4a755815f9cb19e1acc8565a0c2ac' }
+    { id: 'retailer1', name: 'Premium Wine Shop', accountFile: '../retailer/account.json' }
   ]));
 }
 
@@ -62,122 +68,6 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
-// IperChain node process
-let nodeProcess = null;
-
-// JSON-RPC call helper
-function rpcCall(method, params = []) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method,
-      params
-    });
-
-    const options = {
-      hostname: 'localhost',
-      port: BLOCKCHAIN_PORT,
-      path: '/',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': data.length
-      }
-    };
-
-    const req = http.request(options, (res) => {
-      let responseData = '';
-
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(responseData);
-          
-          if (response.error) {
-            console.log(`RPC Error in ${method}:`, response.error);
-            reject(response.error);
-          } else {
-            resolve(response.result);
-          }
-        } catch (error) {
-          console.error(`Failed to parse response for ${method}:`, error.message);
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      console.error(`Request failed for ${method}:`, error.message);
-      reject(error);
-    });
-
-    req.write(data);
-    req.end();
-  });
-}
-
-// Start IperChain node
-async function startNode() {
-  return new Promise(async (resolve) => {
-    try {
-      // Check if node is already running
-      try {
-        const blockNumber = await rpcCall('eth_blockNumber');
-        if (blockNumber !== null) {
-          console.log('IperChain node is already running at block:', blockNumber);
-          resolve(true);
-          return;
-        }
-      } catch (error) {
-        // Node not running, continue to start it
-      }
-      
-      console.log('Starting IperChain node...');
-      nodeProcess = spawn('node', ['bin/iperchain-node.js'], {
-        detached: true,
-        stdio: 'ignore'
-      });
-      
-      // Give the node time to start
-      console.log('Waiting for node to start...');
-      
-      // Try to connect to the node several times
-      let attempts = 0;
-      const maxAttempts = 5;
-      let success = false;
-      
-      while (attempts < maxAttempts && !success) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        attempts++;
-        
-        try {
-          const blockNumber = await rpcCall('eth_blockNumber');
-          if (blockNumber !== null) {
-            console.log('IperChain node started successfully at block:', blockNumber);
-            success = true;
-          }
-        } catch (error) {
-          console.log(`Attempt ${attempts}/${maxAttempts} to connect to node failed`);
-        }
-      }
-      
-      if (success) {
-        resolve(true);
-      } else {
-        console.error('Failed to start IperChain node after several attempts');
-        resolve(false);
-      }
-    } catch (error) {
-      console.error('Error starting IperChain node:', error.message);
-      resolve(false);
-    }
-  });
-}
-
 // Check for certification requests
 function checkCertificationRequests() {
   const requestsFolder = path.join(__dirname, '..', 'shared-data', 'certifier', 'incoming');
@@ -198,6 +88,11 @@ function checkCertificationRequests() {
       try {
         const request = JSON.parse(fs.readFileSync(path.join(requestsFolder, file), 'utf8'));
         
+        // Requests addressed to another certifier are left for it
+        if (request.certifier && request.certifier.toLowerCase() !== CERTIFIER_ACCOUNT.toLowerCase()) {
+          continue;
+        }
+        
         // Add to pending batches if not already there
         if (request.batchId && !batchesDB.pending[request.batchId]) {
           batchesDB.pending[request.batchId] = {
@@ -224,6 +119,25 @@ function checkCertificationRequests() {
   return newRequests;
 }
 
+// Tell the user about the registration of a batch sent to this certifier as
+// soon as it is mined, and pick up the certification requests that arrived
+// meanwhile. Only the event logs of registration transactions are trusted, and
+// logs removed by a reorganisation were announced when they were mined.
+async function onBatchRegistered(log) {
+  if (log.removed || !await nodeClient.isEventLog(log).catch(() => false)) {
+    return;
+  }
+  
+  checkCertificationRequests().forEach(request => {
+    console.log(`[Inbox] New certification request: ${request.batchName} (${request.batchId.substring(0, 8)}...)`);
+  });
+  
+  const registration = JSON.parse(Buffer.from(log.data.substring(2), 'hex').toString('utf8'));
+  if (batchesDB.pending[registration.batchId]) {
+    console.log(`\n[Blockchain] Batch "${registration.batchName}" registered in block ${parseInt(log.blockNumber, 16)}`);
+  }
+}
+
 // Certify a wine batch on the blockchain
 async function certifyWineBatch(batchId, certifications, notes) {
   if (!batchesDB.pending[batchId]) {
@@ -268,18 +182,11 @@ async function certifyWineBatch(batchId, certifications, notes) {
   ]);
   
   // Wait for transaction confirmation
-  let receipt = null;
-  let attempts = 0;
-  const maxAttempts = 5;
+  const receipt = await waitForReceipt(txHash);
   
-  while (!receipt && attempts < maxAttempts) {
-    console.log(`Waiting for confirmation (attempt ${attempts + 1})...`);
-    receipt = await rpcCall('eth_getTransactionReceipt', [txHash]);
-    
-    if (!receipt) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      attempts++;
-    }
+  // A mined transaction that reverted changed nothing
+  if (receipt && receipt.status !== '0x1') {
+    throw new Error(`Transaction ${txHash} failed: ${receipt.revertReason || 'reverted'}`);
   }
   
   if (receipt) {
@@ -345,6 +252,11 @@ function sendBatchToRetailer(batchId, retailerId) {
     throw new Error('Retailer not found');
   }
   
+  const retailerAddress = knownActorAddress(retailer, __dirname);
+  if (!retailerAddress) {
+    throw new Error(`${retailer.name} has no account yet: start the retailer CLI first`);
+  }
+  
   const batch = batchesDB.certified[batchId];
   
   // Create shipping notification
@@ -356,7 +268,7 @@ function sendBatchToRetailer(batchId, retailerId) {
     certifier: CERTIFIER_ACCOUNT,
     certifierName: "Premium Wine Certifications",
     certifications: batch.certifications,
-    retailer: retailer.address,
+    retailer: retailerAddress,
     retailerName: retailer.name,
     shippingTimestamp: Math.floor(Date.now() / 1000),
     status: "Shipped"
@@ -378,7 +290,7 @@ function sendBatchToRetailer(batchId, retailerId) {
   batch.sentToRetailer = {
     retailerId,
     retailerName: retailer.name,
-    retailerAddress: retailer.address,
+    retailerAddress,
     timestamp: Math.floor(Date.now() / 1000)
   };
   
@@ -716,12 +628,6 @@ function cleanupAndExit() {
   // Save batches to database file
   fs.writeFileSync(DB_FILE, JSON.stringify(batchesDB, null, 2));
   
-  if (nodeProcess) {
-    console.log('Stopping IperChain node...');
-    // In a real implementation, we might want to keep the node running
-    // nodeProcess.kill();
-  }
-  
   console.log('Goodbye!');
   process.exit(0);
 }
@@ -745,6 +651,26 @@ async function start() {
   
   // Start blockchain node
   await startNode();
+
+  // Sign with this certifier's own keystore account
+  try {
+    CERTIFIER_ACCOUNT = await loadActorAccount({
+      rpcCall,
+      accountFile: ACCOUNT_FILE,
+      question: prompt => new Promise(resolve => rl.question(prompt, resolve)),
+      label: 'certifier account'
+    });
+    console.log(`Using certifier account ${CERTIFIER_ACCOUNT}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  
+  // Update the inbox in real time instead of waiting for "Check for new certification requests"
+  subscribeToNode(`ws://localhost:${BLOCKCHAIN_PORT}`, [{
+    params: ['logs', { topics: [eventTopic('WINE_BATCH_REGISTRATION')] }],
+    onNotification: onBatchRegistered
+  }]);
   
   // Show main menu
   showMainMenu();
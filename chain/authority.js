@@ -0,0 +1,125 @@
+/**
+ * IperChain Authority Keys
+ *
+ * Every authority signs the blocks it proposes with an Ed25519 private key.
+ * Peers verify the signature against the public key registered for the
+ * authority in the authority registry, a JSON file shared by all nodes:
+ *
+ *   {
+ *     "0x742d35cc6634c0532925a3b844bc454e4438f44e": { "publicKey": "-----BEGIN PUBLIC KEY-----..." },
+ *     ...
+ *   }
+ *
+ * Private keys never leave the node of their authority; they are kept in
+ * key files (<datadir>/keys/<address>.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Generate a new key pair for an authority
+function generateAuthorityKey(address) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+  return {
+    address: address.toLowerCase(),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+// Read an authority key file
+function loadKeyFile(keyFile) {
+  const key = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+
+  if (!key.address || !key.privateKey) {
+    throw new Error(`Invalid authority key file: ${keyFile}`);
+  }
+
+  key.address = key.address.toLowerCase();
+  return key;
+}
+
+// Write an authority key file, readable only by its owner
+function saveKeyFile(keyFile, key) {
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  fs.writeFileSync(keyFile, JSON.stringify(key, null, 2), { mode: 0o600 });
+}
+
+// Read the authority registry (address -> public key)
+function loadRegistry(registryFile) {
+  const registry = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+  const publicKeys = {};
+
+  Object.entries(registry).forEach(([address, entry]) => {
+    publicKeys[address.toLowerCase()] = entry.publicKey;
+  });
+
+  return publicKeys;
+}
+
+// Write the authority registry for a set of keys
+function saveRegistry(registryFile, keys) {
+  const registry = {};
+
+  keys.forEach(key => {
+    registry[key.address] = { publicKey: key.publicKey };
+  });
+
+  fs.mkdirSync(path.dirname(registryFile), { recursive: true });
+  fs.writeFileSync(registryFile, JSON.stringify(registry, null, 2));
+}
+
+// Create a key for each authority and a registry with their public keys.
+// Used to set up a local development network where one machine runs every authority.
+function createDevAuthorities(keysDir, registryFile, addresses) {
+  const keys = addresses.map(address => generateAuthorityKey(address));
+
+  keys.forEach(key => saveKeyFile(path.join(keysDir, `${key.address}.json`), key));
+  saveRegistry(registryFile, keys);
+
+  return keys;
+}
+
+// Sign a message with an authority private key
+function signMessage(message, privateKey) {
+  return '0x' + crypto.sign(null, message, privateKey).toString('hex');
+}
+
+// Check a signature against an authority public key
+function verifyMessage(message, signature, publicKey) {
+  if (typeof signature !== 'string' || !signature.startsWith('0x')) {
+    return false;
+  }
+
+  try {
+    return crypto.verify(null, message, publicKey, Buffer.from(signature.slice(2), 'hex'));
+  } catch (error) {
+    // Malformed key or signature
+    return false;
+  }
+}
+
+// Sign a block hash with an authority private key
+function signBlockHash(blockHash, privateKey) {
+  return signMessage(Buffer.from(blockHash.slice(2), 'hex'), privateKey);
+}
+
+// Check a block signature against an authority public key
+function verifyBlockSignature(blockHash, signature, publicKey) {
+  return verifyMessage(Buffer.from(blockHash.slice(2), 'hex'), signature, publicKey);
+}
+
+module.exports = {
+  generateAuthorityKey,
+  loadKeyFile,
+  saveKeyFile,
+  loadRegistry,
+  saveRegistry,
+  createDevAuthorities,
+  signMessage,
+  verifyMessage,
+  signBlockHash,
+  verifyBlockSignature
+};
@@ -0,0 +1,121 @@
+/**
+ * IperChain Block Header Hashing
+ *
+ * Content-derived hashes for IperChain blocks:
+ * - transactionsRoot: Merkle root over the transactions of a block
+ * - stateRoot: hash of the world state (accounts and contracts) after the block
+ * - block hash: hash of the header fields, including both roots
+ * - receiptsRoot: Merkle root over the receipts of a block, reported to RPC
+ *   clients; it is not part of the block hash
+ *
+ * All hashes are SHA-256 over a canonical JSON encoding (sorted object keys,
+ * quantities as hex strings), so every node computes the same value.
+ */
+
+const crypto = require('crypto');
+
+const EMPTY_ROOT = '0x' + crypto.createHash('sha256').update('').digest('hex');
+
+// Transaction fields committed to by the Merkle root. Fields set when the
+// transaction is included (blockHash, blockNumber, contractAddress) are left out.
+const TRANSACTION_FIELDS = ['hash', 'nonce', 'from', 'to', 'value', 'gas', 'gasPrice', 'input'];
+
+// Receipt fields committed to by the receipts root
+const RECEIPT_FIELDS = ['transactionHash', 'status', 'cumulativeGasUsed', 'gasUsed', 'contractAddress', 'logs'];
+
+// Header fields committed to by the block hash
+const HEADER_FIELDS = ['parentHash', 'number', 'timestamp', 'miner', 'difficulty', 'gasLimit', 'gasUsed', 'transactionsRoot', 'stateRoot'];
+
+// Serialize a value as JSON with object keys in sorted order
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalJSON).join(',') + ']';
+  }
+
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => JSON.stringify(key) + ':' + canonicalJSON(value[key]))
+      .join(',') + '}';
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+}
+
+// Numbers are hex strings, but genesis blocks of older data directories store plain numbers
+function toQuantity(value) {
+  return '0x' + Number(value).toString(16);
+}
+
+// Merkle root over the given fields of a list of items. Leaves and inner nodes
+// use distinct prefixes so that an inner node can never be passed off as a leaf.
+function computeMerkleRoot(items, fields) {
+  if (items.length === 0) {
+    return EMPTY_ROOT;
+  }
+
+  let level = items.map(item => {
+    const leaf = {};
+    fields.forEach(field => {
+      leaf[field] = item[field] === undefined ? null : item[field];
+    });
+    return sha256(Buffer.from([0x00]), canonicalJSON(leaf));
+  });
+
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      // An odd node at the end of a level is paired with itself
+      const right = i + 1 < level.length ? level[i + 1] : level[i];
+      next.push(sha256(Buffer.from([0x01]), level[i], right));
+    }
+    level = next;
+  }
+
+  return '0x' + level[0].toString('hex');
+}
+
+// Merkle root over the transactions of a block
+function computeTransactionsRoot(transactions) {
+  return computeMerkleRoot(transactions, TRANSACTION_FIELDS);
+}
+
+// Merkle root over the receipts of a block
+function computeReceiptsRoot(receipts) {
+  return computeMerkleRoot(receipts, RECEIPT_FIELDS);
+}
+
+// Hash of the world state (accounts and contracts)
+function computeStateRoot({ accounts, contracts }) {
+  return '0x' + sha256(canonicalJSON({ accounts, contracts })).toString('hex');
+}
+
+// Hash of the block header
+function computeBlockHash(block) {
+  const header = {};
+  HEADER_FIELDS.forEach(field => {
+    header[field] = block[field];
+  });
+  header.number = toQuantity(block.number);
+  header.timestamp = toQuantity(block.timestamp);
+  header.difficulty = toQuantity(block.difficulty);
+  header.gasLimit = toQuantity(block.gasLimit);
+  header.gasUsed = toQuantity(block.gasUsed);
+
+  return '0x' + sha256(canonicalJSON(header)).toString('hex');
+}
+
+module.exports = {
+  EMPTY_ROOT,
+  canonicalJSON,
+  computeTransactionsRoot,
+  computeReceiptsRoot,
+  computeStateRoot,
+  computeBlockHash
+};
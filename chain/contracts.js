@@ -0,0 +1,598 @@
+/**
+ * IperChain Contract Runtime
+ *
+ * Smart contracts are written in JavaScript and deployed by a contract
+ * creation transaction whose input is
+ *
+ *   IPERCHAIN_CONTRACT:{"code": "<JavaScript source>", "input": "0x..."}
+ *
+ * The source defines the entry points of the contract on `exports`:
+ *
+ *   exports.constructor = function (msg) { ... }      // once, at deployment (optional)
+ *   exports.call = function (msg) { return '0x...'; } // every transaction and eth_call
+ *
+ * `msg` is { sender, value, data }: the caller, the value sent and the call
+ * data (the `input` of the deployment for the constructor), all hex strings.
+ * `call` returns its result as hex data. The contract uses these globals:
+ *
+ *   storage.get(slot), storage.set(slot, value)  32-byte words, as in the EVM
+ *   storage.getBytes(slot), storage.setBytes(slot, data)
+ *                                                hex byte strings, stored with
+ *                                                the layout of Solidity `bytes`
+ *   emit(topics, data)                           a log of the contract
+ *   keccak256(data)                              hash of hex data
+ *   abi.encode(types, values), abi.decode(types, data)
+ *                                                the ABI codec of lib/abi.js
+ *   abi.functionSelector(signature), abi.eventTopic(signature)
+ *   revert(reason)                               fail the call
+ *   address                                      address of the contract
+ *
+ * Slots, words and topics are hex strings, numbers or BigInts below 2^256.
+ *
+ * Every run gets a fresh vm context without Date, Intl, Math.random,
+ * regular expressions, locale-dependent methods or code generation from
+ * strings, so every node computes the same result. Gas is charged for storage
+ * access, hashing, ABI coding, logs and for every step of the contract: the
+ * code is metered by chain/metering.js, so that each loop iteration and
+ * function call costs `step` gas. Built-in functions and constructors cost
+ * `builtinItem` gas for every character, element or byte they are given, are
+ * asked for or return, so that their gas follows the work they do. Running out
+ * of gas fails the call even if the contract catches the error, and every node
+ * stops a contract after the same amount of gas.
+ *
+ * Some work cannot be counted: a string concatenated to itself is only copied
+ * when it is read, and BigInt arithmetic takes longer on larger numbers. Two
+ * guards stop such a run, WATCHDOG_TIMEOUT and MEMORY_LIMIT. They depend on
+ * the node, so a run they stop has no result: runContract throws
+ * ExecutionAborted, and the node leaves the transaction out of its blocks
+ * instead of including it as failed.
+ *
+ * The contract talks to the node only through strings, so it never holds a
+ * reference to an object of the node.
+ */
+
+const vm = require('vm');
+const v8 = require('v8');
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const abi = require('../lib/abi');
+const { instrument } = require('./metering');
+
+// UTF-8 prefix of the input of a contract deployment
+const CONTRACT_PREFIX = 'IPERCHAIN_CONTRACT:';
+
+// Milliseconds after which a run is stopped, and bytes by which it may grow
+// the heap of the node: the guards against the work that gas does not count
+const WATCHDOG_TIMEOUT = 1000;
+const MEMORY_LIMIT = 256 * 1024 * 1024;
+
+// Error of a run stopped by a guard. It depends on the node rather than on
+// the contract, so it is not the result of the transaction.
+class ExecutionAborted extends Error {}
+
+const ZERO_WORD = '0x' + '0'.repeat(64);
+const MAX_WORD = (1n << 256n) - 1n;
+const HEX_DATA = /^0x([0-9a-f]{2})*$/i;
+
+// Runs in the context before the contract: defines the globals of the
+// contract around the bridge to the node, and __run, which calls an entry
+// point and turns its outcome into a string: '=' + return data or '!' + reason
+const PRELUDE = `(function (bridge) {
+  'use strict';
+  const stringify = JSON.stringify;
+  const parse = JSON.parse;
+  const toText = String;
+  const ContractError = Error;
+  const toBigInt = BigInt;
+  const toNumber = Number;
+  const apply = Reflect.apply;
+  const sliceText = String.prototype.slice;
+  const bigintsOut = (key, value) => typeof value === 'bigint' ? value.toString() : value;
+  const bigintsIn = (key, value) => value !== null && typeof value === 'object' && typeof value.$bigint === 'string' ? toBigInt(value.$bigint) : value;
+
+  function host(operation, ...args) {
+    const result = bridge(operation, stringify(args, bigintsOut));
+    if (result[0] === '!') {
+      throw new ContractError(apply(sliceText, result, [1]));
+    }
+    return apply(sliceText, result, [1]);
+  }
+
+  globalThis.storage = Object.freeze({
+    get: slot => host('get', slot),
+    set: (slot, value) => { host('set', slot, value); },
+    getBytes: slot => host('getBytes', slot),
+    setBytes: (slot, data) => { host('setBytes', slot, data); }
+  });
+  globalThis.emit = (topics, data = '0x') => { host('emit', topics, data); };
+  globalThis.keccak256 = data => host('keccak256', data);
+  globalThis.abi = Object.freeze({
+    encode: (types, values) => host('abiEncode', types, values),
+    decode: (types, data) => parse(host('abiDecode', types, data), bigintsIn),
+    functionSelector: signature => host('functionSelector', signature),
+    eventTopic: signature => host('eventTopic', signature)
+  });
+  globalThis.revert = reason => { throw new ContractError(toText(reason)); };
+
+  // The meter of chain/metering.js: a step for every loop iteration and
+  // function call, and iterators for for...of and for...in loops that take a
+  // step for every item. They only use functions taken before the contract runs.
+  const iteratorSymbol = Symbol.iterator;
+  const enumerate = function* (object) {
+    for (const key in object) {
+      yield key;
+    }
+  };
+  const generatorNext = Object.getPrototypeOf(enumerate).prototype.next;
+  const step = () => {
+    const result = bridge('step', '[]');
+    if (result[0] === '!') {
+      throw new ContractError(apply(sliceText, result, [1]));
+    }
+    return true;
+  };
+  const metered = (inner, next) => ({
+    [iteratorSymbol]() { return this; },
+    next() {
+      step();
+      return apply(next, inner, []);
+    },
+    return(value) {
+      const close = inner.return;
+      return typeof close === 'function' ? apply(close, inner, [value]) : { done: true, value };
+    }
+  });
+  Object.defineProperty(globalThis, '__iperchain', {
+    value: Object.freeze({
+      step,
+      iterate: iterable => {
+        const inner = iterable[iteratorSymbol]();
+        return metered(inner, inner.next);
+      },
+      keys: object => metered(enumerate(object), generatorNext)
+    })
+  });
+
+  // Built-in functions and constructors take an item of work for every
+  // character, element or byte they are given and return. Sorting takes
+  // n log n items; repeat, padStart, padEnd, resize and constructors take the
+  // size they are asked for before they allocate it.
+  const isArray = Array.isArray;
+  const getOwnProperty = Object.getOwnPropertyDescriptor;
+  const defineProperty = Object.defineProperty;
+  const ownKeys = Reflect.ownKeys;
+  const construct = Reflect.construct;
+  const ceil = Math.ceil;
+  const log2 = Math.log2;
+  const TypedArray = Object.getPrototypeOf(Uint8Array);
+  const typedArrayLength = getOwnProperty(TypedArray.prototype, 'length').get;
+  const bufferLength = getOwnProperty(ArrayBuffer.prototype, 'byteLength').get;
+  const MAX_ITEMS = 1e15;
+
+  const work = items => {
+    if (items > 0) {
+      const result = bridge('builtin', '[' + (items < MAX_ITEMS ? ceil(items) : MAX_ITEMS) + ']');
+      if (result[0] === '!') {
+        throw new ContractError(apply(sliceText, result, [1]));
+      }
+    }
+  };
+  const sizeOf = value => {
+    if (typeof value === 'string') {
+      return value.length;
+    }
+    if (value === null || typeof value !== 'object') {
+      return 0;
+    }
+    if (isArray(value)) {
+      const length = value.length;
+      return typeof length === 'number' ? length : MAX_ITEMS;
+    }
+    try {
+      return apply(typedArrayLength, value, []);
+    } catch (notTypedArray) {}
+    try {
+      return apply(bufferLength, value, []);
+    } catch (notBuffer) {}
+    // Array-likes, such as { length: n } for Array.from
+    const length = getOwnProperty(value, 'length');
+    return length && typeof length.value === 'number' ? length.value : 0;
+  };
+  const sizeOfAll = values => {
+    let size = values.length;
+    for (let i = 0; i < values.length; i++) {
+      size += sizeOf(values[i]);
+    }
+    return size;
+  };
+  // Size asked for by the first argument, converted once so that a valueOf
+  // of the contract cannot give the built-in another number
+  const requested = args => {
+    if (args.length === 0 || typeof args[0] === 'bigint') {
+      return 0;
+    }
+    args[0] = toNumber(args[0]);
+    return args[0] > 0 ? args[0] : 0;
+  };
+  const sorted = self => {
+    const n = sizeOf(self);
+    return n > 1 ? n * ceil(log2(n)) : n;
+  };
+  const asked = (self, args) => sizeOf(self) + requested(args);
+
+  const meterMethods = (target, sizes = {}) => {
+    const names = ownKeys(target);
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i];
+      const descriptor = getOwnProperty(target, name);
+      if (typeof name !== 'string' || name === 'constructor' || typeof descriptor.value !== 'function') {
+        continue;
+      }
+
+      const original = descriptor.value;
+      const size = sizes[name];
+      descriptor.value = {
+        [name](...args) {
+          work(size ? size(this, args) : sizeOf(this) + sizeOfAll(args));
+          const result = apply(original, this, args);
+          work(sizeOf(result));
+          return result;
+        }
+      }[name];
+      defineProperty(target, name, descriptor);
+    }
+  };
+  const meterConstructor = (name, size) => {
+    globalThis[name] = new Proxy(globalThis[name], {
+      apply(target, self, args) {
+        work(size(args));
+        return apply(target, self, args);
+      },
+      construct(target, args, newTarget) {
+        work(size(args));
+        return construct(target, args, newTarget);
+      }
+    });
+  };
+
+  // Regular expressions can backtrack for long on short input, and the
+  // locale-dependent methods depend on the ICU data of the node
+  delete String.prototype.match;
+  delete String.prototype.matchAll;
+  delete String.prototype.search;
+  delete String.prototype.localeCompare;
+  delete String.prototype.toLocaleLowerCase;
+  delete String.prototype.toLocaleUpperCase;
+  delete Array.prototype.toLocaleString;
+  delete TypedArray.prototype.toLocaleString;
+  delete Number.prototype.toLocaleString;
+  delete BigInt.prototype.toLocaleString;
+
+  meterConstructor('Array', args => args.length === 1 && typeof args[0] === 'number' ? args[0] : args.length);
+  meterConstructor('ArrayBuffer', requested);
+  ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array',
+    'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'].forEach(name => {
+    meterConstructor(name, args => args[0] !== null && typeof args[0] === 'object' ? sizeOfAll(args) : requested(args));
+  });
+  ['Map', 'Set', 'WeakMap', 'WeakSet'].forEach(name => {
+    meterConstructor(name, sizeOfAll);
+  });
+
+  // Last, as the lines above use the methods
+  meterMethods(String);
+  meterMethods(String.prototype, { repeat: (self, args) => sizeOf(self) * requested(args), padStart: asked, padEnd: asked });
+  meterMethods(Array);
+  meterMethods(Array.prototype, { sort: sorted, toSorted: sorted });
+  meterMethods(TypedArray);
+  meterMethods(TypedArray.prototype, { sort: sorted, toSorted: sorted });
+  meterMethods(ArrayBuffer.prototype, { resize: asked });
+  meterMethods(Object);
+  meterMethods(JSON);
+
+  // Nothing that tells the time, shares memory or reveals garbage collection
+  delete globalThis.Date;
+  delete globalThis.Intl;
+  delete globalThis.Atomics;
+  delete globalThis.SharedArrayBuffer;
+  delete globalThis.WebAssembly;
+  delete globalThis.WeakRef;
+  delete globalThis.FinalizationRegistry;
+  delete globalThis.RegExp;
+  Math.random = undefined;
+
+  globalThis.__run = (contract, entry, msgJSON) => {
+    try {
+      const exports = Object.create(null);
+      contract(exports);
+
+      if (typeof exports[entry] !== 'function') {
+        return entry === 'constructor' ? '=0x' : '!contract does not accept calls';
+      }
+
+      const result = exports[entry](parse(msgJSON));
+      if (result === undefined) {
+        return '=0x';
+      }
+      if (typeof result !== 'string' || !/^0x([0-9a-fA-F]{2})*$/.test(result)) {
+        return '!contract must return hex data';
+      }
+      return '=' + result.toLowerCase();
+    } catch (error) {
+      try {
+        return '!' + toText(error instanceof ContractError ? error.message : error);
+      } catch (ignored) {
+        return '!contract threw an error';
+      }
+    }
+  };
+})(globalThis.__bridge);
+delete globalThis.__bridge;`;
+
+// Input of a transaction that deploys `code`, with `input` for its constructor
+function encodeDeployment(code, input = '0x') {
+  return '0x' + Buffer.from(CONTRACT_PREFIX + JSON.stringify({ code, input })).toString('hex');
+}
+
+// Contract deployed by a creation input: { code, input }, or null if the input
+// is not a contract deployment. Throws for a malformed deployment.
+function decodeDeployment(input) {
+  const text = Buffer.from((input || '0x').slice(2), 'hex').toString('utf8');
+
+  if (!text.startsWith(CONTRACT_PREFIX)) {
+    return null;
+  }
+
+  let deployment;
+  try {
+    deployment = JSON.parse(text.slice(CONTRACT_PREFIX.length));
+  } catch (error) {
+    throw new Error(`invalid contract deployment: ${error.message}`);
+  }
+
+  if (!deployment || typeof deployment.code !== 'string') {
+    throw new Error('invalid contract deployment: missing code');
+  }
+  if (deployment.input !== undefined && !HEX_DATA.test(deployment.input)) {
+    throw new Error('invalid contract deployment: constructor input must be hex data');
+  }
+
+  return { code: deployment.code, input: deployment.input || '0x' };
+}
+
+// 32-byte word of a slot, word or topic
+function toWord(value) {
+  const number = BigInt(value);
+
+  if (number < 0n || number > MAX_WORD) {
+    throw new Error(`${value} does not fit in 32 bytes`);
+  }
+  return '0x' + number.toString(16).padStart(64, '0');
+}
+
+function toHexData(value) {
+  if (typeof value !== 'string' || !HEX_DATA.test(value)) {
+    throw new Error(`${value} is not hex data`);
+  }
+  return value.toLowerCase();
+}
+
+function hashHex(data) {
+  return '0x' + Buffer.from(keccak256(Buffer.from(data.slice(2), 'hex'))).toString('hex');
+}
+
+// Run an entry point ('constructor' or 'call') of a contract.
+//   address       address of the contract
+//   storage       its storage (slot -> word), changed in place
+//   msg           { sender, value, data }
+//   gasAvailable  gas the run may use
+//   costs         gas costs: step, builtinItem, storageRead, storageWrite,
+//                 storageUpdate, hash, hashWord, abiWord, log, logTopic,
+//                 logDataByte
+// Returns { returnData, gasUsed, logs }; throws if the contract fails or runs
+// out of gas, and ExecutionAborted if a guard stops it. Storage changes made
+// before a failure are not undone.
+function runContract(code, entry, { address, storage, msg, gasAvailable, costs }) {
+  const logs = [];
+  const heapAtStart = v8.getHeapStatistics().used_heap_size;
+  let gasUsed = 0;
+  let outOfGas = null;
+  let aborted = null;
+
+  function useGas(amount) {
+    gasUsed += amount;
+    if (gasUsed > gasAvailable) {
+      outOfGas = outOfGas || `out of gas: the contract needs more than ${gasAvailable} gas`;
+      throw new Error(outOfGas);
+    }
+  }
+
+  function readWord(slot) {
+    useGas(costs.storageRead);
+    return storage[slot] || ZERO_WORD;
+  }
+
+  // Zero words are removed, so that the storage only holds values in use
+  function writeWord(slot, value) {
+    useGas(storage[slot] === undefined && value !== ZERO_WORD ? costs.storageWrite : costs.storageUpdate);
+    if (value === ZERO_WORD) {
+      delete storage[slot];
+    } else {
+      storage[slot] = value;
+    }
+  }
+
+  // Slot of the i-th word of the data of a long byte string stored at `slot`
+  function dataSlot(slot, i) {
+    return toWord((BigInt(hashHex(slot)) + BigInt(i)) & MAX_WORD);
+  }
+
+  const operations = {
+    get: slot => readWord(toWord(slot)),
+
+    set: (slot, value) => {
+      writeWord(toWord(slot), toWord(value));
+      return '';
+    },
+
+    // Up to 31 bytes are kept in the slot with twice the length in the last
+    // byte; longer data goes to the words from keccak256(slot), with twice the
+    // length plus one in the slot
+    getBytes: slot => {
+      const head = readWord(toWord(slot));
+      const headValue = BigInt(head);
+
+      if ((headValue & 1n) === 0n) {
+        const length = Number(headValue & 0xffn) / 2;
+        return '0x' + head.slice(2, 2 + length * 2);
+      }
+
+      const length = Number((headValue - 1n) / 2n);
+      let data = '';
+      for (let i = 0; i * 32 < length; i++) {
+        data += readWord(dataSlot(toWord(slot), i)).slice(2);
+      }
+      return '0x' + data.slice(0, length * 2);
+    },
+
+    setBytes: (slot, value) => {
+      const key = toWord(slot);
+      const data = toHexData(value).slice(2);
+      const length = data.length / 2;
+      const oldHead = BigInt(readWord(key));
+
+      // Clear the data of the previous long value
+      if ((oldHead & 1n) === 1n) {
+        const oldLength = Number((oldHead - 1n) / 2n);
+        for (let i = 0; i * 32 < oldLength; i++) {
+          writeWord(dataSlot(key, i), ZERO_WORD);
+        }
+      }
+
+      if (length < 32) {
+        writeWord(key, toWord('0x' + data.padEnd(62, '0') + (length * 2).toString(16).padStart(2, '0')));
+      } else {
+        writeWord(key, toWord(length * 2 + 1));
+        for (let i = 0; i * 32 < length; i++) {
+          writeWord(dataSlot(key, i), '0x' + data.slice(i * 64, i * 64 + 64).padEnd(64, '0'));
+        }
+      }
+      return '';
+    },
+
+    step: () => {
+      useGas(costs.step);
+      return '';
+    },
+
+    builtin: items => {
+      useGas(items * costs.builtinItem);
+      return '';
+    },
+
+    emit: (topics, data) => {
+      if (!Array.isArray(topics) || topics.length > 4) {
+        throw new Error('a log has a list of at most 4 topics');
+      }
+
+      const log = { address, topics: topics.map(toWord), data: toHexData(data) };
+      useGas(costs.log + log.topics.length * costs.logTopic + (log.data.length - 2) / 2 * costs.logDataByte);
+      logs.push(log);
+      return '';
+    },
+
+    keccak256: data => {
+      const hex = toHexData(data);
+      useGas(costs.hash + Math.ceil((hex.length - 2) / 64) * costs.hashWord);
+      return hashHex(hex);
+    },
+
+    abiEncode: (types, values) => {
+      const data = abi.encode(types, values);
+      useGas(Math.ceil((data.length - 2) / 64) * costs.abiWord);
+      return data;
+    },
+
+    // BigInts cross to the contract as { $bigint: '<decimal>' }
+    abiDecode: (types, data) => {
+      useGas(Math.ceil((toHexData(data).length - 2) / 64) * costs.abiWord);
+      return JSON.stringify(abi.decode(types, data), (key, value) => typeof value === 'bigint' ? { $bigint: value.toString() } : value);
+    },
+
+    functionSelector: signature => {
+      useGas(costs.hash + costs.hashWord);
+      return abi.functionSelector(String(signature));
+    },
+
+    eventTopic: signature => {
+      useGas(costs.hash + costs.hashWord);
+      return abi.eventTopic(String(signature));
+    }
+  };
+
+  // Entry point of the contract's calls to the node: strings in, string out
+  function bridge(operation, argsJSON) {
+    try {
+      if (!aborted && v8.getHeapStatistics().used_heap_size - heapAtStart > MEMORY_LIMIT) {
+        aborted = `contract execution stopped: it uses more than ${MEMORY_LIMIT / 1024 / 1024} MB of memory`;
+      }
+      if (aborted || outOfGas) {
+        throw new Error(aborted || outOfGas);
+      }
+      if (!Object.prototype.hasOwnProperty.call(operations, operation)) {
+        throw new Error(`unknown operation ${operation}`);
+      }
+      return '=' + operations[operation](...JSON.parse(argsJSON));
+    } catch (error) {
+      return '!' + error.message;
+    }
+  }
+
+  // The global object has no prototype: one from the node would lead the
+  // contract to the node's Function, which can run any code outside the context
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  context.__bridge = bridge;
+  context.address = address;
+  vm.runInContext(PRELUDE, context);
+
+  // Metered, and compiled as a function body so that the source cannot run
+  // code outside __run
+  let contract;
+  try {
+    contract = vm.compileFunction(instrument(code), ['exports'], { parsingContext: context, filename: address });
+  } catch (error) {
+    throw new Error(`invalid contract code: ${error.message}`);
+  }
+
+  let outcome;
+  context.__contract = contract;
+  try {
+    outcome = vm.runInContext(`__run(__contract, ${JSON.stringify(entry)}, ${JSON.stringify(JSON.stringify(msg))})`, context, {
+      timeout: WATCHDOG_TIMEOUT
+    });
+  } catch (error) {
+    // __run catches everything the contract throws: only the watchdog gets here
+    throw new ExecutionAborted(`contract execution stopped after ${WATCHDOG_TIMEOUT} ms`);
+  }
+
+  if (aborted) {
+    throw new ExecutionAborted(aborted);
+  }
+  if (outOfGas) {
+    throw new Error(outOfGas);
+  }
+  if (typeof outcome !== 'string' || outcome[0] !== '=') {
+    throw new Error(typeof outcome === 'string' ? outcome.slice(1) : 'contract execution failed');
+  }
+
+  return { returnData: outcome.slice(1), gasUsed, logs };
+}
+
+module.exports = {
+  CONTRACT_PREFIX,
+  ExecutionAborted,
+  encodeDeployment,
+  decodeDeployment,
+  runContract
+};
@@ -0,0 +1,199 @@
+/**
+ * IperChain Supply Chain Events
+ *
+ * The actor CLIs record their business events as hex-encoded transaction
+ * input of the form
+ *
+ *   WINE_BATCH_REGISTRATION:{"batchId": "...", ...}
+ *
+ * Every supply chain uses its own prefix before _BATCH_, e.g. the chains
+ * generated by contract-creator/create-supply-chain.js send
+ * OLIVE_OIL_BATCH_HANDOFF:{...}.
+ *
+ * When such a transaction executes, the node emits an indexed log, so that
+ * clients can find the history of a batch with eth_getLogs:
+ *
+ *   topics[0]  keccak256 of the event type, e.g. keccak256("WINE_BATCH_ARRIVAL")
+ *   topics[1]  keccak256 of the batch ID (lowercase)
+ *   topics[2]  address of the actor that sent the transaction
+ *   data       the JSON payload
+ *
+ * Contracts can emit logs with any topics, those of these events included, so
+ * clients only trust a log that isEventLogOf() the transaction it names.
+ */
+
+const { keccak256 } = require('ethereum-cryptography/keccak');
+
+// <PREFIX>_BATCH_<ACTION>:<JSON payload>
+const EVENT_PATTERN = /^([A-Z][A-Z0-9_]*_BATCH_[A-Z_]+):(\{[\s\S]*\})$/;
+
+function keccakHex(text) {
+  return '0x' + Buffer.from(keccak256(Buffer.from(text))).toString('hex');
+}
+
+// topics[0] of the logs of an event type
+function eventTopic(type) {
+  return keccakHex(type);
+}
+
+// topics[1] of the logs of a batch
+function batchTopic(batchId) {
+  return keccakHex(String(batchId).toLowerCase());
+}
+
+// topics[2] of the logs sent by an actor: its address left-padded to 32 bytes
+function addressTopic(address) {
+  return '0x' + address.slice(2).toLowerCase().padStart(64, '0');
+}
+
+// Event carried by the input of a transaction: { type, payload }, or null if
+// the input is not a supply chain event about a batch
+function decodeEvent(input) {
+  if (typeof input !== 'string' || input.length <= 2) {
+    return null;
+  }
+
+  const match = Buffer.from(input.slice(2), 'hex').toString('utf8').match(EVENT_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(match[2]);
+    return payload && payload.batchId ? { type: match[1], payload } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Logs emitted by a transaction (without block and index fields); the log
+// address is the recipient of the transaction
+function createEventLogs(tx, address) {
+  const event = decodeEvent(tx.input);
+
+  if (!event) {
+    return [];
+  }
+
+  return [{
+    address,
+    topics: [eventTopic(event.type), batchTopic(event.payload.batchId), addressTopic(tx.from)],
+    data: '0x' + Buffer.from(JSON.stringify(event.payload)).toString('hex')
+  }];
+}
+
+// Whether a log is the event log the node emitted for `tx` (as returned by
+// eth_getTransactionByHash) rather than one a contract emitted with the same
+// topics: its topics and data must be those the input and sender of the
+// transaction produce, and its address the recipient of the transaction
+function isEventLogOf(log, tx) {
+  if (!tx || !log || tx.hash !== log.transactionHash || !Array.isArray(log.topics)) {
+    return false;
+  }
+  if (tx.to && (!log.address || tx.to.toLowerCase() !== log.address.toLowerCase())) {
+    return false;
+  }
+
+  const [expected] = createEventLogs(tx, log.address);
+  return Boolean(expected) &&
+    expected.data === log.data &&
+    expected.topics.length === log.topics.length &&
+    expected.topics.every((topic, position) => String(log.topics[position]).toLowerCase() === topic);
+}
+
+// 2048-bit bloom filter of a list of logs, as in Ethereum blocks and
+// receipts: each log address and topic sets three bits taken from its keccak256
+function logsBloom(logs) {
+  const bloom = Buffer.alloc(256);
+
+  logs.forEach(log => {
+    [log.address, ...log.topics].filter(Boolean).forEach(value => {
+      const hash = keccak256(Buffer.from(value.slice(2), 'hex'));
+
+      for (let i = 0; i < 6; i += 2) {
+        const bit = ((hash[i] << 8) | hash[i + 1]) & 2047;
+        bloom[255 - Math.floor(bit / 8)] |= 1 << (bit % 8);
+      }
+    });
+  });
+
+  return '0x' + bloom.toString('hex');
+}
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const TOPIC_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Check the address and topic filters of a log filter (eth_getLogs,
+// eth_newFilter, eth_subscribe('logs')) and normalise them: addresses become a
+// lowercase list, topics lowercase. Throws for malformed criteria.
+function normalizeLogFilter(criteria) {
+  if (criteria === null || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    throw new Error('filter criteria must be an object');
+  }
+
+  const { address, topics, ...rest } = criteria;
+  const filter = { ...rest };
+
+  if (address !== undefined && address !== null) {
+    const addresses = Array.isArray(address) ? address : [address];
+    addresses.forEach(a => {
+      if (typeof a !== 'string' || !ADDRESS_PATTERN.test(a)) {
+        throw new Error(`invalid address in filter: ${JSON.stringify(a)}`);
+      }
+    });
+    filter.address = addresses.map(a => a.toLowerCase());
+  }
+
+  if (topics !== undefined && topics !== null) {
+    if (!Array.isArray(topics)) {
+      throw new Error('filter topics must be an array');
+    }
+    filter.topics = topics.map((expected, position) => {
+      if (expected === null || expected === undefined) {
+        return null;
+      }
+      const alternatives = Array.isArray(expected) ? expected : [expected];
+      alternatives.forEach(t => {
+        if (typeof t !== 'string' || !TOPIC_PATTERN.test(t)) {
+          throw new Error(`invalid topic ${position} in filter: ${JSON.stringify(t)}`);
+        }
+      });
+      return Array.isArray(expected) ? alternatives.map(t => t.toLowerCase()) : expected.toLowerCase();
+    });
+  }
+
+  return filter;
+}
+
+// Whether a log matches the address and topic filters of eth_getLogs:
+// `address` is an address or a list of them; `topics` holds, by position,
+// null (any), a topic, or a list of alternative topics
+function matchesLogFilter(log, { address, topics = [] }) {
+  if (address) {
+    const addresses = (Array.isArray(address) ? address : [address]).map(a => a.toLowerCase());
+    if (!log.address || !addresses.includes(log.address.toLowerCase())) {
+      return false;
+    }
+  }
+
+  return topics.every((expected, position) => {
+    if (expected === null || expected === undefined || (Array.isArray(expected) && expected.length === 0)) {
+      return true;
+    }
+
+    const alternatives = (Array.isArray(expected) ? expected : [expected]).map(t => t.toLowerCase());
+    return log.topics[position] !== undefined && alternatives.includes(log.topics[position].toLowerCase());
+  });
+}
+
+module.exports = {
+  eventTopic,
+  batchTopic,
+  addressTopic,
+  decodeEvent,
+  createEventLogs,
+  isEventLogOf,
+  logsBloom,
+  normalizeLogFilter,
+  matchesLogFilter
+};
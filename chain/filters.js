@@ -0,0 +1,165 @@
+/**
+ * IperChain Filters and Subscriptions
+ *
+ * Filters installed by clients with eth_newFilter, eth_newBlockFilter and
+ * eth_newPendingTransactionFilter. The node reports every new canonical
+ * block, log and pending transaction to the filter manager, which keeps the
+ * changes of each filter until the client collects them with
+ * eth_getFilterChanges.
+ *
+ * A filter that is not polled for `timeout` seconds is uninstalled, so that
+ * clients that go away do not leave filters collecting changes forever.
+ *
+ * Subscriptions (eth_subscribe on the WebSocket endpoint) are filters with a
+ * `notify` callback: their changes are pushed to the client as they happen,
+ * and they last until the client unsubscribes or disconnects.
+ */
+
+const crypto = require('crypto');
+const { matchesLogFilter } = require('./events');
+
+const DEFAULT_OPTIONS = {
+  timeout: 300, // Seconds a filter lives without being polled
+  maxChanges: 10000 // Changes kept per filter; the oldest are dropped
+};
+
+// Block number of a numeric fromBlock/toBlock, null for tags such as 'latest'
+function blockNumberOf(tag) {
+  return typeof tag === 'string' && /^0x[0-9a-f]+$/i.test(tag) ? parseInt(tag, 16) : null;
+}
+
+class FilterManager {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.filters = new Map(); // Filter ID -> { id, type, criteria, changes, lastPolled, notify }
+
+    this.sweeper = setInterval(() => this.removeExpired(), 1000 * Math.min(this.options.timeout, 60));
+    this.sweeper.unref();
+  }
+
+  // Install a filter of type 'logs', 'blocks' or 'pendingTransactions'; returns its ID
+  install(type, criteria = null) {
+    const id = '0x' + crypto.randomBytes(16).toString('hex');
+    this.filters.set(id, { id, type, criteria, changes: [], lastPolled: Date.now(), notify: null });
+    return id;
+  }
+
+  // Install a subscription; notify(id, change) receives every change. Block
+  // subscriptions receive block headers instead of block hashes.
+  subscribe(type, criteria, notify) {
+    const id = this.install(type, criteria);
+    this.filters.get(id).notify = notify;
+    return id;
+  }
+
+  uninstall(id) {
+    const filter = this.filters.get(id);
+    return Boolean(filter) && !filter.notify && this.filters.delete(id);
+  }
+
+  unsubscribe(id) {
+    const filter = this.filters.get(id);
+    return Boolean(filter) && Boolean(filter.notify) && this.filters.delete(id);
+  }
+
+  // Filter by ID; throws for unknown or expired filters
+  get(id) {
+    const filter = this.filters.get(id);
+
+    if (!filter || filter.notify) {
+      throw new Error('filter not found');
+    }
+    return filter;
+  }
+
+  // Changes since the last poll: block hashes, transaction hashes or logs
+  poll(id) {
+    const filter = this.get(id);
+    const changes = filter.changes;
+
+    filter.changes = [];
+    filter.lastPolled = Date.now();
+    return changes;
+  }
+
+  // A block became part of the canonical chain
+  addBlock(block, logs) {
+    this.dispatch(filter => {
+      if (filter.type === 'blocks') {
+        const { transactions, ...header } = block;
+        this.push(filter, filter.notify ? header : block.hash);
+      } else if (filter.type === 'logs') {
+        logs.filter(log => this.matches(filter.criteria, log)).forEach(log => this.push(filter, log));
+      }
+    });
+  }
+
+  // A block left the canonical chain: its logs are reported again as removed
+  removeBlock(block, logs) {
+    this.dispatch(filter => {
+      if (filter.type === 'logs') {
+        logs.filter(log => this.matches(filter.criteria, log)).forEach(log => this.push(filter, { ...log, removed: true }));
+      }
+    });
+  }
+
+  // A transaction entered the transaction pool
+  addPendingTransaction(hash) {
+    this.dispatch(filter => {
+      if (filter.type === 'pendingTransactions') {
+        this.push(filter, hash);
+      }
+    });
+  }
+
+  // Report a change to every filter. The node calls this while it moves its
+  // head, so a filter that fails (e.g. a subscriber whose socket broke) is
+  // removed instead of throwing out of the node.
+  dispatch(report) {
+    this.filters.forEach((filter, id) => {
+      try {
+        report(filter);
+      } catch (error) {
+        console.error(`Removing filter ${id}: ${error.message}`);
+        this.filters.delete(id);
+      }
+    });
+  }
+
+  // Whether a log matches the criteria of a log filter, block range included
+  matches(criteria, log) {
+    const number = parseInt(log.blockNumber, 16);
+    const fromBlock = blockNumberOf(criteria.fromBlock);
+    const toBlock = blockNumberOf(criteria.toBlock);
+
+    if ((fromBlock !== null && number < fromBlock) || (toBlock !== null && number > toBlock)) {
+      return false;
+    }
+    return matchesLogFilter(log, criteria);
+  }
+
+  push(filter, change) {
+    if (filter.notify) {
+      filter.notify(filter.id, change);
+      return;
+    }
+
+    filter.changes.push(change);
+
+    if (filter.changes.length > this.options.maxChanges) {
+      filter.changes.shift();
+    }
+  }
+
+  removeExpired() {
+    const now = Date.now();
+
+    this.filters.forEach((filter, id) => {
+      if (!filter.notify && now - filter.lastPolled > this.options.timeout * 1000) {
+        this.filters.delete(id);
+      }
+    });
+  }
+}
+
+module.exports = FilterManager;
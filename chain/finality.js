@@ -0,0 +1,119 @@
+/**
+ * IperChain Finality
+ *
+ * BFT-style finality on top of the PoA block production. After a block is
+ * proposed (PROPOSE), every authority that accepts it signs a vote (VOTE) over
+ * the consensus topic. Once more than two thirds of the authorities voted for
+ * a block, the block and all its ancestors are final, and the collected votes
+ * form a commit certificate (COMMIT) that any node can verify on its own.
+ */
+
+const { signMessage, verifyMessage } = require('./authority');
+
+// Bytes signed by an authority voting for a block
+function voteMessage(blockNumber, blockHash) {
+  return Buffer.from(`iperchain-vote:${Number(blockNumber)}:${blockHash}`);
+}
+
+// Create the vote of a local authority for a block
+function createVote(block, key) {
+  return {
+    type: 'VOTE',
+    blockHash: block.hash,
+    blockNumber: '0x' + Number(block.number).toString(16),
+    voter: key.address,
+    signature: signMessage(voteMessage(block.number, block.hash), key.privateKey)
+  };
+}
+
+class FinalityTracker {
+  constructor(authorities, registry) {
+    this.authorities = authorities.map(address => address.toLowerCase());
+    this.registry = registry;
+    this.votes = {}; // Block hash -> { blockNumber, signatures: { voter -> signature } }
+  }
+
+  // Number of votes needed to finalize a block (more than 2/3 of the authorities)
+  get quorum() {
+    return Math.floor((2 * this.authorities.length) / 3) + 1;
+  }
+
+  // Check that a vote comes from a registered authority and is correctly signed
+  isValidVote({ blockHash, blockNumber, voter, signature }) {
+    if (typeof voter !== 'string' || typeof blockHash !== 'string') {
+      return false;
+    }
+
+    const address = voter.toLowerCase();
+    const publicKey = this.registry[address];
+
+    return this.authorities.includes(address) &&
+      Boolean(publicKey) &&
+      verifyMessage(voteMessage(blockNumber, blockHash), signature, publicKey);
+  }
+
+  // Record a vote; returns false if the vote is invalid
+  addVote(vote) {
+    if (!this.isValidVote(vote)) {
+      return false;
+    }
+
+    if (!this.votes[vote.blockHash]) {
+      this.votes[vote.blockHash] = { blockNumber: Number(vote.blockNumber), signatures: {} };
+    }
+
+    this.votes[vote.blockHash].signatures[vote.voter.toLowerCase()] = vote.signature;
+    return true;
+  }
+
+  hasQuorum(blockHash) {
+    const entry = this.votes[blockHash];
+    return Boolean(entry) && Object.keys(entry.signatures).length >= this.quorum;
+  }
+
+  // Votes collected for a block, as sent in a COMMIT message
+  getCertificate(blockHash) {
+    const entry = this.votes[blockHash];
+
+    if (!entry) {
+      return [];
+    }
+
+    return Object.entries(entry.signatures).map(([voter, signature]) => ({ voter, signature }));
+  }
+
+  // Check that a commit certificate is a list of { voter, signature } votes
+  // holding a quorum of distinct valid votes
+  verifyCertificate(blockNumber, blockHash, certificate) {
+    const wellFormed = vote => vote !== null && typeof vote === 'object' &&
+      typeof vote.voter === 'string' && typeof vote.signature === 'string';
+
+    if (!Array.isArray(certificate) || !certificate.every(wellFormed)) {
+      return false;
+    }
+
+    const voters = new Set();
+
+    certificate.forEach(({ voter, signature }) => {
+      if (this.isValidVote({ blockNumber, blockHash, voter, signature })) {
+        voters.add(voter.toLowerCase());
+      }
+    });
+
+    return voters.size >= this.quorum;
+  }
+
+  // Forget the votes of blocks at or below a finalized height
+  prune(finalizedNumber) {
+    Object.keys(this.votes).forEach(blockHash => {
+      if (this.votes[blockHash].blockNumber <= finalizedNumber) {
+        delete this.votes[blockHash];
+      }
+    });
+  }
+}
+
+module.exports = {
+  createVote,
+  FinalityTracker
+};
@@ -0,0 +1,92 @@
+/**
+ * IperChain Fork Choice
+ *
+ * Which branch of the block tree is the canonical chain. The authorities take
+ * turns to propose blocks, as in Clique: a block proposed by the authority in
+ * turn weighs 2, one proposed by a backup after the back-off of the authority
+ * in turn weighs 1. The branch with the highest total weight
+ * (totalDifficulty) that descends from the latest final block is canonical.
+ *
+ * The functions work on a block index (block hash -> block) and the canonical
+ * chain (blocks by number) given by the caller, so that every node holding the
+ * same blocks makes the same choice.
+ */
+
+// Position of an authority in the proposer order of a block:
+// 0 when in turn, k when it is the k-th backup after the in-turn authority
+function getProposerSlot(authorities, address, blockNumber) {
+  const index = authorities.findIndex(authority => authority.toLowerCase() === address.toLowerCase());
+  return (index - (blockNumber % authorities.length) + authorities.length) % authorities.length;
+}
+
+// Fork-choice weight of a block: 2 when proposed in turn, 1 out of turn
+function getBlockDifficulty(slot) {
+  return slot === 0 ? 2 : 1;
+}
+
+// Whether a block is the given ancestor ({ number, hash }) or one of its descendants
+function descendsFrom(blockIndex, block, ancestor) {
+  let current = block;
+
+  while (current && Number(current.number) > ancestor.number) {
+    current = blockIndex[current.parentHash];
+  }
+
+  return Boolean(current) && current.hash === ancestor.hash;
+}
+
+// The block with the highest total difficulty among the head and the tips of
+// the branches (hashes of the blocks without children) that descends from the
+// final block. On a tie the head is kept. Total difficulty grows along a
+// branch, so only the tips are candidates.
+function selectBestHead(blockIndex, head, tips, finalized) {
+  let best = descendsFrom(blockIndex, head, finalized) ? head : null;
+
+  tips.forEach(hash => {
+    const block = blockIndex[hash];
+    if (!descendsFrom(blockIndex, block, finalized)) {
+      return;
+    }
+
+    if (!best || Number(block.totalDifficulty) > Number(best.totalDifficulty)) {
+      best = block;
+    }
+  });
+
+  return best;
+}
+
+// Blocks that moving the canonical chain to a new head disconnects and
+// connects: walks back from the new head to its common ancestor with the chain
+function findReorg(blocks, blockIndex, newHead) {
+  const isCanonical = block => Boolean(blocks[Number(block.number)]) && blocks[Number(block.number)].hash === block.hash;
+  const connected = [];
+  let ancestor = newHead;
+
+  while (!isCanonical(ancestor)) {
+    connected.unshift(ancestor);
+    ancestor = blockIndex[ancestor.parentHash];
+  }
+
+  return { ancestor, reverted: blocks.slice(Number(ancestor.number) + 1), connected };
+}
+
+// Transactions of the disconnected blocks that the connected ones do not
+// include, without their inclusion fields: they go back to the transaction pool
+function orphanedTransactions(reverted, connected) {
+  const included = new Set(connected.flatMap(block => block.transactions.map(tx => tx.hash)));
+
+  return reverted
+    .flatMap(block => block.transactions)
+    .filter(tx => !included.has(tx.hash))
+    .map(({ blockHash, blockNumber, contractAddress, ...tx }) => tx);
+}
+
+module.exports = {
+  getProposerSlot,
+  getBlockDifficulty,
+  descendsFrom,
+  selectBestHead,
+  findReorg,
+  orphanedTransactions
+};
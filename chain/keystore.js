@@ -0,0 +1,258 @@
+/**
+ * IperChain Keystore
+ *
+ * Accounts managed by the node, stored as encrypted key files in the Web3
+ * Secret Storage format (version 3), the same format used by geth:
+ *
+ *   <datadir>/keystore/UTC--<date>--<address>
+ *
+ * The private key is encrypted with AES-128-CTR under a key derived from the
+ * passphrase (scrypt, or pbkdf2 for files created by other tools) and
+ * authenticated with a keccak-256 MAC. An account has to be unlocked with its
+ * passphrase before the node signs anything for it; unlocked keys are only
+ * kept in memory and are dropped again when the unlock period expires.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const { secp256k1 } = require('ethereum-cryptography/secp256k1');
+const { privateKeyToAddress } = require('./transaction');
+
+// scrypt parameters: standard (as geth) and light, for development machines
+const SCRYPT_STANDARD = { n: 262144, r: 8, p: 1 };
+const SCRYPT_LIGHT = { n: 4096, r: 8, p: 6 };
+
+// Default unlock period (seconds) of personal_unlockAccount
+const DEFAULT_UNLOCK_DURATION = 300;
+
+function keccak(data) {
+  return Buffer.from(keccak256(data));
+}
+
+function normalizeAddress(address) {
+  if (typeof address !== 'string' || !/^0x[0-9a-f]{40}$/i.test(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+  return address.toLowerCase();
+}
+
+function deriveKey(passphrase, kdf, kdfparams) {
+  const salt = Buffer.from(kdfparams.salt, 'hex');
+
+  if (kdf === 'scrypt') {
+    const { n, r, p, dklen } = kdfparams;
+    return crypto.scryptSync(passphrase, salt, dklen, { N: n, r, p, maxmem: 256 * n * r });
+  }
+
+  if (kdf === 'pbkdf2') {
+    if (kdfparams.prf !== 'hmac-sha256') {
+      throw new Error(`Unsupported pbkdf2 prf: ${kdfparams.prf}`);
+    }
+    return crypto.pbkdf2Sync(passphrase, salt, kdfparams.c, kdfparams.dklen, 'sha256');
+  }
+
+  throw new Error(`Unsupported key derivation function: ${kdf}`);
+}
+
+// Encrypt a private key into a Web3 Secret Storage (v3) object
+function encryptKey(privateKey, passphrase, scryptParams = SCRYPT_STANDARD) {
+  const kdfparams = { ...scryptParams, dklen: 32, salt: crypto.randomBytes(32).toString('hex') };
+  const derivedKey = deriveKey(passphrase, 'scrypt', kdfparams);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-128-ctr', derivedKey.slice(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(privateKey), cipher.final()]);
+
+  return {
+    address: privateKeyToAddress(privateKey).slice(2),
+    id: crypto.randomUUID(),
+    version: 3,
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams,
+      mac: keccak(Buffer.concat([derivedKey.slice(16, 32), ciphertext])).toString('hex')
+    }
+  };
+}
+
+// Decrypt the private key of a Web3 Secret Storage (v3) object
+function decryptKey(keyObject, passphrase) {
+  const { cipher, cipherparams, ciphertext, kdf, kdfparams, mac } = keyObject.crypto || keyObject.Crypto;
+
+  if (keyObject.version !== 3 || cipher !== 'aes-128-ctr') {
+    throw new Error('Unsupported key file: expected version 3 with aes-128-ctr');
+  }
+
+  const derivedKey = deriveKey(passphrase, kdf, kdfparams);
+  const encrypted = Buffer.from(ciphertext, 'hex');
+  const expectedMac = keccak(Buffer.concat([derivedKey.slice(16, 32), encrypted]));
+
+  if (!crypto.timingSafeEqual(expectedMac, Buffer.from(mac, 'hex'))) {
+    throw new Error('could not decrypt key with given password');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-128-ctr', derivedKey.slice(0, 16), Buffer.from(cipherparams.iv, 'hex'));
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+}
+
+// Hash signed by personal_sign: keccak256("\x19Ethereum Signed Message:\n" + len(message) + message)
+function personalMessageHash(message) {
+  const prefix = Buffer.from(`\x19Ethereum Signed Message:\n${message.length}`);
+  return keccak(Buffer.concat([prefix, message]));
+}
+
+// Sign a message as personal_sign does; returns r || s || v (v = 27 or 28)
+function signPersonalMessage(message, privateKey) {
+  const signature = secp256k1.sign(personalMessageHash(message), privateKey);
+
+  return '0x' + signature.toCompactHex() + (27 + signature.recovery).toString(16);
+}
+
+// Address that produced a personal_sign signature
+function recoverPersonalMessage(message, signature) {
+  const bytes = Buffer.from(signature.replace(/^0x/, ''), 'hex');
+
+  if (bytes.length !== 65) {
+    throw new Error('signature must be 65 bytes long');
+  }
+
+  const recovery = bytes[64] >= 27 ? bytes[64] - 27 : bytes[64];
+  const publicKey = secp256k1.Signature.fromCompact(bytes.slice(0, 64))
+    .addRecoveryBit(recovery)
+    .recoverPublicKey(personalMessageHash(message))
+    .toRawBytes(false);
+
+  return '0x' + keccak(publicKey.slice(1)).slice(-20).toString('hex');
+}
+
+class Keystore {
+  constructor(dir, options = {}) {
+    this.dir = path.resolve(dir);
+    this.scryptParams = options.lightKdf ? SCRYPT_LIGHT : SCRYPT_STANDARD;
+    this.unlocked = new Map(); // Address -> { privateKey, timer }
+  }
+
+  // Addresses of the key files in the keystore directory
+  accounts() {
+    return Object.keys(this.keyFiles());
+  }
+
+  // Address -> key file path
+  keyFiles() {
+    const files = {};
+
+    if (!fs.existsSync(this.dir)) {
+      return files;
+    }
+
+    fs.readdirSync(this.dir).forEach(file => {
+      try {
+        const keyObject = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        if (keyObject.address) {
+          files[normalizeAddress('0x' + keyObject.address.replace(/^0x/, ''))] = path.join(this.dir, file);
+        }
+      } catch (error) {
+        // Not a key file
+      }
+    });
+
+    return files;
+  }
+
+  hasAccount(address) {
+    return this.accounts().includes(normalizeAddress(address));
+  }
+
+  // Create a new account and store its encrypted key; returns the address
+  newAccount(passphrase) {
+    return this.importRawKey(secp256k1.utils.randomPrivateKey(), passphrase);
+  }
+
+  // Store an existing private key; returns the address
+  importRawKey(privateKey, passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+      throw new Error('A passphrase is required to encrypt the key');
+    }
+
+    const keyObject = encryptKey(Buffer.from(privateKey), passphrase, this.scryptParams);
+    const address = '0x' + keyObject.address;
+    const fileName = `UTC--${new Date().toISOString().replace(/:/g, '-')}--${keyObject.address}`;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, fileName), JSON.stringify(keyObject), { mode: 0o600 });
+
+    return address;
+  }
+
+  // Decrypt the private key of an account
+  getKey(address, passphrase) {
+    const keyFile = this.keyFiles()[normalizeAddress(address)];
+
+    if (!keyFile) {
+      throw new Error(`unknown account ${address}`);
+    }
+
+    return decryptKey(JSON.parse(fs.readFileSync(keyFile, 'utf8')), passphrase);
+  }
+
+  // Keep the key of an account in memory for `duration` seconds (0 = until the node stops)
+  unlock(address, passphrase, duration = DEFAULT_UNLOCK_DURATION) {
+    if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0) {
+      throw new Error(`Invalid unlock duration: ${duration}`);
+    }
+
+    const privateKey = this.getKey(address, passphrase);
+    const normalized = normalizeAddress(address);
+
+    this.lock(normalized);
+
+    const timer = duration > 0 ? setTimeout(() => this.lock(normalized), duration * 1000) : null;
+    if (timer) {
+      timer.unref();
+    }
+
+    this.unlocked.set(normalized, { privateKey, timer });
+    return true;
+  }
+
+  lock(address) {
+    const normalized = normalizeAddress(address);
+    const entry = this.unlocked.get(normalized);
+
+    if (entry) {
+      clearTimeout(entry.timer);
+      entry.privateKey.fill(0);
+      this.unlocked.delete(normalized);
+    }
+
+    return true;
+  }
+
+  // Private key of an unlocked account; throws for unknown or locked accounts
+  getUnlockedKey(address) {
+    const normalized = normalizeAddress(address);
+
+    if (!this.hasAccount(normalized)) {
+      throw new Error(`unknown account ${address}`);
+    }
+
+    const entry = this.unlocked.get(normalized);
+    if (!entry) {
+      throw new Error(`authentication needed: account ${address} is locked`);
+    }
+
+    return entry.privateKey;
+  }
+}
+
+module.exports = {
+  Keystore,
+  encryptKey,
+  decryptKey,
+  signPersonalMessage,
+  recoverPersonalMessage
+};
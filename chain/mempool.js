@@ -0,0 +1,197 @@
+/**
+ * IperChain Transaction Pool
+ *
+ * Holds the transactions waiting to be included in a block:
+ * - transactions are kept per sender and ordered by nonce
+ * - a transaction is "pending" (executable) when every lower nonce of its
+ *   sender is already on chain or pending, and "queued" while there is a gap
+ * - a pending transaction can be replaced by one with the same nonce and a
+ *   gas price at least `priceBump` percent higher
+ * - the number of transactions per sender and in total is limited
+ *
+ * Block producers take the pending transactions in a deterministic order:
+ * nonce order for each sender, arrival order across senders.
+ */
+
+const DEFAULT_OPTIONS = {
+  maxPerAccount: 64, // Transactions per sender, pending and queued
+  maxSize: 4096, // Transactions in the whole pool
+  priceBump: 10, // Minimum gas price increase (percent) to replace a transaction
+  minGasPrice: 0 // Lowest gas price accepted (wei)
+};
+
+class TxPool {
+  // getAccountNonce(address) returns the nonce of an account in the head state
+  constructor(getAccountNonce, options = {}) {
+    this.getAccountNonce = getAccountNonce;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.senders = new Map(); // Sender -> Map(nonce -> entry)
+    this.byHash = new Map(); // Transaction hash -> entry
+    this.sequence = 0; // Arrival counter, to order transactions of different senders
+  }
+
+  get size() {
+    return this.byHash.size;
+  }
+
+  has(hash) {
+    return this.byHash.has(hash);
+  }
+
+  get(hash) {
+    const entry = this.byHash.get(hash);
+    return entry ? entry.tx : null;
+  }
+
+  // Add a transaction. Returns 'pending', 'queued' or 'replaced', and throws
+  // when the transaction is refused.
+  add(tx) {
+    if (this.byHash.has(tx.hash)) {
+      throw new Error(`already known: ${tx.hash}`);
+    }
+
+    if (BigInt(tx.gasPrice) < BigInt(this.options.minGasPrice)) {
+      throw new Error(`transaction underpriced: gas price must be at least ${this.options.minGasPrice}`);
+    }
+
+    const sender = tx.from.toLowerCase();
+    const nonce = Number(tx.nonce);
+    const accountNonce = this.getAccountNonce(tx.from);
+
+    if (nonce < accountNonce) {
+      throw new Error(`nonce too low: next nonce ${accountNonce}, transaction nonce ${nonce}`);
+    }
+
+    const queue = this.senders.get(sender) || new Map();
+    const existing = queue.get(nonce);
+
+    if (existing) {
+      const minPrice = BigInt(existing.tx.gasPrice) * BigInt(100 + this.options.priceBump) / 100n;
+      if (BigInt(tx.gasPrice) < minPrice) {
+        throw new Error(`replacement transaction underpriced: gas price must be at least ${minPrice}`);
+      }
+
+      this.byHash.delete(existing.tx.hash);
+    } else {
+      if (queue.size >= this.options.maxPerAccount) {
+        throw new Error(`account limit reached: ${sender} has ${queue.size} transactions in the pool`);
+      }
+
+      if (this.size >= this.options.maxSize) {
+        throw new Error('transaction pool is full');
+      }
+    }
+
+    // A replacement keeps the position of the transaction it replaces
+    const entry = { tx, sequence: existing ? existing.sequence : this.sequence++ };
+    queue.set(nonce, entry);
+    this.senders.set(sender, queue);
+    this.byHash.set(tx.hash, entry);
+
+    if (existing) {
+      return 'replaced';
+    }
+    return nonce < this.nextNonce(tx.from) ? 'pending' : 'queued';
+  }
+
+  // Remove a transaction from the pool
+  remove(hash) {
+    const entry = this.byHash.get(hash);
+
+    if (!entry) {
+      return;
+    }
+
+    const sender = entry.tx.from.toLowerCase();
+    const queue = this.senders.get(sender);
+
+    queue.delete(Number(entry.tx.nonce));
+    if (queue.size === 0) {
+      this.senders.delete(sender);
+    }
+    this.byHash.delete(hash);
+  }
+
+  // Drop the transactions whose nonce was used on chain (included or replaced
+  // by another transaction), after the head of the chain changed
+  prune() {
+    this.senders.forEach(queue => {
+      const accountNonce = this.getAccountNonce(this.firstEntry(queue).tx.from);
+
+      queue.forEach((entry, nonce) => {
+        if (nonce < accountNonce) {
+          this.remove(entry.tx.hash);
+        }
+      });
+    });
+  }
+
+  // Next nonce of an account: the account nonce plus its run of pending transactions
+  nextNonce(address) {
+    let nonce = this.getAccountNonce(address);
+    const queue = this.senders.get(address.toLowerCase());
+
+    while (queue && queue.has(nonce)) {
+      nonce++;
+    }
+    return nonce;
+  }
+
+  // Pending (executable) and queued transactions, per sender and nonce
+  content() {
+    const pending = {};
+    const queued = {};
+
+    this.senders.forEach(queue => {
+      const address = this.firstEntry(queue).tx.from;
+      const nextNonce = this.nextNonce(address);
+
+      Array.from(queue.keys()).sort((a, b) => a - b).forEach(nonce => {
+        const target = nonce < nextNonce ? pending : queued;
+        target[address] = target[address] || {};
+        target[address][nonce] = queue.get(nonce).tx;
+      });
+    });
+
+    return { pending, queued };
+  }
+
+  // Number of pending and queued transactions
+  status() {
+    const { pending, queued } = this.content();
+    const count = group => Object.values(group).reduce((total, txs) => total + Object.keys(txs).length, 0);
+
+    return { pending: count(pending), queued: count(queued) };
+  }
+
+  // Executable transactions in inclusion order: by nonce for each sender, and
+  // by arrival across senders. At most `limit` transactions are returned.
+  pending(limit = Infinity) {
+    const { pending } = this.content();
+    const runs = Object.values(pending).map(txs => Object.values(txs));
+    const selected = [];
+
+    while (selected.length < limit) {
+      let next = null;
+
+      runs.forEach(run => {
+        if (run.length > 0 && (!next || this.byHash.get(run[0].hash).sequence < this.byHash.get(next[0].hash).sequence)) {
+          next = run;
+        }
+      });
+
+      if (!next) {
+        break;
+      }
+      selected.push(next.shift());
+    }
+
+    return selected;
+  }
+
+  firstEntry(queue) {
+    return queue.values().next().value;
+  }
+}
+
+module.exports = TxPool;
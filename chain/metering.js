@@ -0,0 +1,427 @@
+/**
+ * IperChain Contract Metering
+ *
+ * Rewrites the source of a contract so that it counts its own steps: every
+ * loop iteration and every function call first calls __iperchain.step(),
+ * which the contract runtime charges gas for. The number of steps depends
+ * only on the code and its input, so every node runs a contract for the same
+ * number of steps and charges the same gas, and a contract that loops
+ * forever runs out of gas.
+ *
+ *   while (c) ...              while (__iperchain.step() && (c)) ...
+ *   for (a; c; b) ...          for (a; __iperchain.step() && (c); b) ...
+ *   for (x of xs) ...          for (x of __iperchain.iterate(xs)) ...
+ *   for (k in o) ...           for (k of __iperchain.keys(o)) ...
+ *   function f(a) { ... }      function f(a) { __iperchain.step(); ... }
+ *   a => a + 1                 a => (__iperchain.step(), a + 1)
+ *
+ * The rewriting works on tokens rather than on a syntax tree, so it rejects
+ * the constructs whose tokens could be read in two ways, and those that could
+ * reach __iperchain by name: regular expression literals (contracts have no
+ * regular expressions, see chain/contracts.js), `with` statements, `for await` loops, HTML comments, escapes in identifiers
+ * and identifiers starting with __iperchain.
+ */
+
+const METER = '__iperchain';
+const STEP = `${METER}.step()`;
+
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '%=', '&=', '|=', '^=',
+  '<<', '>>', '**', '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '%', '&', '|', '^',
+  '!', '~', '?', ':', '=', '.'
+];
+
+// Names after which an expression starts rather than ends: a / after them
+// would start a regular expression
+const OPERATOR_NAMES = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'export', 'extends', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let',
+  'new', 'of', 'return', 'switch', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+// Statements whose parenthesised header is followed by a body
+const CONTROL_NAMES = new Set(['if', 'while', 'for', 'switch', 'catch']);
+
+// Punctuators after which { opens an object literal
+const EXPRESSION_OPENERS = new Set(PUNCTUATORS.filter(p => !['{', '}', ')', ']', ';', '=>', ':', '++', '--', '.', '?.'].includes(p)));
+
+const NAME = /#?[$_\p{ID_Start}][$\u200c\u200d\p{ID_Continue}]*/uy;
+const NUMBER = /(\d|\.\d)[\w.]*/y;
+const WHITESPACE = /\s+/y;
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+
+function fail(message, source, offset) {
+  const line = source.slice(0, offset).split(/\r\n|[\n\r\u2028\u2029]/).length;
+  throw new Error(`${message} (line ${line})`);
+}
+
+// Tokens of the source: { type, value, start, end, newline, ... }, where
+// brackets know their match, a ( the statement it is the header of, a { what
+// it opens ('block', 'object', 'function' or 'class') and every token whether
+// an expression ends with it
+function tokenize(source) {
+  const tokens = [];
+  const open = []; // Indices of the open brackets and template substitutions
+  let newline = false;
+  let classDepth = null; // Depth of a class whose body has not started yet
+  let offset = 0;
+
+  const last = () => tokens[tokens.length - 1];
+  const isProperty = index => index > 0 && ['.', '?.'].includes(tokens[index - 1].value) && tokens[index - 1].type === 'punct';
+  const innermost = () => open.length > 0 ? tokens[open[open.length - 1]] : null;
+
+  function push(token) {
+    token.newline = newline;
+    newline = false;
+    tokens.push(token);
+    return token;
+  }
+
+  // Scan a template from `start` (after ` or }) to its end or next substitution
+  function scanTemplate(start) {
+    let i = start;
+    while (i < source.length) {
+      if (source[i] === '\\') {
+        i += 2;
+      } else if (source[i] === '`') {
+        return { end: i + 1, substitution: false };
+      } else if (source[i] === '$' && source[i + 1] === '{') {
+        return { end: i + 2, substitution: true };
+      } else {
+        i++;
+      }
+    }
+    return fail('unterminated template literal', source, start);
+  }
+
+  function closeBracket(value, start) {
+    const opener = innermost();
+    const expected = { ')': '(', ']': '[', '}': '{' }[value];
+
+    if (!opener || opener.value !== expected) {
+      fail(`unexpected ${value}`, source, start);
+    }
+
+    const token = push({ type: 'punct', value, start, end: start + 1, match: open.pop() });
+    opener.match = tokens.length - 1;
+
+    if (value === ')') {
+      token.endsExpression = opener.header === null;
+    } else if (value === ']') {
+      token.endsExpression = true;
+    } else {
+      token.endsExpression = opener.kind === 'object';
+    }
+  }
+
+  while (offset < source.length) {
+    const char = source[offset];
+    const next = source[offset + 1];
+
+    WHITESPACE.lastIndex = offset;
+    const space = WHITESPACE.exec(source);
+    if (space) {
+      newline = newline || LINE_TERMINATOR.test(space[0]);
+      offset += space[0].length;
+      continue;
+    }
+
+    if (char === '/' && next === '/') {
+      const end = source.slice(offset).search(LINE_TERMINATOR);
+      offset = end === -1 ? source.length : offset + end;
+      continue;
+    }
+    if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', offset + 2);
+      if (end === -1) {
+        fail('unterminated comment', source, offset);
+      }
+      newline = newline || LINE_TERMINATOR.test(source.slice(offset, end));
+      offset = end + 2;
+      continue;
+    }
+    if (char === '/') {
+      if (!tokens.length || !last().endsExpression) {
+        fail('regular expression literals are not supported', source, offset);
+      }
+      const value = next === '=' ? '/=' : '/';
+      push({ type: 'punct', value, start: offset, end: offset + value.length });
+      offset += value.length;
+      continue;
+    }
+
+    if (source.startsWith('<!--', offset) || source.startsWith('-->', offset)) {
+      fail('HTML comments are not supported', source, offset);
+    }
+
+    if (char === '"' || char === "'") {
+      let i = offset + 1;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\n' || source[i] === '\r') {
+          break;
+        }
+        i += source[i] === '\\' ? (source[i + 1] === '\r' && source[i + 2] === '\n' ? 3 : 2) : 1;
+      }
+      if (source[i] !== char) {
+        fail('unterminated string', source, offset);
+      }
+      push({ type: 'string', value: source.slice(offset, i + 1), start: offset, end: i + 1, endsExpression: true });
+      offset = i + 1;
+      continue;
+    }
+
+    if (char === '`') {
+      const { end, substitution } = scanTemplate(offset + 1);
+      push({ type: 'template', part: substitution ? 'open' : 'full', start: offset, end, endsExpression: !substitution });
+      if (substitution) {
+        open.push(tokens.length - 1);
+      }
+      offset = end;
+      continue;
+    }
+
+    if (char === '}' && innermost() && innermost().type === 'template') {
+      const { end, substitution } = scanTemplate(offset + 1);
+      const token = push({ type: 'template', part: substitution ? 'middle' : 'close', start: offset, end, endsExpression: !substitution });
+      if (!substitution) {
+        token.match = open.pop();
+        tokens[token.match].match = tokens.length - 1;
+      }
+      offset = end;
+      continue;
+    }
+
+    NUMBER.lastIndex = offset;
+    const number = NUMBER.exec(source);
+    if (number) {
+      push({ type: 'number', value: number[0], start: offset, end: offset + number[0].length, endsExpression: true });
+      offset += number[0].length;
+      continue;
+    }
+
+    NAME.lastIndex = offset;
+    const name = NAME.exec(source);
+    if (name) {
+      const value = name[0];
+      const property = isProperty(tokens.length);
+
+      if (value.startsWith(METER)) {
+        fail(`identifiers starting with ${METER} are reserved`, source, offset);
+      }
+      if (value === 'with' && !property) {
+        fail('with statements are not supported', source, offset);
+      }
+
+      // A class that turns out to be a property name is not a class
+      if (classDepth !== null && tokens[tokens.length - 1].value === 'class' && !(value === 'extends' || !OPERATOR_NAMES.has(value))) {
+        classDepth = null;
+      }
+      if (value === 'class' && !property) {
+        classDepth = open.length;
+      }
+
+      push({ type: 'name', value, start: offset, end: offset + value.length, endsExpression: property || !OPERATOR_NAMES.has(value) });
+      offset += value.length;
+      continue;
+    }
+
+    if (char === '\\') {
+      fail('escapes in identifiers are not supported', source, offset);
+    }
+
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, offset) && !(p === '?.' && /\d/.test(source[offset + 2] || '')));
+    if (!punctuator) {
+      fail(`unexpected character ${JSON.stringify(char)}`, source, offset);
+    }
+
+    const previous = last();
+    if (classDepth !== null && previous && previous.value === 'class' && previous.type === 'name' && punctuator !== '{') {
+      classDepth = null;
+    }
+
+    if (punctuator === ')' || punctuator === ']' || punctuator === '}') {
+      closeBracket(punctuator, offset);
+    } else {
+      const token = push({ type: 'punct', value: punctuator, start: offset, end: offset + punctuator.length, endsExpression: false });
+      const outer = innermost();
+      const inBody = outer && outer.value === '{' && (outer.kind === 'object' || outer.kind === 'class');
+
+      if (punctuator === '(') {
+        // if (...), while (...): not a method of an object or class named like them
+        const keyword = previous && previous.type === 'name' && !isProperty(tokens.length - 2) && !inBody ? previous.value : null;
+        if (keyword === 'await' && tokens[tokens.length - 3] && tokens[tokens.length - 3].value === 'for') {
+          fail('for await loops are not supported', source, offset);
+        }
+        token.header = CONTROL_NAMES.has(keyword) ? keyword : null;
+        open.push(tokens.length - 1);
+      } else if (punctuator === '[') {
+        open.push(tokens.length - 1);
+      } else if (punctuator === '{') {
+        if (previous && (previous.value === '=>' || (previous.value === ')' && previous.type === 'punct' && tokens[previous.match].header === null))) {
+          token.kind = 'function';
+        } else if (classDepth === open.length) {
+          token.kind = 'class';
+        } else if (previous && previous.type === 'punct' && EXPRESSION_OPENERS.has(previous.value)) {
+          token.kind = 'object';
+        } else if (previous && previous.value === ':' && previous.type === 'punct' && outer && (outer.value !== '{' || outer.kind === 'object')) {
+          token.kind = 'object';
+        } else {
+          token.kind = 'block';
+        }
+        if (classDepth === open.length) {
+          classDepth = null;
+        }
+        open.push(tokens.length - 1);
+      }
+    }
+    offset += punctuator.length;
+  }
+
+  if (open.length > 0) {
+    fail('unclosed bracket', source, tokens[open[open.length - 1]].start);
+  }
+  return tokens;
+}
+
+const isOpening = token => (token.type === 'punct' && ['(', '[', '{'].includes(token.value)) || (token.type === 'template' && token.part === 'open');
+const isClosing = token => (token.type === 'punct' && [')', ']', '}'].includes(token.value)) || (token.type === 'template' && token.part === 'close');
+
+// Whether automatic semicolon insertion ends an expression between two tokens
+// on different lines
+function endsStatement(previous, token) {
+  if (!token.newline || !(previous.endsExpression || ['++', '--'].includes(previous.value))) {
+    return false;
+  }
+  if (token.type === 'name') {
+    return !['in', 'instanceof'].includes(token.value);
+  }
+  return token.type === 'number' || token.type === 'string' ||
+    (token.type === 'punct' && ['{', '!', '~', '++', '--'].includes(token.value));
+}
+
+// Index of the token after the expression body of an arrow function starting at `start`
+function arrowBodyEnd(tokens, start) {
+  let depth = 0;
+  let conditionals = 0;
+
+  for (let i = start; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (i > start && depth === 0 && endsStatement(tokens[i - 1], token)) {
+      return i;
+    }
+    if (isClosing(token) || (token.type === 'template' && token.part === 'middle')) {
+      if (depth === 0) {
+        return i;
+      }
+      if (isClosing(token)) {
+        depth--;
+      }
+    } else if (isOpening(token)) {
+      depth++;
+    } else if (depth === 0 && token.type === 'punct') {
+      if (token.value === ',' || token.value === ';') {
+        return i;
+      }
+      if (token.value === '?') {
+        conditionals++;
+      } else if (token.value === ':') {
+        if (conditionals === 0) {
+          return i;
+        }
+        conditionals--;
+      }
+    }
+  }
+  return tokens.length;
+}
+
+// Top-level tokens between the brackets of a for header
+function headerTokens(tokens, open) {
+  const indices = [];
+  for (let i = open + 1; i < tokens[open].match; i++) {
+    indices.push(i);
+    if (isOpening(tokens[i])) {
+      i = tokens[i].match;
+    }
+  }
+  return indices;
+}
+
+// Source of a contract with its loops and functions metered; throws for code
+// that cannot be metered
+function instrument(source) {
+  const tokens = tokenize(source);
+  const insertions = []; // { offset, text, replace, closing }
+
+  const insert = (offset, text, closing = false, replace = 0) => insertions.push({ offset, text, closing, replace });
+
+  tokens.forEach((token, index) => {
+    const next = tokens[index + 1];
+
+    if (token.type === 'punct' && token.value === '(' && token.header === 'while') {
+      insert(token.end, `${STEP} && (`);
+      insert(tokens[token.match].start, ')', true);
+    }
+
+    if (token.type === 'punct' && token.value === '(' && token.header === 'for') {
+      const header = headerTokens(tokens, index);
+      const semicolons = header.filter(i => tokens[i].type === 'punct' && tokens[i].value === ';');
+
+      if (semicolons.length === 2) {
+        const [first, second] = semicolons;
+        if (second === first + 1) {
+          insert(tokens[first].end, STEP);
+        } else {
+          insert(tokens[first].end, `${STEP} && (`);
+          insert(tokens[second].start, ')', true);
+        }
+      } else {
+        const separator = header.find(i => tokens[i].type === 'name' && ['in', 'of'].includes(tokens[i].value) &&
+          i > index + 1 && !['let', 'const', 'var'].includes(tokens[i - 1].value));
+
+        if (semicolons.length !== 0 || separator === undefined) {
+          fail('malformed for loop', source, token.start);
+        }
+        if (tokens[separator].value === 'in') {
+          insert(tokens[separator].start, `of ${METER}.keys(`, false, 2);
+        } else {
+          insert(tokens[separator].end, ` ${METER}.iterate(`);
+        }
+        insert(tokens[token.match].start, ')', true);
+      }
+    }
+
+    if (token.type === 'punct' && token.value === '{' && token.kind === 'function') {
+      // After the directives ('use strict'), which must come first
+      let body = index + 1;
+      while (tokens[body].type === 'string' &&
+        ((tokens[body + 1].type === 'punct' && [';', '}'].includes(tokens[body + 1].value)) || tokens[body + 1].newline)) {
+        body += tokens[body + 1].type === 'punct' && tokens[body + 1].value === ';' ? 2 : 1;
+      }
+      insert(tokens[body - 1].end, `${tokens[body - 1].type === 'string' ? ';' : ''}${STEP};`);
+    }
+
+    if (token.type === 'punct' && token.value === '=>' && !(next && next.type === 'punct' && next.value === '{')) {
+      const end = arrowBodyEnd(tokens, index + 1);
+      insert(token.end, `(${STEP}, `);
+      insert(tokens[end - 1].end, ')', true);
+    }
+  });
+
+  // Closing insertions go before opening ones at the same offset
+  insertions.sort((a, b) => a.offset - b.offset || Number(b.closing) - Number(a.closing));
+
+  let result = '';
+  let position = 0;
+  insertions.forEach(({ offset, text, replace }) => {
+    result += source.slice(position, offset) + text;
+    position = offset + replace;
+  });
+  return result + source.slice(position);
+}
+
+module.exports = {
+  instrument
+};
@@ -0,0 +1,117 @@
+/**
+ * IperChain RLP
+ *
+ * Recursive Length Prefix encoding, the serialization Ethereum uses for
+ * signed transactions. An item is either a byte string (Buffer) or a list
+ * of items (Array).
+ */
+
+// Encode the length prefix of a string (offset 0x80) or list (offset 0xc0)
+function encodeLength(length, offset) {
+  if (length < 56) {
+    return Buffer.from([offset + length]);
+  }
+
+  const lengthBytes = Buffer.from(toMinimalHex(length), 'hex');
+  return Buffer.concat([Buffer.from([offset + 55 + lengthBytes.length]), lengthBytes]);
+}
+
+function toMinimalHex(value) {
+  const hex = value.toString(16);
+  return hex.length % 2 === 0 ? hex : '0' + hex;
+}
+
+// Encode a Buffer or a nested Array of Buffers
+function encode(item) {
+  if (Array.isArray(item)) {
+    const payload = Buffer.concat(item.map(encode));
+    return Buffer.concat([encodeLength(payload.length, 0xc0), payload]);
+  }
+
+  if (!Buffer.isBuffer(item)) {
+    throw new Error('RLP can only encode Buffers and Arrays');
+  }
+
+  if (item.length === 1 && item[0] < 0x80) {
+    return item;
+  }
+
+  return Buffer.concat([encodeLength(item.length, 0x80), item]);
+}
+
+// Decode one item at `offset`; returns the item and the offset after it
+function decodeItem(data, offset) {
+  if (offset >= data.length) {
+    throw new Error('RLP: unexpected end of input');
+  }
+
+  const prefix = data[offset];
+
+  if (prefix < 0x80) {
+    return { item: data.slice(offset, offset + 1), end: offset + 1 };
+  }
+
+  const isList = prefix >= 0xc0;
+  const base = isList ? 0xc0 : 0x80;
+  let length = prefix - base;
+  let start = offset + 1;
+
+  if (length > 55) {
+    const lengthOfLength = length - 55;
+    const lengthBytes = data.slice(start, start + lengthOfLength);
+
+    if (lengthBytes.length !== lengthOfLength || lengthBytes[0] === 0) {
+      throw new Error('RLP: invalid length prefix');
+    }
+
+    length = parseInt(lengthBytes.toString('hex'), 16);
+    start += lengthOfLength;
+
+    if (length < 56) {
+      throw new Error('RLP: non-canonical length');
+    }
+  }
+
+  const end = start + length;
+  if (end > data.length) {
+    throw new Error('RLP: item longer than input');
+  }
+
+  if (!isList) {
+    const item = data.slice(start, end);
+    if (length === 1 && item[0] < 0x80) {
+      throw new Error('RLP: non-canonical single byte');
+    }
+    return { item, end };
+  }
+
+  const items = [];
+  let position = start;
+  while (position < end) {
+    const decoded = decodeItem(data, position);
+    items.push(decoded.item);
+    position = decoded.end;
+  }
+
+  if (position !== end) {
+    throw new Error('RLP: list length mismatch');
+  }
+
+  return { item: items, end };
+}
+
+// Decode a complete RLP encoded Buffer
+function decode(data) {
+  const { item, end } = decodeItem(data, 0);
+
+  if (end !== data.length) {
+    throw new Error('RLP: trailing bytes after item');
+  }
+
+  return item;
+}
+
+module.exports = {
+  encode,
+  decode
+};
@@ -0,0 +1,150 @@
+/**
+ * IperChain Chain Store
+ *
+ * Persists the ledger of an IperChain node (blocks, receipts, accounts and
+ * deployed contracts) to a data directory so that the chain survives restarts.
+ *
+ * Layout of the data directory:
+ *   blocks/<hash>.json  - one file per block of any branch, with the receipts of its transactions
+ *   state.json          - head of the chain, latest final block, accounts and contracts
+ *
+ * Every file is written atomically (temporary file, fsync, rename), so a crash
+ * leaves either the previous or the new version on disk, never a partial one.
+ * A block is always written before the state that points to it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class ChainStore {
+  constructor(datadir) {
+    this.datadir = path.resolve(datadir);
+    this.blocksDir = path.join(this.datadir, 'blocks');
+    this.stateFile = path.join(this.datadir, 'state.json');
+  }
+
+  // Create the data directory layout and drop leftovers of interrupted writes
+  open() {
+    fs.mkdirSync(this.blocksDir, { recursive: true });
+
+    for (const dir of [this.datadir, this.blocksDir]) {
+      fs.readdirSync(dir)
+        .filter(file => file.endsWith('.tmp'))
+        .forEach(file => fs.unlinkSync(path.join(dir, file)));
+    }
+  }
+
+  // Write a file so that it is either fully replaced or left untouched
+  writeFileAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tmpPath, filePath);
+    this.syncDirectory(path.dirname(filePath));
+  }
+
+  // Flush the directory entry of a renamed file (not supported on every platform)
+  syncDirectory(dir) {
+    let fd;
+    try {
+      fd = fs.openSync(dir, 'r');
+      fs.fsyncSync(fd);
+    } catch (error) {
+      // Ignore, the rename itself is still atomic
+    } finally {
+      if (fd !== undefined) {
+        fs.closeSync(fd);
+      }
+    }
+  }
+
+  // Persist a block together with the receipts of its transactions
+  saveBlock(block, receipts) {
+    this.writeFileAtomic(
+      path.join(this.blocksDir, `${block.hash}.json`),
+      JSON.stringify({ block, receipts })
+    );
+  }
+
+  // Forget a block that can no longer become canonical
+  deleteBlock(hash) {
+    fs.rmSync(path.join(this.blocksDir, `${hash}.json`), { force: true });
+  }
+
+  // Read a stored block record, or null if it is not on disk
+  readBlock(hash) {
+    const blockFile = path.join(this.blocksDir, `${hash}.json`);
+
+    if (!fs.existsSync(blockFile)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(blockFile, 'utf8'));
+  }
+
+  // Persist the head of the chain, the latest final block and the world state after the head
+  saveState({ headHash, finalized, accounts, contracts }) {
+    this.writeFileAtomic(
+      this.stateFile,
+      JSON.stringify({ headHash, finalized, accounts, contracts }, null, 2)
+    );
+  }
+
+  // Load the stored chain, walking back from the head to genesis, and the
+  // blocks of the other branches above the latest final block (`branches`, by
+  // number). Returns null when the data directory holds no chain yet.
+  load() {
+    if (!fs.existsSync(this.stateFile)) {
+      return null;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    const blocks = [];
+    const receipts = {};
+    let hash = saved.headHash;
+
+    while (hash) {
+      const record = this.readBlock(hash);
+
+      if (!record) {
+        throw new Error(`Block ${hash} is referenced by the chain but missing from ${this.blocksDir}`);
+      }
+
+      blocks.push(record.block);
+      record.receipts.forEach(receipt => {
+        receipts[receipt.transactionHash] = receipt;
+      });
+
+      hash = Number(record.block.number) === 0 ? null : record.block.parentHash;
+    }
+
+    // Collected from the head down: put genesis first
+    blocks.reverse();
+
+    const canonical = new Set(blocks.map(block => block.hash));
+    const finalNumber = saved.finalized ? saved.finalized.number : 0;
+    const branches = fs.readdirSync(this.blocksDir)
+      .filter(file => file.endsWith('.json') && !canonical.has(file.slice(0, -'.json'.length)))
+      .map(file => this.readBlock(file.slice(0, -'.json'.length)).block)
+      .filter(block => Number(block.number) > finalNumber)
+      .sort((a, b) => Number(a.number) - Number(b.number));
+
+    return {
+      blocks,
+      branches,
+      receipts,
+      finalized: saved.finalized,
+      accounts: saved.accounts,
+      contracts: saved.contracts
+    };
+  }
+}
+
+module.exports = ChainStore;
@@ -0,0 +1,299 @@
+/**
+ * IperChain Signed Transactions
+ *
+ * Decoding, signing and sender recovery for Ethereum-style signed transactions,
+ * so that actors sign with their own secp256k1 keys and the node derives the
+ * sender from the signature instead of trusting a `from` field.
+ *
+ * Supported formats:
+ * - legacy (EIP-155): rlp([nonce, gasPrice, gas, to, value, data, v, r, s])
+ * - EIP-1559 (type 2): 0x02 || rlp([chainId, nonce, maxPriorityFeePerGas,
+ *   maxFeePerGas, gas, to, value, data, accessList, yParity, r, s])
+ *
+ * Transactions must be replay-protected with the IperChain chain ID.
+ */
+
+const { keccak256 } = require('ethereum-cryptography/keccak');
+const { secp256k1 } = require('ethereum-cryptography/secp256k1');
+const rlp = require('./rlp');
+
+const CHAIN_ID = 0x539; // 1337
+
+const HALF_CURVE_ORDER = secp256k1.CURVE.n / 2n;
+
+function keccak(data) {
+  return Buffer.from(keccak256(data));
+}
+
+function toHex(buffer) {
+  return '0x' + Buffer.from(buffer).toString('hex');
+}
+
+function hexToBuffer(hex) {
+  if (typeof hex !== 'string' || !/^0x([0-9a-f]{2})*$/i.test(hex)) {
+    throw new Error(`Invalid hex data: ${hex}`);
+  }
+  return Buffer.from(hex.slice(2), 'hex');
+}
+
+// RLP integer (big-endian, no leading zeros) -> hex quantity
+function bufferToQuantity(buffer) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new Error('Expected an integer, got a list');
+  }
+  if (buffer.length > 0 && buffer[0] === 0) {
+    throw new Error('Integer with leading zeros');
+  }
+  return buffer.length === 0 ? '0x0' : '0x' + BigInt(toHex(buffer)).toString(16);
+}
+
+// Hex quantity (or number) -> RLP integer
+function quantityToBuffer(value) {
+  const big = BigInt(value || 0);
+  if (big === 0n) {
+    return Buffer.alloc(0);
+  }
+
+  const hex = big.toString(16);
+  return Buffer.from(hex.length % 2 === 0 ? hex : '0' + hex, 'hex');
+}
+
+function bufferToAddress(buffer) {
+  if (buffer.length === 0) {
+    return null; // Contract creation
+  }
+  if (buffer.length !== 20) {
+    throw new Error('Invalid recipient address');
+  }
+  return toHex(buffer);
+}
+
+function encodeAccessList(accessList = []) {
+  return accessList.map(({ address, storageKeys = [] }) => [hexToBuffer(address), storageKeys.map(hexToBuffer)]);
+}
+
+// Access list of an EIP-1559 transaction: a list of [address, [storage key, ...]]
+function decodeAccessList(items) {
+  const isEntry = item => Array.isArray(item) && item.length === 2 &&
+    Buffer.isBuffer(item[0]) && item[0].length === 20 &&
+    Array.isArray(item[1]) && item[1].every(key => Buffer.isBuffer(key) && key.length === 32);
+
+  if (!Array.isArray(items) || !items.every(isEntry)) {
+    throw new Error('invalid access list');
+  }
+
+  return items.map(([address, storageKeys]) => ({
+    address: toHex(address),
+    storageKeys: storageKeys.map(toHex)
+  }));
+}
+
+function isDynamicFee(tx) {
+  return Number(tx.type) === 2;
+}
+
+// Bytes covered by the signature of a transaction
+function signingPayload(tx) {
+  const to = tx.to ? hexToBuffer(tx.to) : Buffer.alloc(0);
+  const input = hexToBuffer(tx.input || '0x');
+
+  if (isDynamicFee(tx)) {
+    return Buffer.concat([Buffer.from([0x02]), rlp.encode([
+      quantityToBuffer(tx.chainId),
+      quantityToBuffer(tx.nonce),
+      quantityToBuffer(tx.maxPriorityFeePerGas),
+      quantityToBuffer(tx.maxFeePerGas),
+      quantityToBuffer(tx.gas),
+      to,
+      quantityToBuffer(tx.value),
+      input,
+      encodeAccessList(tx.accessList)
+    ])]);
+  }
+
+  // EIP-155: the chain ID takes the place of the signature
+  return rlp.encode([
+    quantityToBuffer(tx.nonce),
+    quantityToBuffer(tx.gasPrice),
+    quantityToBuffer(tx.gas),
+    to,
+    quantityToBuffer(tx.value),
+    input,
+    quantityToBuffer(tx.chainId),
+    Buffer.alloc(0),
+    Buffer.alloc(0)
+  ]);
+}
+
+// Signed transaction bytes, as sent to eth_sendRawTransaction
+function serializeTransaction(tx) {
+  const payload = signingPayload(tx);
+  const signature = [quantityToBuffer(tx.v), quantityToBuffer(tx.r), quantityToBuffer(tx.s)];
+
+  if (isDynamicFee(tx)) {
+    const fields = rlp.decode(payload.slice(1));
+    return Buffer.concat([Buffer.from([0x02]), rlp.encode([...fields, ...signature])]);
+  }
+
+  return rlp.encode([...rlp.decode(payload).slice(0, 6), ...signature]);
+}
+
+// Recover the sender address from the signature of a transaction.
+// Throws if the signature is invalid.
+function recoverSender(tx) {
+  const chainId = Number(tx.chainId);
+  const recovery = isDynamicFee(tx) ? Number(tx.v) : Number(tx.v) - (chainId * 2 + 35);
+  const r = BigInt(tx.r);
+  const s = BigInt(tx.s);
+
+  if (recovery !== 0 && recovery !== 1) {
+    throw new Error('invalid signature: bad recovery id');
+  }
+
+  // EIP-2: only the low s value is valid, so a signature cannot be malleated
+  if (r === 0n || s === 0n || s > HALF_CURVE_ORDER) {
+    throw new Error('invalid signature: r or s out of range');
+  }
+
+  const publicKey = new secp256k1.Signature(r, s)
+    .addRecoveryBit(recovery)
+    .recoverPublicKey(keccak(signingPayload(tx)))
+    .toRawBytes(false);
+
+  return toHex(keccak(publicKey.slice(1)).slice(-20));
+}
+
+// Decode a raw signed transaction and recover its sender.
+// Throws on malformed data, a wrong chain ID or an invalid signature.
+function decodeRawTransaction(raw) {
+  const bytes = hexToBuffer(raw);
+
+  if (bytes.length === 0) {
+    throw new Error('empty transaction');
+  }
+
+  let tx;
+
+  if (bytes[0] >= 0xc0) {
+    const fields = rlp.decode(bytes);
+    if (!Array.isArray(fields) || fields.length !== 9) {
+      throw new Error('invalid legacy transaction: expected 9 fields');
+    }
+
+    const [nonce, gasPrice, gas, to, value, input, v, r, s] = fields;
+    const vNumber = Number(bufferToQuantity(v));
+
+    if (vNumber === 27 || vNumber === 28) {
+      throw new Error(`transaction is not replay-protected: sign it with chain ID 0x${CHAIN_ID.toString(16)}`);
+    }
+
+    tx = {
+      type: '0x0',
+      chainId: '0x' + Math.floor((vNumber - 35) / 2).toString(16),
+      nonce: bufferToQuantity(nonce),
+      gasPrice: bufferToQuantity(gasPrice),
+      gas: bufferToQuantity(gas),
+      to: bufferToAddress(to),
+      value: bufferToQuantity(value),
+      input: toHex(input),
+      v: bufferToQuantity(v),
+      r: bufferToQuantity(r),
+      s: bufferToQuantity(s)
+    };
+  } else if (bytes[0] === 0x02) {
+    const fields = rlp.decode(bytes.slice(1));
+    if (!Array.isArray(fields) || fields.length !== 12) {
+      throw new Error('invalid EIP-1559 transaction: expected 12 fields');
+    }
+
+    const [chainId, nonce, maxPriorityFeePerGas, maxFeePerGas, gas, to, value, input, accessList, v, r, s] = fields;
+
+    tx = {
+      type: '0x2',
+      chainId: bufferToQuantity(chainId),
+      nonce: bufferToQuantity(nonce),
+      maxPriorityFeePerGas: bufferToQuantity(maxPriorityFeePerGas),
+      maxFeePerGas: bufferToQuantity(maxFeePerGas),
+      gasPrice: bufferToQuantity(maxFeePerGas), // Highest price the sender pays per gas
+      gas: bufferToQuantity(gas),
+      to: bufferToAddress(to),
+      value: bufferToQuantity(value),
+      input: toHex(input),
+      accessList: decodeAccessList(accessList),
+      v: bufferToQuantity(v),
+      r: bufferToQuantity(r),
+      s: bufferToQuantity(s)
+    };
+  } else {
+    throw new Error(`unsupported transaction type ${toHex(bytes.slice(0, 1))}`);
+  }
+
+  if (Number(tx.chainId) !== CHAIN_ID) {
+    throw new Error(`invalid chain ID ${tx.chainId}, expected 0x${CHAIN_ID.toString(16)}`);
+  }
+
+  tx.from = recoverSender(tx);
+  tx.hash = toHex(keccak(bytes));
+
+  return tx;
+}
+
+// Check a decoded transaction received from a peer: its hash must match its
+// content and the signature must recover to its `from` address
+function verifyTransaction(tx) {
+  try {
+    return Number(tx.chainId) === CHAIN_ID &&
+      tx.hash === toHex(keccak(serializeTransaction(tx))) &&
+      recoverSender(tx) === tx.from.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+}
+
+// A transaction carries a signature when it was submitted as a raw transaction
+function isSignedTransaction(tx) {
+  return tx.r !== undefined && tx.s !== undefined && tx.v !== undefined;
+}
+
+// Address of a secp256k1 private key (hex string or Buffer)
+function privateKeyToAddress(privateKey) {
+  const key = typeof privateKey === 'string' ? hexToBuffer(privateKey) : privateKey;
+  return toHex(keccak(secp256k1.getPublicKey(key, false).slice(1)).slice(-20));
+}
+
+// Sign a transaction and return the raw transaction (hex). Transactions with
+// maxFeePerGas are signed as EIP-1559, the others as legacy EIP-155.
+function signTransaction(params, privateKey) {
+  const key = typeof privateKey === 'string' ? hexToBuffer(privateKey) : privateKey;
+  const tx = {
+    type: params.maxFeePerGas !== undefined ? '0x2' : '0x0',
+    chainId: params.chainId || CHAIN_ID,
+    nonce: params.nonce || 0,
+    gasPrice: params.gasPrice,
+    maxPriorityFeePerGas: params.maxPriorityFeePerGas || params.maxFeePerGas,
+    maxFeePerGas: params.maxFeePerGas,
+    gas: params.gas,
+    to: params.to || null,
+    value: params.value || 0,
+    input: params.input || params.data || '0x',
+    accessList: params.accessList || []
+  };
+
+  const signature = secp256k1.sign(keccak(signingPayload(tx)), key);
+
+  tx.v = isDynamicFee(tx) ? signature.recovery : Number(tx.chainId) * 2 + 35 + signature.recovery;
+  tx.r = signature.r;
+  tx.s = signature.s;
+
+  return toHex(serializeTransaction(tx));
+}
+
+module.exports = {
+  CHAIN_ID,
+  decodeRawTransaction,
+  verifyTransaction,
+  isSignedTransaction,
+  recoverSender,
+  signTransaction,
+  privateKeyToAddress
+};
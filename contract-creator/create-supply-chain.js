@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Supply Chain Generator
+ *
+ * Generates the actor CLIs of a new supply chain from its definition:
+ * - The fields of its batches, inline or from a contract of the contract creator
+ * - Its actors, with their actions (register, handoff, certify, verify) and the
+ *   roles they hand batches off to
+ *
+ * Usage:
+ *   node contract-creator/create-supply-chain.js <definition.json> [--out <folder>]
+ *
+ * For every actor it writes <out>/<role>/<name>-<role>-cli.js, which runs the
+ * actor CLI of lib/supply-chain-cli.js on the same node client as the wine
+ * CLIs. The default output folder is supply-chains/<name>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeSupplyChain } = require('../lib/supply-chain');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONTRACTS_DB_FILE = path.join(__dirname, 'contracts-db.json');
+const ACTOR_CLI_RUNTIME = path.join(ROOT_DIR, 'lib', 'supply-chain-cli');
+
+const ACTION_DESCRIPTIONS = {
+  register: 'Register new batches on the blockchain',
+  handoff: 'Hand off batches to: ',
+  certify: 'Certify the batches it holds',
+  verify: 'Verify the history of a batch'
+};
+
+// Fields of the batches: those of the definition, or those of the latest
+// version of the contract it names
+function resolveFields(definition) {
+  if (typeof definition.contract !== 'string') {
+    return { fields: definition.fields, contract: definition.contract || null };
+  }
+  if (definition.fields) {
+    throw new Error('A supply chain definition takes either fields or a contract, not both');
+  }
+
+  const contractsDB = fs.existsSync(CONTRACTS_DB_FILE) ? JSON.parse(fs.readFileSync(CONTRACTS_DB_FILE, 'utf8')) : { contracts: {} };
+  const contract = contractsDB.contracts[definition.contract];
+
+  if (!contract) {
+    throw new Error(`Contract "${definition.contract}" not found in ${CONTRACTS_DB_FILE}`);
+  }
+
+  return {
+    fields: contract.fields,
+    contract: { name: contract.name, version: contract.version || 1, address: contract.address }
+  };
+}
+
+// Source of the CLI of an actor
+function generateActorCLI(supplyChain, actor, roleDir) {
+  const runtime = path.relative(roleDir, ACTOR_CLI_RUNTIME).split(path.sep).join('/');
+  const actions = actor.actions.map(action => action === 'handoff'
+    ? ACTION_DESCRIPTIONS.handoff + actor.handoffTo.join(', ')
+    : ACTION_DESCRIPTIONS[action]);
+
+  return `#!/usr/bin/env node
+
+/**
+ * ${actor.name} CLI
+ *
+ * Generated by contract-creator/create-supply-chain.js: edit the supply chain
+ * definition and generate the CLIs again instead of changing this file.
+ *
+ * Command line interface for the ${actor.role} of the ${supplyChain.title} supply chain to:
+${actions.map(action => ` * - ${action}`).join('\n')}
+ */
+
+const path = require('path');
+const { runActorCLI } = require('${runtime.startsWith('.') ? runtime : './' + runtime}');
+
+const SUPPLY_CHAIN = ${JSON.stringify(supplyChain, null, 2)};
+
+runActorCLI({
+  supplyChain: SUPPLY_CHAIN,
+  role: '${actor.role}',
+  dataDir: __dirname,
+  sharedDir: path.join(__dirname, '..', 'shared-data')
+}).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
+`;
+}
+
+// Write the CLIs of a supply chain; returns the files written
+function generateSupplyChain(definition, outDir) {
+  const { fields, contract } = resolveFields(definition);
+  const supplyChain = normalizeSupplyChain({ ...definition, fields, contract });
+  const files = [];
+
+  fs.mkdirSync(path.join(outDir, 'shared-data', 'actors'), { recursive: true });
+
+  const definitionFile = path.join(outDir, 'supply-chain.json');
+  fs.writeFileSync(definitionFile, JSON.stringify(supplyChain, null, 2));
+  files.push(definitionFile);
+
+  supplyChain.actors.forEach(actor => {
+    const roleDir = path.join(outDir, actor.role);
+    const cliFile = path.join(roleDir, `${supplyChain.name}-${actor.role}-cli.js`);
+
+    fs.mkdirSync(roleDir, { recursive: true });
+    fs.writeFileSync(cliFile, generateActorCLI(supplyChain, actor, roleDir), { mode: 0o755 });
+    files.push(cliFile);
+  });
+
+  return { supplyChain, files };
+}
+
+function main(args) {
+  const outIndex = args.indexOf('--out');
+  const outArg = outIndex === -1 ? null : args[outIndex + 1];
+  const definitionFile = args.find((arg, index) => !arg.startsWith('--') && (outIndex === -1 || index !== outIndex + 1));
+
+  if (!definitionFile || (outIndex !== -1 && !outArg)) {
+    console.log('Usage: node contract-creator/create-supply-chain.js <definition.json> [--out <folder>]');
+    console.log('See contract-creator/supply-chains/olive-oil.json for an example definition.');
+    process.exit(1);
+  }
+
+  try {
+    const definition = JSON.parse(fs.readFileSync(definitionFile, 'utf8'));
+    const outDir = path.resolve(outArg || path.join(ROOT_DIR, 'supply-chains', definition.name || 'unnamed'));
+    const { supplyChain, files } = generateSupplyChain(definition, outDir);
+
+    console.log(`Generated the ${supplyChain.title} supply chain in ${outDir}:`);
+    files.forEach(file => console.log(`  ${path.relative(process.cwd(), file)}`));
+    console.log('\nStart each actor with:');
+    files.slice(1).forEach(file => console.log(`  node ${path.relative(process.cwd(), file)}`));
+  } catch (error) {
+    console.error(`Error generating the supply chain: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  generateSupplyChain
+};
@@ -7,23 +7,133 @@
  * - Create new smart contracts with custom fields
  * - Deploy contracts to the blockchain
  * - List available contracts
- * - Update existing contracts
+ * - Update existing contracts: every change deploys a new contract version
+ * - Compare contract versions and migrate instances to the latest version
  * - Generate contract interfaces for other CLI tools
  */
 
 const fs = require('fs');
 const path = require('path');
-const http = require('http');
 const crypto = require('crypto');
 const readline = require('readline');
-const { spawn } = require('child_process');
+const { loadActorAccount } = require('../lib/actor-account');
+const { createNodeClient } = require('../lib/node-client');
+const abi = require('../lib/abi');
+const {
+  FIELD_TYPES,
+  MAX_DATE,
+  mapFieldTypeToABIType,
+  parseFieldValue,
+  parseFieldValues,
+  formatFieldValue,
+  diffFields,
+  migrateFieldValues
+} = require('../lib/contract-fields');
+const { encodeDeployment } = require('../chain/contracts');
 
 // Configuration
-const CONTRACT_CREATOR_ACCOUNT = '0x999f681646d4a755815f9cb19e1acc8565a0c2ac';
+let CONTRACT_CREATOR_ACCOUNT = null; // Keystore account of the contract creator, unlocked at start-up
+const ACCOUNT_FILE = path.join(__dirname, 'account.json');
 const BLOCKCHAIN_PORT = 8545;
 const CONTRACTS_DB_FILE = path.join(__dirname, 'contracts-db.json');
 const SHARED_CONTRACTS_FOLDER = path.join(__dirname, 'shared-data', 'contracts');
 
+const { rpcCall, startNode, waitForReceipt } = createNodeClient(BLOCKCHAIN_PORT);
+
+// Code of the contract instances, run by the node: every instance is a
+// deployment of this code with its field values as constructor arguments, and
+// answers the get<Field>/set<Field> functions of the contract ABI. Slot 0
+// holds the creator of the instance, the only account that may change it;
+// field i is stored in slot i + 1. __FIELDS__ is replaced by the fields, as
+// [{ name, type, required, max, getter, setter }] with their ABI type, the
+// largest value of uint256 fields (if limited) and the function selectors.
+const INSTANCE_CODE_TEMPLATE = `const FIELDS = __FIELDS__;
+const OWNER_SLOT = 0;
+
+// The rules of lib/contract-fields.js that hold for ABI values: required text
+// and address fields cannot be empty, dates cannot be past the year 9999
+function check(field, value) {
+  const empty = field.type === 'string' ? value === '0x' : field.type === 'address' && BigInt(value) === 0n;
+
+  if (field.required && empty) {
+    revert('field ' + field.name + ' is required');
+  }
+  if (field.max !== undefined && value > BigInt(field.max)) {
+    revert('field ' + field.name + ' must be at most ' + field.max);
+  }
+}
+
+// Strings are stored as their UTF-8 bytes: string and bytes have the same ABI encoding
+function abiType(field) {
+  return field.type === 'string' ? 'bytes' : field.type;
+}
+
+function load(field, slot) {
+  switch (field.type) {
+    case 'string':
+      return storage.getBytes(slot);
+    case 'bool':
+      return BigInt(storage.get(slot)) === 1n;
+    case 'address':
+      return '0x' + storage.get(slot).slice(26);
+    default:
+      return BigInt(storage.get(slot));
+  }
+}
+
+function store(field, slot, value) {
+  check(field, value);
+
+  if (field.type === 'string') {
+    storage.setBytes(slot, value);
+  } else {
+    storage.set(slot, field.type === 'bool' ? (value ? 1 : 0) : value);
+  }
+}
+
+exports.constructor = msg => {
+  storage.set(OWNER_SLOT, msg.sender);
+  abi.decode(FIELDS.map(abiType), msg.data).forEach((value, index) => store(FIELDS[index], index + 1, value));
+};
+
+exports.call = msg => {
+  const selector = msg.data.slice(0, 10);
+  const index = FIELDS.findIndex(field => field.getter === selector || field.setter === selector);
+
+  if (index === -1) {
+    revert('unknown function ' + selector);
+  }
+
+  const field = FIELDS[index];
+  if (selector === field.getter) {
+    return abi.encode([abiType(field)], [load(field, index + 1)]);
+  }
+
+  if (BigInt(storage.get(OWNER_SLOT)) !== BigInt(msg.sender)) {
+    revert('only the creator of the instance can change it');
+  }
+  store(field, index + 1, abi.decode([abiType(field)], '0x' + msg.data.slice(10))[0]);
+};
+`;
+
+// Code of the contract versions, run by the node: a version is a deployment of
+// this code with its definition (id, name, version, previous version,
+// description, fields and creator, as JSON) as constructor argument, and
+// answers definition() with it. __DEFINITION__ is replaced by the selector
+// of definition().
+const VERSION_CODE = `exports.constructor = msg => {
+  storage.setBytes(0, abi.decode(['bytes'], msg.data)[0]);
+};
+
+exports.call = msg => {
+  if (msg.data.slice(0, 10) !== '__DEFINITION__') {
+    revert('unknown function ' + msg.data.slice(0, 10));
+  }
+  return abi.encode(['bytes'], [storage.getBytes(0)]);
+};
+`;
+const VERSION_DEFINITION = { name: 'definition', inputs: [], outputs: [{ name: '', type: 'bytes' }] };
+
 // Ensure DB files and folders exist
 if (!fs.existsSync(CONTRACTS_DB_FILE)) {
   fs.writeFileSync(CONTRACTS_DB_FILE, JSON.stringify({
@@ -43,135 +153,40 @@ try {
   console.error('Error loading contracts database:', error.message);
 }
 
+// Contracts saved before versioning are their own version 1, and so are their instances
+Object.values(contractsDB.contracts).forEach(contract => {
+  if (!contract.versions) {
+    contract.version = 1;
+    contract.versions = [{
+      version: 1,
+      description: contract.description,
+      fields: contract.fields,
+      address: contract.address,
+      transactionHash: contract.transactionHash,
+      createdAt: contract.createdAt
+    }];
+  }
+  
+  contract.instances.forEach(instance => {
+    if (!instance.version) {
+      instance.version = 1;
+    }
+  });
+});
+
 // Create readline interface
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
 });
 
-// IperChain node process
-let nodeProcess = null;
-
-// JSON-RPC call helper
-function rpcCall(method, params = []) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method,
-      params
-    });
-
-    const options = {
-      hostname: 'localhost',
-      port: BLOCKCHAIN_PORT,
-      path: '/',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': data.length
-      }
-    };
-
-    const req = http.request(options, (res) => {
-      let responseData = '';
-
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(responseData);
-          
-          if (response.error) {
-            console.log(`RPC Error in ${method}:`, response.error);
-            reject(response.error);
-          } else {
-            resolve(response.result);
-          }
-        } catch (error) {
-          console.error(`Failed to parse response for ${method}:`, error.message);
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      console.error(`Request failed for ${method}:`, error.message);
-      reject(error);
-    });
-
-    req.write(data);
-    req.end();
-  });
-}
-
-// Start IperChain node
-async function startNode() {
-  return new Promise(async (resolve) => {
-    try {
-      // Check if node is already running
-      try {
-        const blockNumber = await rpcCall('eth_blockNumber');
-        if (blockNumber !== null) {
-          console.log('IperChain node is already running at block:', blockNumber);
-          resolve(true);
-          return;
-        }
-      } catch (error) {
-        // Node not running, continue to start it
-      }
-      
-      console.log('Starting IperChain node...');
-      nodeProcess = spawn('node', ['bin/iperchain-node.js'], {
-        detached: true,
-        stdio: 'ignore'
-      });
-      
-      // Give the node time to start
-      console.log('Waiting for node to start...');
-      
-      // Try to connect to the node several times
-      let attempts = 0;
-      const maxAttempts = 5;
-      let success = false;
-      
-      while (attempts < maxAttempts && !success) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        attempts++;
-        
-        try {
-          const blockNumber = await rpcCall('eth_blockNumber');
-          if (blockNumber !== null) {
-            console.log('IperChain node started successfully at block:', blockNumber);
-            success = true;
-          }
-        } catch (error) {
-          console.log(`Attempt ${attempts}/${maxAttempts} to connect to node failed`);
-        }
-      }
-      
-      if (success) {
-        resolve(true);
-      } else {
-        console.error('Failed to start IperChain node after several attempts');
-        resolve(false);
-      }
-    } catch (error) {
-      console.error('Error starting IperChain node:', error.message);
-      resolve(false);
-    }
-  });
-}
-
 // Create and deploy a new smart contract
 async function createSmartContract(contractName, description, fields) {
   if (contractsDB.contracts[contractName]) {
     throw new Error(`Contract with name "${contractName}" already exists`);
   }
   
-  // Create contract structure
+  // Create contract structure; it is saved once its first version is on chain
   const contractId = crypto.createHash('sha256').update(`${contractName}-${Date.now()}`).digest('hex');
   const contract = {
     id: contractId,
@@ -181,71 +196,23 @@ async function createSmartContract(contractName, description, fields) {
     createdAt: Math.floor(Date.now() / 1000),
     creator: CONTRACT_CREATOR_ACCOUNT,
     status: 'Pending',
+    version: 0,
+    versions: [],
     instances: []
   };
   
-  // Create contract bytecode (in a real system, this would compile Solidity to bytecode)
-  const contractData = JSON.stringify(contract);
-  const contractPrefix = 'WINE_CONTRACT_DEPLOYMENT:';
-  const hexData = '0x' + Buffer.from(contractPrefix + contractData).toString('hex');
-  
-  console.log(`Deploying contract "${contractName}" to blockchain...`);
-  
-  // Send the transaction
-  const txHash = await rpcCall('eth_sendTransaction', [
-    {
-      from: CONTRACT_CREATOR_ACCOUNT,
-      to: null, // Contract creation
-      value: '0x0',
-      data: hexData,
-      gas: '0x200000'
-    }
-  ]);
-  
-  // Wait for transaction confirmation
-  let receipt = null;
-  let attempts = 0;
-  const maxAttempts = 5;
-  
-  while (!receipt && attempts < maxAttempts) {
-    console.log(`Waiting for confirmation (attempt ${attempts + 1})...`);
-    receipt = await rpcCall('eth_getTransactionReceipt', [txHash]);
-    
-    if (!receipt) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      attempts++;
-    }
-  }
-  
-  if (receipt && receipt.contractAddress) {
-    console.log(`Contract deployed successfully at address: ${receipt.contractAddress}`);
-    
-    // Update contract with blockchain info
-    contract.status = 'Deployed';
-    contract.address = receipt.contractAddress;
-    contract.transactionHash = txHash;
-    
-    // Save to database
-    contractsDB.contracts[contractName] = contract;
-    fs.writeFileSync(CONTRACTS_DB_FILE, JSON.stringify(contractsDB, null, 2));
-    
-    // Create interface file for other CLIs
-    createContractInterface(contract);
-    
-    return contract;
-  } else {
-    console.log('Contract deployment not confirmed after several attempts');
-    throw new Error('Contract deployment failed');
-  }
+  return deployContractVersion(contract, { fields, description });
 }
 
-// Create interface file for other CLIs to use
+// Create interface file for other CLIs to use. <name>.json describes the
+// latest version; <name>.v<N>.json keeps each version for the instances made with it.
 function createContractInterface(contract) {
   const interfaceFile = path.join(SHARED_CONTRACTS_FOLDER, `${contract.name}.json`);
   
   const interfaceData = {
     id: contract.id,
     name: contract.name,
+    version: contract.version,
     description: contract.description,
     address: contract.address,
     fields: contract.fields,
@@ -253,9 +220,89 @@ function createContractInterface(contract) {
   };
   
   fs.writeFileSync(interfaceFile, JSON.stringify(interfaceData, null, 2));
+  fs.writeFileSync(
+    path.join(SHARED_CONTRACTS_FOLDER, `${contract.name}.v${contract.version}.json`),
+    JSON.stringify(interfaceData, null, 2)
+  );
   console.log(`Contract interface file created at: ${interfaceFile}`);
 }
 
+// A version of a contract, with its fields and description
+function getContractVersion(contract, version) {
+  const contractVersion = contract.versions.find(entry => entry.version === version);
+  
+  if (!contractVersion) {
+    throw new Error(`Contract "${contract.name}" has no version ${version}`);
+  }
+  return contractVersion;
+}
+
+// Deploy a new version of a contract with the given fields and description,
+// as a contract of VERSION_CODE holding its definition; a new contract (version
+// 0) gets its version 1. The contract only changes once the version is on
+// chain; its instances stay on the version they were created with until they
+// are migrated.
+async function deployContractVersion(contract, { fields, description }) {
+  const version = contract.version + 1;
+  const definition = JSON.stringify({
+    id: contract.id,
+    name: contract.name,
+    version,
+    previousVersion: contract.version || null,
+    description,
+    fields,
+    creator: CONTRACT_CREATOR_ACCOUNT
+  });
+  const hexData = encodeDeployment(
+    VERSION_CODE.replace('__DEFINITION__', abi.functionSelector(VERSION_DEFINITION)),
+    abi.encode(['bytes'], ['0x' + Buffer.from(definition).toString('hex')])
+  );
+  
+  console.log(`Deploying version ${version} of contract "${contract.name}"...`);
+  
+  // Send the transaction; the node estimates its gas
+  const txHash = await rpcCall('eth_sendTransaction', [
+    {
+      from: CONTRACT_CREATOR_ACCOUNT,
+      to: null, // Contract creation
+      value: '0x0',
+      data: hexData
+    }
+  ]);
+  
+  const receipt = await waitForReceipt(txHash);
+  
+  if (!receipt) {
+    throw new Error(`Version ${version} of contract "${contract.name}" not confirmed after several attempts`);
+  }
+  if (receipt.status !== '0x1') {
+    throw new Error(`Version ${version} of contract "${contract.name}" failed: ${receipt.revertReason || 'reverted'}`);
+  }
+  
+  console.log(`Version ${version} deployed at address: ${receipt.contractAddress}`);
+  
+  contract.versions.push({
+    version,
+    description,
+    fields,
+    address: receipt.contractAddress,
+    transactionHash: txHash,
+    createdAt: Math.floor(Date.now() / 1000)
+  });
+  contract.version = version;
+  contract.description = description;
+  contract.fields = fields;
+  contract.address = receipt.contractAddress;
+  contract.transactionHash = txHash;
+  contract.status = 'Deployed';
+  
+  contractsDB.contracts[contract.name] = contract;
+  fs.writeFileSync(CONTRACTS_DB_FILE, JSON.stringify(contractsDB, null, 2));
+  createContractInterface(contract);
+  
+  return contract;
+}
+
 // Generate a simple ABI for the contract
 function generateContractABI(contract) {
   const abi = [];
@@ -294,32 +341,30 @@ function generateContractABI(contract) {
   return abi;
 }
 
-// Helper to map our field types to Solidity/ABI types
-function mapFieldTypeToABIType(fieldType) {
-  switch (fieldType.toLowerCase()) {
-    case 'text':
-    case 'string':
-      return 'string';
-    case 'number':
-    case 'integer':
-      return 'uint256';
-    case 'boolean':
-    case 'bool':
-      return 'bool';
-    case 'address':
-      return 'address';
-    case 'date':
-      return 'uint256'; // Unix timestamp
-    default:
-      return 'string';
-  }
-}
-
 // Helper to capitalize the first letter of a string
 function capitalizeFirstLetter(string) {
   return string.charAt(0).toUpperCase() + string.slice(1);
 }
 
+// ABI function of the contract by name
+function findABIFunction(contract, name) {
+  return generateContractABI(contract).find(entry => entry.type === 'function' && entry.name === name);
+}
+
+// Code of the instances of a contract
+function generateInstanceCode(contract) {
+  const fields = contract.fields.map(field => ({
+    name: field.name,
+    type: mapFieldTypeToABIType(field.type),
+    required: Boolean(field.required),
+    max: field.type === 'date' ? MAX_DATE.toString() : undefined,
+    getter: abi.functionSelector(findABIFunction(contract, `get${capitalizeFirstLetter(field.name)}`)),
+    setter: abi.functionSelector(findABIFunction(contract, `set${capitalizeFirstLetter(field.name)}`))
+  }));
+  
+  return INSTANCE_CODE_TEMPLATE.replace('__FIELDS__', () => JSON.stringify(fields));
+}
+
 // Create a new instance of a contract
 async function createContractInstance(contractName, fieldValues) {
   const contract = contractsDB.contracts[contractName];
@@ -332,11 +377,11 @@ async function createContractInstance(contractName, fieldValues) {
     throw new Error(`Contract "${contractName}" is not deployed`);
   }
   
-  // Validate field values
-  contract.fields.forEach(field => {
-    if (field.required && !fieldValues[field.name]) {
-      throw new Error(`Required field "${field.name}" is missing`);
-    }
+  // Validate and normalise the field values against their types
+  const values = parseFieldValues(contract.fields, fieldValues);
+  const normalizedValues = {};
+  contract.fields.forEach((field, index) => {
+    normalizedValues[field.name] = formatFieldValue(field, values[index]);
   });
   
   // Create instance data
@@ -345,50 +390,40 @@ async function createContractInstance(contractName, fieldValues) {
     id: instanceId,
     contractId: contract.id,
     contractName: contract.name,
-    fieldValues,
+    version: contract.version,
+    fieldValues: normalizedValues,
     createdAt: Math.floor(Date.now() / 1000),
     creator: CONTRACT_CREATOR_ACCOUNT,
     status: 'Pending'
   };
   
-  // Create transaction data
-  const instanceData = JSON.stringify(instance);
-  const instancePrefix = 'WINE_CONTRACT_INSTANCE:';
-  const hexData = '0x' + Buffer.from(instancePrefix + instanceData).toString('hex');
+  // The instance is a deployment of the instance code, with the field values
+  // ABI-encoded as constructor arguments
+  const constructorInputs = generateContractABI(contract).find(entry => entry.type === 'constructor').inputs;
+  const constructorArgs = abi.encode(constructorInputs, values);
+  const hexData = encodeDeployment(generateInstanceCode(contract), constructorArgs);
   
   console.log(`Creating instance of contract "${contractName}"...`);
   
-  // Send the transaction
+  // Send the transaction; the node estimates its gas
   const txHash = await rpcCall('eth_sendTransaction', [
     {
       from: CONTRACT_CREATOR_ACCOUNT,
-      to: contract.address,
+      to: null, // Contract creation
       value: '0x0',
-      data: hexData,
-      gas: '0x100000'
+      data: hexData
     }
   ]);
   
   // Wait for transaction confirmation
-  let receipt = null;
-  let attempts = 0;
-  const maxAttempts = 5;
-  
-  while (!receipt && attempts < maxAttempts) {
-    console.log(`Waiting for confirmation (attempt ${attempts + 1})...`);
-    receipt = await rpcCall('eth_getTransactionReceipt', [txHash]);
-    
-    if (!receipt) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      attempts++;
-    }
-  }
+  const receipt = await waitForReceipt(txHash);
   
-  if (receipt) {
-    console.log(`Contract instance created successfully!`);
+  if (receipt && receipt.status === '0x1') {
+    console.log(`Contract instance created successfully at address: ${receipt.contractAddress}`);
     
     // Update instance with blockchain info
     instance.status = 'Active';
+    instance.address = receipt.contractAddress;
     instance.transactionHash = txHash;
     
     // Save to database
@@ -402,6 +437,95 @@ async function createContractInstance(contractName, fieldValues) {
   }
 }
 
+// Read the field values of an instance from the chain with the getters of its
+// contract version. Throws if a getter call fails, unless `allowMissing` is
+// set: then the fields the instance does not answer are undefined.
+async function readInstanceFields(contract, instance, { allowMissing = false } = {}) {
+  const contractVersion = getContractVersion(contract, instance.version);
+  const values = {};
+  
+  for (const field of contractVersion.fields) {
+    const getter = findABIFunction(contractVersion, `get${capitalizeFirstLetter(field.name)}`);
+    
+    try {
+      const result = await rpcCall('eth_call', [
+        { from: CONTRACT_CREATOR_ACCOUNT, to: instance.address, data: abi.encodeFunctionCall(getter) },
+        'latest'
+      ]);
+      values[field.name] = formatFieldValue(field, abi.decodeFunctionResult(getter, result)[0]);
+    } catch (error) {
+      if (!allowMissing) {
+        throw new Error(`Cannot read ${field.name} of instance ${instance.address}: ${(error && (error.data || error.message)) || error}`);
+      }
+      values[field.name] = undefined;
+    }
+  }
+  
+  return values;
+}
+
+// Change a field of an instance with a set<Field> transaction
+async function setInstanceField(contract, instance, field, value) {
+  const setter = findABIFunction(getContractVersion(contract, instance.version), `set${capitalizeFirstLetter(field.name)}`);
+  
+  let parsedValue;
+  try {
+    parsedValue = parseFieldValue(field, value);
+  } catch (error) {
+    throw new Error(`${field.name} (${field.type}): ${error.message}`);
+  }
+  const data = abi.encodeFunctionCall(setter, [parsedValue]);
+  
+  console.log(`Sending ${setter.name} to instance ${instance.address}...`);
+  
+  const txHash = await rpcCall('eth_sendTransaction', [
+    {
+      from: CONTRACT_CREATOR_ACCOUNT,
+      to: instance.address,
+      value: '0x0',
+      data
+    }
+  ]);
+  
+  const receipt = await waitForReceipt(txHash);
+  
+  if (!receipt || receipt.status !== '0x1') {
+    throw new Error(`${setter.name} ${receipt ? 'failed' : 'not confirmed after several attempts'}`);
+  }
+  
+  // Keep the local copy in line with the chain
+  instance.fieldValues[field.name] = formatFieldValue(field, parsedValue);
+  fs.writeFileSync(CONTRACTS_DB_FILE, JSON.stringify(contractsDB, null, 2));
+}
+
+// Move an instance to the latest version of its contract: its values are read
+// from the chain (or taken from the local copy if it has no contract on chain),
+// carried over with the migration rules and deployed as a new instance. The old
+// instance is kept, marked as migrated. Nothing is deployed or marked if a
+// value cannot be read.
+async function migrateInstance(contract, instance, rules = {}) {
+  if (instance.version === contract.version) {
+    throw new Error(`Instance ${instance.id.substring(0, 8)} is already at version ${contract.version}`);
+  }
+  
+  const fromVersion = getContractVersion(contract, instance.version);
+  const values = instance.address ? await readInstanceFields(contract, instance) : instance.fieldValues;
+  const fieldValues = migrateFieldValues(fromVersion.fields, contract.fields, values, rules);
+  
+  const migrated = await createContractInstance(contract.name, fieldValues);
+  migrated.migratedFrom = {
+    id: instance.id,
+    version: instance.version,
+    address: instance.address
+  };
+  
+  instance.status = 'Migrated';
+  instance.migratedTo = migrated.id;
+  fs.writeFileSync(CONTRACTS_DB_FILE, JSON.stringify(contractsDB, null, 2));
+  
+  return migrated;
+}
+
 // Main menu function
 function showMainMenu() {
   console.clear();
@@ -411,7 +535,9 @@ function showMainMenu() {
   console.log('3. Create a contract instance');
   console.log('4. Update existing contract');
   console.log('5. Test contract interaction');
-  console.log('6. Exit');
+  console.log('6. Compare contract versions');
+  console.log('7. Migrate instances to the latest version');
+  console.log('8. Exit');
   
   rl.question('\nSelect an option: ', async (answer) => {
     switch (answer.trim()) {
@@ -431,6 +557,12 @@ function showMainMenu() {
         await testContractMenu();
         break;
       case '6':
+        await compareVersionsMenu();
+        break;
+      case '7':
+        await migrateInstancesMenu();
+        break;
+      case '8':
         cleanupAndExit();
         break;
       default:
@@ -473,8 +605,7 @@ async function createContractMenu() {
           }
           
           rl.question('Field Type (text, number, boolean, address, date): ', (fieldType) => {
-            const validTypes = ['text', 'number', 'boolean', 'address', 'date'];
-            if (!validTypes.includes(fieldType.toLowerCase())) {
+            if (!FIELD_TYPES.includes(fieldType.toLowerCase())) {
               console.log('\nInvalid field type. Please use one of: text, number, boolean, address, date');
               addField();
               return;
@@ -540,6 +671,7 @@ async function viewContractsMenu() {
   contracts.forEach((contract, index) => {
     console.log(`${index + 1}. ${contract.name}`);
     console.log(`   Status: ${contract.status}`);
+    console.log(`   Version: ${contract.version}`);
     console.log(`   Fields: ${contract.fields.length}`);
     console.log(`   Instances: ${contract.instances.length}`);
     console.log('');
@@ -560,6 +692,7 @@ async function viewContractsMenu() {
       console.log(`Name: ${contract.name}`);
       console.log(`Description: ${contract.description}`);
       console.log(`Status: ${contract.status}`);
+      console.log(`Version: ${contract.version} of ${contract.versions.length}`);
       console.log(`Address: ${contract.address}`);
       console.log(`Created: ${new Date(contract.createdAt * 1000).toLocaleString()}`);
       
@@ -572,6 +705,10 @@ async function viewContractsMenu() {
         console.log('\nInstances:');
         contract.instances.forEach((instance, i) => {
           console.log(`${i + 1}. Instance ${instance.id.substring(0, 8)}...`);
+          if (instance.address) {
+            console.log(`   Address: ${instance.address}`);
+          }
+          console.log(`   Version: ${instance.version}`);
           console.log(`   Created: ${new Date(instance.createdAt * 1000).toLocaleString()}`);
           console.log(`   Status: ${instance.status}`);
         });
@@ -632,13 +769,14 @@ async function createInstanceMenu() {
         const requiredText = field.required ? ' (Required)' : '';
         
         rl.question(`\nValue for ${field.name} (${field.type})${requiredText}: `, (value) => {
-          if (field.required && !value) {
-            console.log(`\nField ${field.name} is required.`);
+          try {
+            fieldValues[field.name] = formatFieldValue(field, parseFieldValue(field, value));
+          } catch (error) {
+            console.log(`\nInvalid value for ${field.name} (${field.type}): ${error.message}`);
             collectFieldValues(fieldIndex);
             return;
           }
           
-          fieldValues[field.name] = value;
           collectFieldValues(fieldIndex + 1);
         });
       }
@@ -658,6 +796,7 @@ async function createInstanceMenu() {
       
       console.log(`\nContract instance created successfully!`);
       console.log(`Instance ID: ${instance.id}`);
+      console.log(`Instance Address: ${instance.address}`);
       
       rl.question('\nPress Enter to return to main menu...', () => {
         showMainMenu();
@@ -734,6 +873,25 @@ async function updateContractMenu() {
   });
 }
 
+// Deploy a change of a contract as its next version and return to the main menu
+async function saveContractVersion(contract, changes, successMessage) {
+  try {
+    await deployContractVersion(contract, changes);
+    console.log(`\n${successMessage} (version ${contract.version})`);
+    
+    const outdated = contract.instances.filter(instance => instance.status !== 'Migrated' && instance.version !== contract.version);
+    if (outdated.length > 0) {
+      console.log(`${outdated.length} existing instance(s) stay on their version until they are migrated.`);
+    }
+  } catch (error) {
+    console.error('\nError deploying the new contract version:', error.message);
+  }
+  
+  rl.question('\nPress Enter to return to main menu...', () => {
+    showMainMenu();
+  });
+}
+
 // Add field to contract
 function addContractField(contract) {
   console.log('\n=== ADD FIELD TO CONTRACT ===');
@@ -753,8 +911,7 @@ function addContractField(contract) {
     }
     
     rl.question('Field Type (text, number, boolean, address, date): ', (fieldType) => {
-      const validTypes = ['text', 'number', 'boolean', 'address', 'date'];
-      if (!validTypes.includes(fieldType.toLowerCase())) {
+      if (!FIELD_TYPES.includes(fieldType.toLowerCase())) {
         console.log('\nInvalid field type. Please use one of: text, number, boolean, address, date');
         setTimeout(() => addContractField(contract), 1500);
         return;
@@ -767,27 +924,11 @@ function addContractField(contract) {
           required: isRequired.toLowerCase() === 'y'
         };
         
-        try {
-          // Add field to contract
-          contract.fields.push(newField);
-          
-          // Update contract in database
-          contractsDB.contracts[contract.name] = contract;
-          fs.writeFileSync(CONTRACTS_DB_FILE, JSON.stringify(contractsDB, null, 2));
-          
-          // Update interface file
-          createContractInterface(contract);
-          
-          console.log(`\nField "${fieldName}" added to contract "${contract.name}"`);
-          rl.question('\nPress Enter to return to main menu...', () => {
-            showMainMenu();
-          });
-        } catch (error) {
-          console.error('\nError adding field:', error.message);
-          rl.question('\nPress Enter to return to main menu...', () => {
-            showMainMenu();
-          });
-        }
+        await saveContractVersion(
+          contract,
+          { fields: [...contract.fields, newField], description: contract.description },
+          `Field "${fieldName}" added to contract "${contract.name}"`
+        );
       });
     });
   });
@@ -821,46 +962,24 @@ function removeContractField(contract) {
     if (fieldIndex >= 0 && fieldIndex < contract.fields.length) {
       const fieldToRemove = contract.fields[fieldIndex];
       
+      if (contract.fields.length === 1) {
+        console.log('\nA contract needs at least one field.');
+        setTimeout(() => removeContractField(contract), 1500);
+        return;
+      }
+      
       rl.question(`\nAre you sure you want to remove field "${fieldToRemove.name}"? (y/n): `, async (confirm) => {
         if (confirm.toLowerCase() !== 'y') {
           removeContractField(contract);
           return;
         }
         
-        try {
-          // Check if any instances depend on this field
-          const hasInstances = contract.instances.some(instance => 
-            instance.fieldValues[fieldToRemove.name] !== undefined
-          );
-          
-          if (hasInstances) {
-            console.log(`\nCannot remove field "${fieldToRemove.name}" because existing instances depend on it.`);
-            rl.question('\nPress Enter to return to main menu...', () => {
-              showMainMenu();
-            });
-            return;
-          }
-          
-          // Remove field from contract
-          contract.fields.splice(fieldIndex, 1);
-          
-          // Update contract in database
-          contractsDB.contracts[contract.name] = contract;
-          fs.writeFileSync(CONTRACTS_DB_FILE, JSON.stringify(contractsDB, null, 2));
-          
-          // Update interface file
-          createContractInterface(contract);
-          
-          console.log(`\nField "${fieldToRemove.name}" removed from contract "${contract.name}"`);
-          rl.question('\nPress Enter to return to main menu...', () => {
-            showMainMenu();
-          });
-        } catch (error) {
-          console.error('\nError removing field:', error.message);
-          rl.question('\nPress Enter to return to main menu...', () => {
-            showMainMenu();
-          });
-        }
+        // Existing instances keep the field until they are migrated
+        await saveContractVersion(
+          contract,
+          { fields: contract.fields.filter((field, index) => index !== fieldIndex), description: contract.description },
+          `Field "${fieldToRemove.name}" removed from contract "${contract.name}"`
+        );
       });
     } else {
       console.log('\nInvalid field number.');
@@ -875,27 +994,11 @@ function updateContractDescription(contract) {
   console.log(`\nCurrent description: ${contract.description}`);
   
   rl.question('\nNew description: ', async (newDescription) => {
-    try {
-      // Update description
-      contract.description = newDescription;
-      
-      // Update contract in database
-      contractsDB.contracts[contract.name] = contract;
-      fs.writeFileSync(CONTRACTS_DB_FILE, JSON.stringify(contractsDB, null, 2));
-      
-      // Update interface file
-      createContractInterface(contract);
-      
-      console.log(`\nDescription updated for contract "${contract.name}"`);
-      rl.question('\nPress Enter to return to main menu...', () => {
-        showMainMenu();
-      });
-    } catch (error) {
-      console.error('\nError updating description:', error.message);
-      rl.question('\nPress Enter to return to main menu...', () => {
-        showMainMenu();
-      });
-    }
+    await saveContractVersion(
+      contract,
+      { fields: contract.fields, description: newDescription },
+      `Description updated for contract "${contract.name}"`
+    );
   });
 }
 
@@ -956,24 +1059,7 @@ async function testContractMenu() {
         }
         
         if (instanceIndex >= 0 && instanceIndex < contract.instances.length) {
-          const instance = contract.instances[instanceIndex];
-          
-          console.clear();
-          console.log(`\n=== CONTRACT INSTANCE DATA ===`);
-          console.log(`Contract: ${contract.name}`);
-          console.log(`Instance ID: ${instance.id}`);
-          console.log(`Created: ${new Date(instance.createdAt * 1000).toLocaleString()}`);
-          console.log(`Status: ${instance.status}`);
-          console.log('\nField Values:');
-          
-          Object.entries(instance.fieldValues).forEach(([fieldName, value]) => {
-            const field = contract.fields.find(f => f.name === fieldName);
-            console.log(`${fieldName}: ${value} (${field ? field.type : 'unknown'})`);
-          });
-          
-          rl.question('\nPress Enter to return to main menu...', () => {
-            showMainMenu();
-          });
+          testInstance(contract, contract.instances[instanceIndex]);
         } else {
           console.log('\nInvalid instance number.');
           setTimeout(testContractMenu, 1500);
@@ -986,6 +1072,235 @@ async function testContractMenu() {
   });
 }
 
+// Show the values of an instance, read from the chain, and let the user change them
+async function testInstance(contract, instance) {
+  const { fields } = getContractVersion(contract, instance.version);
+  
+  console.clear();
+  console.log(`\n=== CONTRACT INSTANCE DATA ===`);
+  console.log(`Contract: ${contract.name} (version ${instance.version})`);
+  console.log(`Instance ID: ${instance.id}`);
+  console.log(`Created: ${new Date(instance.createdAt * 1000).toLocaleString()}`);
+  console.log(`Status: ${instance.status}`);
+  
+  // Instances created before contract code existed only have local values
+  if (!instance.address) {
+    console.log('\nField Values (stored locally, the instance has no contract on chain):');
+    
+    Object.entries(instance.fieldValues).forEach(([fieldName, value]) => {
+      const field = fields.find(f => f.name === fieldName);
+      console.log(`${fieldName}: ${value} (${field ? field.type : 'unknown'})`);
+    });
+    
+    rl.question('\nPress Enter to return to main menu...', () => {
+      showMainMenu();
+    });
+    return;
+  }
+  
+  console.log(`Address: ${instance.address}`);
+  console.log('\nField Values (read from the chain):');
+  
+  const values = await readInstanceFields(contract, instance, { allowMissing: true });
+  fields.forEach((field, index) => {
+    const value = values[field.name] === undefined ? '(not available on this instance)' : values[field.name];
+    console.log(`${index + 1}. ${field.name}: ${value} (${field.type})`);
+  });
+  
+  rl.question('\nSelect field number to change (or 0 to return to main menu): ', (answer) => {
+    const fieldIndex = parseInt(answer.trim()) - 1;
+    
+    if (!(fieldIndex >= 0 && fieldIndex < fields.length)) {
+      showMainMenu();
+      return;
+    }
+    
+    const field = fields[fieldIndex];
+    rl.question(`New value for ${field.name} (${field.type}): `, async (value) => {
+      try {
+        await setInstanceField(contract, instance, field, value);
+        console.log(`\nField "${field.name}" updated on chain`);
+      } catch (error) {
+        console.error('\nError updating field:', error.message);
+      }
+      
+      rl.question('\nPress Enter to continue...', () => {
+        testInstance(contract, instance);
+      });
+    });
+  });
+}
+
+// Select a contract with more than one version; calls back with it, or returns
+// to the main menu
+function selectVersionedContract(title, callback) {
+  console.clear();
+  console.log(`\n=== ${title} ===`);
+  
+  const contracts = Object.values(contractsDB.contracts).filter(contract => contract.versions.length > 1);
+  
+  if (contracts.length === 0) {
+    console.log('\nNo contract has more than one version.');
+    rl.question('\nPress Enter to return to main menu...', () => {
+      showMainMenu();
+    });
+    return;
+  }
+  
+  console.log('\nContracts with several versions:');
+  contracts.forEach((contract, index) => {
+    console.log(`${index + 1}. ${contract.name} (version ${contract.version})`);
+  });
+  
+  rl.question('\nSelect contract number (or 0 to return to main menu): ', (answer) => {
+    const contractIndex = parseInt(answer.trim()) - 1;
+    
+    if (contractIndex >= 0 && contractIndex < contracts.length) {
+      callback(contracts[contractIndex]);
+    } else {
+      showMainMenu();
+    }
+  });
+}
+
+function describeField(field) {
+  return `${field.name} (${field.type})${field.required ? ' [Required]' : ''}`;
+}
+
+// Compare contract versions menu
+async function compareVersionsMenu() {
+  selectVersionedContract('COMPARE CONTRACT VERSIONS', (contract) => {
+    console.log(`\nVersions of "${contract.name}":`);
+    contract.versions.forEach(entry => {
+      console.log(`${entry.version}. ${new Date(entry.createdAt * 1000).toLocaleString()} - ${entry.fields.length} fields - ${entry.address}`);
+    });
+    
+    rl.question(`\nFrom version (default ${contract.version - 1}): `, (fromAnswer) => {
+      rl.question(`To version (default ${contract.version}): `, (toAnswer) => {
+        try {
+          const from = getContractVersion(contract, parseInt(fromAnswer.trim()) || contract.version - 1);
+          const to = getContractVersion(contract, parseInt(toAnswer.trim()) || contract.version);
+          const { added, removed, changed } = diffFields(from.fields, to.fields);
+          
+          console.log(`\n=== ${contract.name}: VERSION ${from.version} -> ${to.version} ===`);
+          added.forEach(field => console.log(`+ ${describeField(field)}`));
+          removed.forEach(field => console.log(`- ${describeField(field)}`));
+          changed.forEach(change => console.log(`~ ${describeField(change.from)} -> ${describeField(change.to)}`));
+          
+          if (added.length + removed.length + changed.length === 0) {
+            console.log('Same fields');
+          }
+          if (from.description !== to.description) {
+            console.log(`\nDescription: "${from.description}" -> "${to.description}"`);
+          }
+          
+          const instances = contract.instances.filter(instance => instance.version === from.version && instance.status !== 'Migrated');
+          console.log(`\nInstances still on version ${from.version}: ${instances.length}`);
+        } catch (error) {
+          console.error('\nError comparing versions:', error.message);
+        }
+        
+        rl.question('\nPress Enter to return to main menu...', () => {
+          showMainMenu();
+        });
+      });
+    });
+  });
+}
+
+// Migrate instances menu: asks a rule for every field that is new or changed
+// since the version of the instances, then migrates them one by one
+async function migrateInstancesMenu() {
+  selectVersionedContract('MIGRATE INSTANCES', (contract) => {
+    const outdated = contract.instances.filter(instance => instance.status !== 'Migrated' && instance.version !== contract.version);
+    
+    if (outdated.length === 0) {
+      console.log(`\nAll instances of "${contract.name}" are at version ${contract.version}.`);
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+      return;
+    }
+    
+    console.log(`\n${outdated.length} instance(s) to migrate to version ${contract.version}.`);
+    console.log('For each new or changed field enter a value, "=oldField" to copy an old field,');
+    console.log('or press Enter to keep the old value of the field (the empty value for new fields).');
+    
+    // One set of rules per version the instances are on
+    const versions = [...new Set(outdated.map(instance => instance.version))].sort((a, b) => a - b);
+    const rulesByVersion = {};
+    
+    function askRules(versionIndex, fieldIndex) {
+      if (versionIndex >= versions.length) {
+        confirmMigration();
+        return;
+      }
+      
+      const from = getContractVersion(contract, versions[versionIndex]);
+      const { added, removed, changed } = diffFields(from.fields, contract.fields);
+      const fields = [...added, ...changed.map(change => change.to)];
+      
+      if (fieldIndex === 0) {
+        rulesByVersion[from.version] = {};
+        console.log(`\nFrom version ${from.version}:`);
+        removed.forEach(field => console.log(`- ${describeField(field)} is dropped`));
+      }
+      
+      if (fieldIndex >= fields.length) {
+        askRules(versionIndex + 1, 0);
+        return;
+      }
+      
+      const field = fields[fieldIndex];
+      rl.question(`Rule for ${describeField(field)}: `, (answer) => {
+        const rule = answer.trim();
+        
+        if (rule.startsWith('=')) {
+          const oldField = rule.slice(1).trim();
+          if (!from.fields.some(f => f.name === oldField)) {
+            console.log(`Version ${from.version} has no field "${oldField}"`);
+            askRules(versionIndex, fieldIndex);
+            return;
+          }
+          rulesByVersion[from.version][field.name] = { from: oldField };
+        } else if (rule !== '') {
+          try {
+            parseFieldValue(field, rule);
+          } catch (error) {
+            console.log(`Invalid value for ${describeField(field)}: ${error.message}`);
+            askRules(versionIndex, fieldIndex);
+            return;
+          }
+          rulesByVersion[from.version][field.name] = { value: rule };
+        }
+        
+        askRules(versionIndex, fieldIndex + 1);
+      });
+    }
+    
+    function confirmMigration() {
+      rl.question(`\nMigrate ${outdated.length} instance(s) of "${contract.name}"? (y/n): `, async (confirm) => {
+        if (confirm.toLowerCase() === 'y') {
+          for (const instance of outdated) {
+            try {
+              const migrated = await migrateInstance(contract, instance, rulesByVersion[instance.version]);
+              console.log(`Instance ${instance.id.substring(0, 8)}... migrated to ${migrated.address}`);
+            } catch (error) {
+              console.error(`\nError migrating instance ${instance.id.substring(0, 8)}...:`, error.message);
+            }
+          }
+        }
+        
+        rl.question('\nPress Enter to return to main menu...', () => {
+          showMainMenu();
+        });
+      });
+    }
+    
+    askRules(0, 0);
+  });
+}
+
 // Cleanup and exit
 function cleanupAndExit() {
   console.log('\nSaving data and exiting...');
@@ -993,12 +1308,6 @@ function cleanupAndExit() {
   // Save contracts database
   fs.writeFileSync(CONTRACTS_DB_FILE, JSON.stringify(contractsDB, null, 2));
   
-  if (nodeProcess) {
-    console.log('Stopping IperChain node...');
-    // In a real implementation, we might want to keep the node running
-    // nodeProcess.kill();
-  }
-  
   console.log('Goodbye!');
   process.exit(0);
 }
@@ -1015,34 +1324,22 @@ async function start() {
   // Start blockchain node
   await startNode();
   
-  // Check if we need to update the IperChain node to include our contract creator account
-  await checkAndUpdateNodeAccounts();
-  
-  // Show main menu
-  showMainMenu();
-}
-
-// Check and update node accounts if needed
-async function checkAndUpdateNodeAccounts() {
+  // Sign with the contract creator's own keystore account
   try {
-    const accounts = await rpcCall('eth_accounts');
-    
-    if (!accounts.includes(CONTRACT_CREATOR_ACCOUNT)) {
-      console.log(`Contract creator account ${CONTRACT_CREATOR_ACCOUNT} not found in node.`);
-      console.log('This account needs to be added to bin/iperchain-node.js');
-      
-      rl.question('\nWould you like to try to automatically update the node configuration? (y/n): ', async (answer) => {
-        if (answer.toLowerCase() === 'y') {
-          console.log('This functionality would modify bin/iperchain-node.js to add the account.');
-          console.log('For this demo, please add the account manually in the node code.');
-        }
-        
-        showMainMenu();
-      });
-    }
+    CONTRACT_CREATOR_ACCOUNT = await loadActorAccount({
+      rpcCall,
+      accountFile: ACCOUNT_FILE,
+      question: prompt => new Promise(resolve => rl.question(prompt, resolve)),
+      label: 'contract creator account'
+    });
+    console.log(`Using contract creator account ${CONTRACT_CREATOR_ACCOUNT}`);
   } catch (error) {
-    console.error('Error checking accounts:', error.message);
+    console.error(error.message);
+    process.exit(1);
   }
+  
+  // Show main menu
+  showMainMenu();
 }
 
 // Handle exit
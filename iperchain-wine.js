@@ -12,21 +12,26 @@
 
 const fs = require('fs');
 const path = require('path');
-const http = require('http');
 const crypto = require('crypto');
 const readline = require('readline');
 const { spawn } = require('child_process');
+const { loadActorAccount } = require('./lib/actor-account');
+const { createNodeClient } = require('./lib/node-client');
 
 // Configuration
 const BLOCKCHAIN_PORT = 8545;
 const P2P_PORT = 9546;
 const DB_DIR = path.join(__dirname, 'data');
+// Keystore account of each role, loaded and unlocked at start-up
 const ACCOUNTS = {
-  PRODUCER: '0x742d35Cc6634C0532925a3b844Bc454e4438f44e',
-  CERTIFIER: '0x123f681646d4a755815f9cb19e1acc8565a0c2ac',
-  DISTRIBUTOR: '0x456f681646d4a755815f9cb19e1acc8565a0c2ac',
-  RETAILER: '0x999f681646d4a755815f9cb19e1acc8565a0c2ac'
+  PRODUCER: null,
+  CERTIFIER: null,
+  DISTRIBUTOR: null,
+  RETAILER: null
 };
+const ACCOUNTS_DIR = path.join(DB_DIR, 'accounts');
+
+const { rpcCall, startNode, waitForReceipt } = createNodeClient(BLOCKCHAIN_PORT);
 
 // Ensure the data directory exists
 if (!fs.existsSync(DB_DIR)) {
@@ -80,124 +85,10 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
-// IperChain node and P2P processes
-let nodeProcess = null;
+// P2P test network process
 let p2pNodeProcess = null;
 let currentRole = null;
 
-// JSON-RPC call helper
-function rpcCall(method, params = []) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method,
-      params
-    });
-
-    const options = {
-      hostname: 'localhost',
-      port: BLOCKCHAIN_PORT,
-      path: '/',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': data.length
-      }
-    };
-
-    const req = http.request(options, (res) => {
-      let responseData = '';
-
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(responseData);
-          
-          if (response.error) {
-            console.log(`RPC Error in ${method}:`, response.error);
-            reject(response.error);
-          } else {
-            resolve(response.result);
-          }
-        } catch (error) {
-          console.error(`Failed to parse response for ${method}:`, error.message);
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      console.error(`Request failed for ${method}:`, error.message);
-      reject(error);
-    });
-
-    req.write(data);
-    req.end();
-  });
-}
-
-// Start IperChain node
-async function startNode() {
-  return new Promise(async (resolve) => {
-    try {
-      // Check if node is already running
-      try {
-        const blockNumber = await rpcCall('eth_blockNumber');
-        if (blockNumber !== null) {
-          console.log('IperChain node is already running at block:', blockNumber);
-          resolve(true);
-          return;
-        }
-      } catch (error) {
-        // Node not running, continue to start it
-      }
-      
-      console.log('Starting IperChain node...');
-      nodeProcess = spawn('node', ['bin/iperchain-node.js'], {
-        detached: true,
-        stdio: 'ignore'
-      });
-      
-      // Give the node time to start
-      console.log('Waiting for node to start...');
-      
-      // Try to connect to the node several times
-      let attempts = 0;
-      const maxAttempts = 5;
-      let success = false;
-      
-      while (attempts < maxAttempts && !success) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        attempts++;
-        
-        try {
-          const blockNumber = await rpcCall('eth_blockNumber');
-          if (blockNumber !== null) {
-            console.log('IperChain node started successfully at block:', blockNumber);
-            success = true;
-          }
-        } catch (error) {
-          console.log(`Attempt ${attempts}/${maxAttempts} to connect to node failed`);
-        }
-      }
-      
-      if (success) {
-        resolve(true);
-      } else {
-        console.error('Failed to start IperChain node after several attempts');
-        resolve(false);
-      }
-    } catch (error) {
-      console.error('Error starting IperChain node:', error.message);
-      resolve(false);
-    }
-  });
-}
-
 // Start test P2P network
 async function startTestP2P() {
   console.log('Starting P2P test network...');
@@ -267,18 +158,13 @@ async function registerWineBatch(batchName, vintage, varietal, region, quantity,
   console.log('Waiting for confirmation...');
   
   // Wait for transaction confirmation
-  let receipt = null;
-  let attempts = 0;
-  const maxAttempts = 5;
-  
-  while (!receipt && attempts < maxAttempts) {
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    attempts++;
-    receipt = await rpcCall('eth_getTransactionReceipt', [txHash]);
-  }
+  const receipt = await waitForReceipt(txHash);
   
   if (!receipt) {
     console.log('Transaction is taking longer than expected to confirm. Continuing anyway...');
+  } else if (receipt.status !== '0x1') {
+    // A mined transaction that reverted changed nothing
+    throw new Error(`Transaction ${txHash} failed: ${receipt.revertReason || 'reverted'}`);
   } else {
     console.log('Transaction confirmed in block:', receipt.blockNumber);
   }
@@ -850,6 +736,24 @@ async function main() {
     return;
   }
   
+  // Unlock the account of every role, all protected by the same passphrase
+  const passphrase = process.env.IPERCHAIN_PASSPHRASE || await askQuestion('Passphrase for the role accounts: ');
+  try {
+    for (const role of Object.keys(ACCOUNTS)) {
+      ACCOUNTS[role] = await loadActorAccount({
+        rpcCall,
+        accountFile: path.join(ACCOUNTS_DIR, `${role.toLowerCase()}.json`),
+        question: askQuestion,
+        passphrase,
+        label: `${role.toLowerCase()} account`
+      });
+    }
+  } catch (error) {
+    console.error(error.message);
+    cleanupAndExit();
+    return;
+  }
+  
   // Start the test P2P network
   await startTestP2P();
   
@@ -0,0 +1,391 @@
+/**
+ * IperChain ABI Codec
+ *
+ * Encodes and decodes values with the Ethereum contract ABI, so that the CLIs
+ * can call contracts through their generated ABI and contracts can decode
+ * their calls:
+ *
+ *   encode(['string', 'uint256'], ['Barolo', 1200n])  ->  '0x...'
+ *   decode(['string', 'uint256'], data)               ->  ['Barolo', 1200n]
+ *
+ * Supported types: uint<M>, int<M>, address, bool, bytes<M>, bytes, string,
+ * fixed and dynamic arrays (T[k], T[]) and tuples, written either as ABI
+ * parameters ({ type: 'tuple', components: [...] }) or as '(T1,T2)'.
+ *
+ * Decoded values are BigInts for integers, booleans, lowercase hex strings for
+ * addresses and bytes, strings, and arrays for arrays and tuples.
+ */
+
+const { keccak256 } = require('ethereum-cryptography/keccak');
+
+const WORD_BYTES = 32;
+
+function keccakHex(text) {
+  return '0x' + Buffer.from(keccak256(Buffer.from(text))).toString('hex');
+}
+
+// Split a list of types at its top-level commas: 'uint256,(bool,string)[]'
+function splitTypes(list) {
+  const types = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < list.length; i++) {
+    if (list[i] === '(') {
+      depth++;
+    } else if (list[i] === ')') {
+      depth--;
+    } else if (list[i] === ',' && depth === 0) {
+      types.push(list.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  if (list.length > 0) {
+    types.push(list.slice(start));
+  }
+  return types;
+}
+
+// Parse a type string or an ABI parameter into a type description
+function parseType(param) {
+  const { type, components } = typeof param === 'string' ? { type: param } : param;
+
+  const array = type.match(/^(.*)\[(\d*)\]$/);
+  if (array) {
+    return {
+      kind: 'array',
+      length: array[2] === '' ? null : Number(array[2]),
+      item: parseType({ type: array[1], components })
+    };
+  }
+
+  if (type === 'tuple') {
+    return { kind: 'tuple', components: (components || []).map(parseType) };
+  }
+
+  if (type.startsWith('(') && type.endsWith(')')) {
+    return { kind: 'tuple', components: splitTypes(type.slice(1, -1)).map(parseType) };
+  }
+
+  const integer = type.match(/^(u?)int(\d*)$/);
+  if (integer) {
+    const bits = integer[2] === '' ? 256 : Number(integer[2]);
+    if (bits === 0 || bits > 256 || bits % 8 !== 0) {
+      throw new Error(`invalid ABI type ${type}`);
+    }
+    return { kind: 'integer', signed: integer[1] === '', bits };
+  }
+
+  const fixedBytes = type.match(/^bytes(\d+)$/);
+  if (fixedBytes) {
+    const size = Number(fixedBytes[1]);
+    if (size === 0 || size > 32) {
+      throw new Error(`invalid ABI type ${type}`);
+    }
+    return { kind: 'fixedBytes', size };
+  }
+
+  if (['address', 'bool', 'bytes', 'string'].includes(type)) {
+    return { kind: type };
+  }
+
+  throw new Error(`unsupported ABI type ${type}`);
+}
+
+// Canonical type string, as used in signatures
+function typeName(type) {
+  switch (type.kind) {
+    case 'array':
+      return `${typeName(type.item)}[${type.length === null ? '' : type.length}]`;
+    case 'tuple':
+      return `(${type.components.map(typeName).join(',')})`;
+    case 'integer':
+      return `${type.signed ? 'int' : 'uint'}${type.bits}`;
+    case 'fixedBytes':
+      return `bytes${type.size}`;
+    default:
+      return type.kind;
+  }
+}
+
+function isDynamic(type) {
+  switch (type.kind) {
+    case 'bytes':
+    case 'string':
+      return true;
+    case 'array':
+      return type.length === null || isDynamic(type.item);
+    case 'tuple':
+      return type.components.some(isDynamic);
+    default:
+      return false;
+  }
+}
+
+// Bytes a value of a static type takes in the head of a sequence
+function headSize(type) {
+  if (isDynamic(type)) {
+    return WORD_BYTES;
+  }
+  if (type.kind === 'array') {
+    return type.length * headSize(type.item);
+  }
+  if (type.kind === 'tuple') {
+    return type.components.reduce((total, component) => total + headSize(component), 0);
+  }
+  return WORD_BYTES;
+}
+
+function toWord(value) {
+  return value.toString(16).padStart(WORD_BYTES * 2, '0');
+}
+
+function toHexData(value, type) {
+  if (typeof value !== 'string' || !/^0x([0-9a-f]{2})*$/i.test(value)) {
+    throw new Error(`invalid ${type} value ${value}: expected hex data`);
+  }
+  return value.slice(2).toLowerCase();
+}
+
+// Bytes padded to whole words
+function padRight(hex) {
+  return hex.padEnd(Math.ceil(hex.length / (WORD_BYTES * 2)) * WORD_BYTES * 2, '0');
+}
+
+// Encode values of a sequence of types (function arguments, tuples, arrays):
+// static values in the head, dynamic ones in the tail with their offset in the head
+function encodeSequence(types, values) {
+  if (!Array.isArray(values) || values.length !== types.length) {
+    throw new Error(`expected ${types.length} ABI values, got ${Array.isArray(values) ? values.length : values}`);
+  }
+
+  const headLength = types.reduce((total, type) => total + headSize(type), 0);
+  let head = '';
+  let tail = '';
+
+  types.forEach((type, index) => {
+    const encoded = encodeValue(type, values[index]);
+
+    if (isDynamic(type)) {
+      head += toWord(BigInt(headLength + tail.length / 2));
+      tail += encoded;
+    } else {
+      head += encoded;
+    }
+  });
+
+  return head + tail;
+}
+
+function encodeValue(type, value) {
+  switch (type.kind) {
+    case 'integer': {
+      const number = BigInt(value);
+      const min = type.signed ? -(1n << BigInt(type.bits - 1)) : 0n;
+      const max = type.signed ? (1n << BigInt(type.bits - 1)) - 1n : (1n << BigInt(type.bits)) - 1n;
+
+      if (number < min || number > max) {
+        throw new Error(`${value} is out of range for ${typeName(type)}`);
+      }
+      return toWord(number < 0n ? (1n << 256n) + number : number);
+    }
+
+    case 'address':
+      if (typeof value !== 'string' || !/^0x[0-9a-f]{40}$/i.test(value)) {
+        throw new Error(`invalid address ${value}`);
+      }
+      return value.slice(2).toLowerCase().padStart(WORD_BYTES * 2, '0');
+
+    case 'bool':
+      if (typeof value !== 'boolean') {
+        throw new Error(`invalid bool ${value}`);
+      }
+      return toWord(value ? 1n : 0n);
+
+    case 'fixedBytes': {
+      const hex = toHexData(value, typeName(type));
+      if (hex.length !== type.size * 2) {
+        throw new Error(`invalid ${typeName(type)} value ${value}: expected ${type.size} bytes`);
+      }
+      return padRight(hex);
+    }
+
+    case 'bytes':
+    case 'string': {
+      const hex = type.kind === 'string' ? Buffer.from(String(value), 'utf8').toString('hex') : toHexData(value, 'bytes');
+      return toWord(BigInt(hex.length / 2)) + padRight(hex);
+    }
+
+    case 'array':
+      if (!Array.isArray(value) || (type.length !== null && value.length !== type.length)) {
+        throw new Error(`invalid ${typeName(type)} value: expected an array${type.length !== null ? ` of ${type.length} items` : ''}`);
+      }
+      return (type.length === null ? toWord(BigInt(value.length)) : '') +
+        encodeSequence(value.map(() => type.item), value);
+
+    case 'tuple':
+      return encodeSequence(type.components, value);
+  }
+}
+
+// Reads words from hex data, checking every access against its length
+class Reader {
+  constructor(hex) {
+    this.hex = hex;
+  }
+
+  get length() {
+    return this.hex.length / 2;
+  }
+
+  // Bytes at a byte offset
+  slice(offset, size) {
+    if (offset < 0 || offset + size > this.length) {
+      throw new Error('ABI data too short');
+    }
+    return this.hex.slice(offset * 2, (offset + size) * 2);
+  }
+
+  word(offset) {
+    return BigInt('0x' + this.slice(offset, WORD_BYTES));
+  }
+
+  // Word used as an offset or length; anything past the data is refused
+  size(offset) {
+    const value = this.word(offset);
+    if (value > BigInt(this.length)) {
+      throw new Error('ABI data too short');
+    }
+    return Number(value);
+  }
+}
+
+function decodeSequence(types, reader, base) {
+  let position = base;
+
+  return types.map(type => {
+    const value = isDynamic(type)
+      ? decodeValue(type, reader, base + reader.size(position))
+      : decodeValue(type, reader, position);
+
+    position += headSize(type);
+    return value;
+  });
+}
+
+function decodeValue(type, reader, offset) {
+  switch (type.kind) {
+    case 'integer': {
+      let number = reader.word(offset);
+      if (type.signed && number >= 1n << 255n) {
+        number -= 1n << 256n;
+      }
+
+      const min = type.signed ? -(1n << BigInt(type.bits - 1)) : 0n;
+      const max = type.signed ? (1n << BigInt(type.bits - 1)) - 1n : (1n << BigInt(type.bits)) - 1n;
+      if (number < min || number > max) {
+        throw new Error(`invalid ${typeName(type)} value in ABI data`);
+      }
+      return number;
+    }
+
+    case 'address': {
+      const word = reader.slice(offset, WORD_BYTES);
+      if (!/^0{24}/.test(word)) {
+        throw new Error('invalid address in ABI data');
+      }
+      return '0x' + word.slice(24);
+    }
+
+    case 'bool': {
+      const word = reader.word(offset);
+      if (word > 1n) {
+        throw new Error('invalid bool in ABI data');
+      }
+      return word === 1n;
+    }
+
+    case 'fixedBytes':
+      return '0x' + reader.slice(offset, type.size);
+
+    case 'bytes':
+    case 'string': {
+      const length = reader.size(offset);
+      const hex = reader.slice(offset + WORD_BYTES, length);
+      return type.kind === 'string' ? Buffer.from(hex, 'hex').toString('utf8') : '0x' + hex;
+    }
+
+    case 'array': {
+      if (type.length !== null) {
+        return decodeSequence(new Array(type.length).fill(type.item), reader, offset);
+      }
+
+      const length = reader.size(offset);
+      if (length * WORD_BYTES > reader.length) {
+        throw new Error('ABI data too short');
+      }
+      return decodeSequence(new Array(length).fill(type.item), reader, offset + WORD_BYTES);
+    }
+
+    case 'tuple':
+      return decodeSequence(type.components, reader, offset);
+  }
+}
+
+// ABI-encode values of the given types (type strings or ABI parameters)
+function encode(types, values) {
+  return '0x' + encodeSequence(types.map(parseType), values);
+}
+
+// Decode ABI data holding values of the given types
+function decode(types, data) {
+  if (typeof data !== 'string' || !/^0x([0-9a-f]{2})*$/i.test(data)) {
+    throw new Error('ABI data must be hex data');
+  }
+  return decodeSequence(types.map(parseType), new Reader(data.slice(2).toLowerCase()), 0);
+}
+
+// Signature of an ABI function or event, e.g. 'setVariety(string)'
+function signature(entry) {
+  return `${entry.name}(${(entry.inputs || []).map(input => typeName(parseType(input))).join(',')})`;
+}
+
+// 4-byte selector of a function: an ABI entry or a signature
+function functionSelector(entry) {
+  return keccakHex(typeof entry === 'string' ? entry : signature(entry)).slice(0, 10);
+}
+
+// topics[0] of the logs of an event: an ABI entry or a signature
+function eventTopic(entry) {
+  return keccakHex(typeof entry === 'string' ? entry : signature(entry));
+}
+
+// Call data of an ABI function with its arguments
+function encodeFunctionCall(entry, values = []) {
+  return functionSelector(entry) + encode(entry.inputs || [], values).slice(2);
+}
+
+// Arguments of a call to an ABI function; throws if the selector differs
+function decodeFunctionCall(entry, data) {
+  if (typeof data !== 'string' || data.slice(0, 10).toLowerCase() !== functionSelector(entry)) {
+    throw new Error(`call data is not a call to ${signature(entry)}`);
+  }
+  return decode(entry.inputs || [], '0x' + data.slice(10));
+}
+
+// Values returned by an ABI function
+function decodeFunctionResult(entry, data) {
+  return decode(entry.outputs || [], data);
+}
+
+module.exports = {
+  encode,
+  decode,
+  signature,
+  functionSelector,
+  eventTopic,
+  encodeFunctionCall,
+  decodeFunctionCall,
+  decodeFunctionResult
+};
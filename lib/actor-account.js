@@ -0,0 +1,103 @@
+/**
+ * IperChain Actor Accounts
+ *
+ * Every actor CLI signs its transactions with its own account, kept encrypted
+ * in the keystore of the IperChain node. The address of the account is saved
+ * in a small account file next to the CLI data; the account is created with
+ * personal_newAccount on first use and unlocked with personal_unlockAccount
+ * every time the CLI starts.
+ *
+ * The passphrase is read from the IPERCHAIN_PASSPHRASE environment variable,
+ * or asked interactively.
+ *
+ * Transactions pay for their gas, so on a development network the account is
+ * then topped up from the faucet of the node (iperchain_fund). Other networks
+ * fund the accounts of their actors in their genesis allocation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { rpcErrorMessage } = require('./node-client');
+
+// Load (or create) and unlock the account of an actor; returns its address.
+//   rpcCall(method, params)  JSON-RPC helper of the CLI
+//   accountFile              file holding the address of the account
+//   question(prompt)         returns a promise of the user's answer
+//   passphrase               asked with question() when not given
+//   unlockDuration           seconds, 0 = until the node stops
+async function loadActorAccount({ rpcCall, accountFile, question, passphrase, label = 'account', unlockDuration = 0 }) {
+  passphrase = passphrase || process.env.IPERCHAIN_PASSPHRASE || await question(`Passphrase for the ${label}: `);
+  let address;
+
+  if (fs.existsSync(accountFile)) {
+    address = JSON.parse(fs.readFileSync(accountFile, 'utf8')).address;
+  } else {
+    try {
+      address = await rpcCall('personal_newAccount', [passphrase]);
+    } catch (error) {
+      throw new Error(`Could not create the ${label}: ${rpcErrorMessage(error)}`);
+    }
+
+    fs.mkdirSync(path.dirname(accountFile), { recursive: true });
+    fs.writeFileSync(accountFile, JSON.stringify({ address }, null, 2));
+    console.log(`Created ${label} ${address} in the node keystore`);
+  }
+
+  try {
+    await rpcCall('personal_unlockAccount', [address, passphrase, unlockDuration]);
+  } catch (error) {
+    throw new Error(`Could not unlock the ${label} ${address}: ${rpcErrorMessage(error)}`);
+  }
+
+  await fundActorAccount(rpcCall, address, label);
+  return address;
+}
+
+// Top an account up from the development faucet and wait for the transfer to
+// be in a block, so that the first transaction of the actor can pay for gas
+async function fundActorAccount(rpcCall, address, label, timeoutSeconds = 30) {
+  let txHash;
+  try {
+    txHash = await rpcCall('iperchain_fund', [address]);
+  } catch (error) {
+    console.log(`The ${label} ${address} was not funded: ${rpcErrorMessage(error)}`);
+    return;
+  }
+
+  if (!txHash) {
+    return;
+  }
+
+  for (let i = 0; i < timeoutSeconds; i++) {
+    if (await rpcCall('eth_getTransactionReceipt', [txHash])) {
+      console.log(`Funded ${label} ${address} from the development faucet`);
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  console.log(`The funding of the ${label} ${address} is not in a block yet: ${txHash}`);
+}
+
+// Address of an actor of a known-actors file: its `address`, or the one saved
+// in the account file it names (relative to `baseDir`); null while that actor
+// has not created its account
+function knownActorAddress(actor, baseDir) {
+  if (actor.address) {
+    return actor.address;
+  }
+  if (!actor.accountFile) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(baseDir, actor.accountFile), 'utf8')).address || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  loadActorAccount,
+  knownActorAddress
+};
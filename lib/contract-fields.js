@@ -0,0 +1,268 @@
+/**
+ * IperChain Contract Fields
+ *
+ * Field types of the contracts made with the contract creator, and the
+ * validation of the values entered for them. Every value is checked against
+ * its declared type and normalised to the value its ABI type carries:
+ *
+ *   text     any string                                     -> string
+ *   number   whole number from 0 to 2^256 - 1               -> uint256 (BigInt)
+ *   date     Unix timestamp (seconds) or ISO 8601 date,     -> uint256 (BigInt)
+ *            from 1970 to 9999, UTC unless a zone is given
+ *   boolean  true/false, yes/no, y/n, 1/0                   -> bool
+ *   address  0x + 40 hex digits; mixed case must match the  -> address, in its
+ *            EIP-55 checksum                                   checksummed form
+ *
+ * An empty value is refused for required fields and becomes the zero value of
+ * the type otherwise. The instance contracts enforce the same rules on chain
+ * for the values they can tell apart: required text and address fields, and
+ * the date range.
+ *
+ * Contracts are versioned: a change of fields makes a new version, and the
+ * values of an instance are carried over to a new version by migration rules
+ * (see migrateFieldValues).
+ */
+
+const { keccak256 } = require('ethereum-cryptography/keccak');
+
+const FIELD_TYPES = ['text', 'number', 'boolean', 'address', 'date'];
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+// Latest date a field accepts: 9999-12-31T23:59:59Z
+const MAX_DATE = 253402300799n;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// YYYY-MM-DD, optionally followed by a time and a zone
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Map our field types to Solidity/ABI types
+function mapFieldTypeToABIType(fieldType) {
+  switch (fieldType.toLowerCase()) {
+    case 'text':
+    case 'string':
+      return 'string';
+    case 'number':
+    case 'integer':
+      return 'uint256';
+    case 'boolean':
+    case 'bool':
+      return 'bool';
+    case 'address':
+      return 'address';
+    case 'date':
+      return 'uint256'; // Unix timestamp
+    default:
+      return 'string';
+  }
+}
+
+// EIP-55 checksummed form of an address
+function toChecksumAddress(address) {
+  const lower = address.slice(2).toLowerCase();
+  const hash = Buffer.from(keccak256(Buffer.from(lower))).toString('hex');
+
+  return '0x' + lower.split('').map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('');
+}
+
+// Unix timestamp of a date entered as seconds or as an ISO 8601 date
+function parseDate(text) {
+  if (/^\d+$/.test(text)) {
+    return BigInt(text);
+  }
+
+  const match = text.match(ISO_DATE);
+  if (!match) {
+    throw new Error(`"${text}" is not a Unix timestamp or an ISO date (YYYY-MM-DD)`);
+  }
+
+  // Reject days that do not exist, which Date.parse() rolls over
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const calendarDay = new Date(Date.UTC(year, month - 1, day));
+  if (calendarDay.getUTCFullYear() !== year || calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== day) {
+    throw new Error(`"${text}" is not a valid date`);
+  }
+
+  // Without a zone the time is UTC, so every machine reads the same date
+  const time = Date.parse(text.includes('T') && !match[4] ? text + 'Z' : text);
+  if (Number.isNaN(time) || time < 0) {
+    throw new Error(`"${text}" is not a valid date from 1970 on`);
+  }
+  return BigInt(Math.floor(time / 1000));
+}
+
+// Value of a field, validated and normalised for its ABI type; throws with
+// the problem when the value does not fit the field
+function parseFieldValue(field, value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+
+  if (text === '') {
+    if (field.required) {
+      throw new Error('is required');
+    }
+    return zeroValue(field);
+  }
+
+  switch (field.type) {
+    case 'number': {
+      if (!/^\d+$/.test(text)) {
+        throw new Error(`"${text}" is not a whole number of 0 or more`);
+      }
+      const number = BigInt(text);
+      if (number > MAX_UINT256) {
+        throw new Error(`${text} is larger than 2^256 - 1`);
+      }
+      return number;
+    }
+
+    case 'date': {
+      const timestamp = parseDate(text);
+      if (timestamp > MAX_DATE) {
+        throw new Error(`${text} is after the year 9999`);
+      }
+      return timestamp;
+    }
+
+    case 'boolean':
+      if (TRUE_VALUES.includes(text.toLowerCase())) {
+        return true;
+      }
+      if (FALSE_VALUES.includes(text.toLowerCase())) {
+        return false;
+      }
+      throw new Error(`"${text}" is not a boolean (true/false, yes/no)`);
+
+    case 'address': {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(text)) {
+        throw new Error(`"${text}" is not an address (0x followed by 40 hex digits)`);
+      }
+
+      const checksummed = toChecksumAddress(text);
+      const mixedCase = text.slice(2) !== text.slice(2).toLowerCase() && text.slice(2) !== text.slice(2).toUpperCase();
+      if (mixedCase && text !== checksummed) {
+        throw new Error(`"${text}" has an invalid checksum`);
+      }
+      if (field.required && checksummed === ZERO_ADDRESS) {
+        throw new Error('is required and cannot be the zero address');
+      }
+      return checksummed;
+    }
+
+    default:
+      return String(value);
+  }
+}
+
+function zeroValue(field) {
+  switch (field.type) {
+    case 'number':
+    case 'date':
+      return 0n;
+    case 'boolean':
+      return false;
+    case 'address':
+      return ZERO_ADDRESS;
+    default:
+      return '';
+  }
+}
+
+// Values of all the fields of a contract, in field order; throws one error
+// listing every field whose value is not valid
+function parseFieldValues(fields, values) {
+  const errors = [];
+
+  const parsed = fields.map(field => {
+    try {
+      return parseFieldValue(field, values[field.name]);
+    } catch (error) {
+      errors.push(`${field.name} (${field.type}): ${error.message}`);
+      return null;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid field values:\n  ${errors.join('\n  ')}`);
+  }
+  return parsed;
+}
+
+// Text of a field value, as shown by the CLIs and kept in contracts-db.json
+function formatFieldValue(field, value) {
+  if (field.type === 'date') {
+    return BigInt(value) > 0n ? new Date(Number(value) * 1000).toISOString() : '';
+  }
+  if (field.type === 'address') {
+    return toChecksumAddress(value);
+  }
+  return String(value);
+}
+
+// Differences between the fields of two contract versions: fields added,
+// removed, and kept with a different type or required flag
+function diffFields(oldFields, newFields) {
+  const added = newFields.filter(field => !oldFields.some(old => old.name === field.name));
+  const removed = oldFields.filter(field => !newFields.some(current => current.name === field.name));
+  const changed = [];
+
+  newFields.forEach(field => {
+    const old = oldFields.find(candidate => candidate.name === field.name);
+    if (old && (old.type !== field.type || Boolean(old.required) !== Boolean(field.required))) {
+      changed.push({ name: field.name, from: old, to: field });
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+// Values of an instance for the fields of another contract version. Every
+// field takes the value given by its rule, if any:
+//
+//   { from: 'oldField' }  the value of a field of the old version
+//   { value: '...' }      a fixed value
+//
+// Without a rule a field keeps the value of the old field with its name, or
+// takes the zero value of its type when it is new. Values of removed fields
+// are dropped. The result is validated like the values of a new instance and
+// returned as text, as kept in contracts-db.json; throws listing every field
+// that cannot be migrated.
+function migrateFieldValues(fromFields, toFields, values, rules = {}) {
+  const migrated = {};
+
+  toFields.forEach(field => {
+    const rule = rules[field.name];
+
+    if (rule && rule.value !== undefined) {
+      migrated[field.name] = rule.value;
+    } else if (rule && rule.from !== undefined) {
+      if (!fromFields.some(old => old.name === rule.from)) {
+        throw new Error(`Invalid migration rule for ${field.name}: the old version has no field ${rule.from}`);
+      }
+      migrated[field.name] = values[rule.from];
+    } else if (fromFields.some(old => old.name === field.name)) {
+      migrated[field.name] = values[field.name];
+    }
+  });
+
+  const parsed = parseFieldValues(toFields, migrated);
+  const result = {};
+  toFields.forEach((field, index) => {
+    result[field.name] = formatFieldValue(field, parsed[index]);
+  });
+  return result;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  MAX_DATE,
+  mapFieldTypeToABIType,
+  toChecksumAddress,
+  parseFieldValue,
+  parseFieldValues,
+  formatFieldValue,
+  diffFields,
+  migrateFieldValues
+};
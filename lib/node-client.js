@@ -0,0 +1,207 @@
+/**
+ * IperChain Node Client
+ *
+ * The JSON-RPC client of the actor CLIs: calls to the node, start-up of a
+ * local node when none is running, waiting for transaction receipts with
+ * a block filter and reading the supply chain event logs of the node.
+ *
+ * The wine CLIs and the CLIs generated with
+ * contract-creator/create-supply-chain.js all use it.
+ */
+
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { isEventLogOf } = require('../chain/events');
+
+const NODE_SCRIPT = path.join(__dirname, '..', 'bin', 'iperchain-node.js');
+
+// Blocks the node searches in one eth_getLogs request (MAX_LOG_BLOCK_RANGE of
+// bin/iperchain-node.js)
+const LOG_BLOCK_RANGE = 10000;
+
+// Message of an RPC error, as rejected by rpcCall()
+function rpcErrorMessage(error) {
+  return (error && (error.data || error.message)) || String(error);
+}
+
+// Client of the node listening on `port` of localhost
+function createNodeClient(port = 8545) {
+  // JSON-RPC call; rejects with the `error` object of the response
+  function rpcCall(method, params = []) {
+    return new Promise((resolve, reject) => {
+      const data = JSON.stringify({
+        jsonrpc: '2.0',
+        id: Date.now(),
+        method,
+        params
+      });
+
+      const req = http.request({
+        hostname: 'localhost',
+        port,
+        path: '/',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(data)
+        }
+      }, (res) => {
+        let responseData = '';
+
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+
+        res.on('end', () => {
+          try {
+            const response = JSON.parse(responseData);
+
+            if (response.error) {
+              reject(response.error);
+            } else {
+              resolve(response.result);
+            }
+          } catch (error) {
+            reject(new Error(`Failed to parse response for ${method}: ${error.message}`));
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.write(data);
+      req.end();
+    });
+  }
+
+  // Connect to the node, starting one in the background if none answers;
+  // resolves to false if it cannot be reached after several attempts
+  async function startNode(maxAttempts = 5) {
+    try {
+      const blockNumber = await rpcCall('eth_blockNumber');
+      console.log('IperChain node is already running at block:', blockNumber);
+      return true;
+    } catch (error) {
+      // Node not running, start it
+    }
+
+    console.log('Starting IperChain node...');
+    spawn('node', [NODE_SCRIPT, '--port', String(port)], {
+      detached: true,
+      stdio: 'ignore'
+    });
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      try {
+        const blockNumber = await rpcCall('eth_blockNumber');
+        console.log('IperChain node started successfully at block:', blockNumber);
+        return true;
+      } catch (error) {
+        console.log(`Attempt ${attempt}/${maxAttempts} to connect to node failed`);
+      }
+    }
+
+    console.error('Failed to start IperChain node after several attempts');
+    return false;
+  }
+
+  // Wait until a transaction is mined: the receipt is only fetched again when
+  // a block filter reports new blocks. Returns null after `timeoutSeconds`.
+  async function waitForReceipt(txHash, timeoutSeconds = 10) {
+    const filterId = await rpcCall('eth_newBlockFilter');
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    let receipt = await rpcCall('eth_getTransactionReceipt', [txHash]);
+
+    while (!receipt && Date.now() < deadline) {
+      console.log('Waiting for confirmation...');
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      const newBlocks = await rpcCall('eth_getFilterChanges', [filterId]);
+      if (newBlocks.length > 0) {
+        receipt = await rpcCall('eth_getTransactionReceipt', [txHash]);
+      }
+    }
+
+    await rpcCall('eth_uninstallFilter', [filterId]);
+    return receipt;
+  }
+
+  // Whether a log is the event log the node emitted for its transaction;
+  // `transactions` caches the transactions fetched, by hash
+  async function isEventLog(log, transactions = new Map()) {
+    if (!transactions.has(log.transactionHash)) {
+      transactions.set(log.transactionHash, await rpcCall('eth_getTransactionByHash', [log.transactionHash]));
+    }
+    return isEventLogOf(log, transactions.get(log.transactionHash));
+  }
+
+  // Number of the block of a block tag ('earliest', 'latest', a hex number...)
+  async function resolveBlockNumber(tag = 'latest') {
+    if (tag === 'earliest') {
+      return 0;
+    }
+    if (/^0x[0-9a-f]+$/i.test(tag)) {
+      return parseInt(tag, 16);
+    }
+
+    const block = await rpcCall('eth_getBlockByNumber', [tag, false]);
+    return block ? parseInt(block.number, 16) : 0;
+  }
+
+  // Logs matching an eth_getLogs filter over any block range: the range is
+  // asked for in windows of LOG_BLOCK_RANGE blocks
+  async function getLogs(filter) {
+    if (filter.blockHash) {
+      return rpcCall('eth_getLogs', [filter]);
+    }
+
+    const fromBlock = await resolveBlockNumber(filter.fromBlock);
+    const toBlock = await resolveBlockNumber(filter.toBlock);
+    const logs = [];
+
+    for (let start = fromBlock; start <= toBlock; start += LOG_BLOCK_RANGE) {
+      const end = Math.min(start + LOG_BLOCK_RANGE - 1, toBlock);
+      logs.push(...await rpcCall('eth_getLogs', [{
+        ...filter,
+        fromBlock: '0x' + start.toString(16),
+        toBlock: '0x' + end.toString(16)
+      }]));
+    }
+    return logs;
+  }
+
+  // Event logs matching an eth_getLogs filter, leaving out those that
+  // contracts emitted with the topics of an event (see chain/events.js): one
+  // log per transaction, checked against the transaction itself
+  async function getEventLogs(filter) {
+    const logs = await getLogs(filter);
+    const transactions = new Map();
+    const seen = new Set();
+    const eventLogs = [];
+
+    for (const log of logs) {
+      if (!seen.has(log.transactionHash) && await isEventLog(log, transactions)) {
+        seen.add(log.transactionHash);
+        eventLogs.push(log);
+      }
+    }
+    return eventLogs;
+  }
+
+  return {
+    url: `ws://localhost:${port}`,
+    rpcCall,
+    startNode,
+    waitForReceipt,
+    isEventLog,
+    getLogs,
+    getEventLogs
+  };
+}
+
+module.exports = {
+  rpcErrorMessage,
+  createNodeClient
+};
@@ -0,0 +1,82 @@
+/**
+ * IperChain Node Subscriptions
+ *
+ * Keeps eth_subscribe subscriptions open on the WebSocket endpoint of an
+ * IperChain node, so that a CLI is told about new blocks and supply chain
+ * events as soon as they are mined. The subscriptions are renewed when the
+ * connection drops, for example while the node restarts.
+ */
+
+const WebSocket = require('ws');
+
+// Milliseconds to wait before reconnecting to the node
+const RECONNECT_DELAY = 3000;
+
+// Open the subscriptions on the node at `url` (ws://host:port).
+//   subscriptions  [{ params, onNotification(result) }], where params are the
+//                  eth_subscribe parameters, e.g. ['logs', { topics: [...] }]
+// Returns an object whose close() ends the subscriptions.
+function subscribeToNode(url, subscriptions) {
+  let socket = null;
+  let closed = false;
+
+  function connect() {
+    const handlers = {}; // Subscription ID -> onNotification
+    socket = new WebSocket(url);
+
+    socket.on('open', () => {
+      subscriptions.forEach(({ params }, index) => {
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id: index + 1, method: 'eth_subscribe', params }));
+      });
+    });
+
+    socket.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        console.error('Ignored a malformed message from the node');
+        return;
+      }
+      if (message === null || typeof message !== 'object') {
+        return;
+      }
+
+      if (message.method === 'eth_subscription') {
+        const handler = message.params && handlers[message.params.subscription];
+        if (handler) {
+          // A failing handler must not end the subscriptions
+          Promise.resolve()
+            .then(() => handler(message.params.result))
+            .catch(error => console.error('Error handling a notification:', error.message));
+        }
+      } else if (message.error) {
+        console.error(`Subscription refused by the node: ${message.error.data || message.error.message}`);
+      } else if (message.id) {
+        handlers[message.result] = subscriptions[message.id - 1].onNotification;
+      }
+    });
+
+    // Connection errors are followed by 'close', which reconnects
+    socket.on('error', () => {});
+
+    socket.on('close', () => {
+      if (!closed) {
+        setTimeout(connect, RECONNECT_DELAY);
+      }
+    });
+  }
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      socket.close();
+    }
+  };
+}
+
+module.exports = {
+  subscribeToNode
+};
@@ -0,0 +1,468 @@
+/**
+ * IperChain Supply Chain Actor CLI
+ *
+ * The command line interface run by the actor CLIs that
+ * contract-creator/create-supply-chain.js generates. Each CLI is one actor of
+ * a supply chain (see lib/supply-chain.js) and offers the actions of its role:
+ *
+ * - register  record a new batch with the fields of the chain
+ * - handoff   hand a batch it holds to an actor of the next roles
+ * - certify   record certifications of a batch it holds
+ * - verify    show the history of any batch and check its custody
+ *
+ * Batches are read from the event logs of the chain, so the CLIs keep no
+ * database of their own. Every CLI writes its address to the actors folder of
+ * the chain, where the others find the recipients of their handoffs, and is
+ * told about the batches handed to it as soon as they are mined.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { createNodeClient, rpcErrorMessage } = require('./node-client');
+const { loadActorAccount } = require('./actor-account');
+const { subscribeToNode } = require('./node-subscriptions');
+const { parseFieldValue, formatFieldValue } = require('./contract-fields');
+const { eventTypes, eventTopics, decodeBatchEvents, checkCustody } = require('./supply-chain');
+const { eventTopic, batchTopic, addressTopic } = require('../chain/events');
+
+const MENU_ENTRIES = [
+  { action: 'register', label: 'Register a new batch' },
+  { action: null, label: 'View my batches' },
+  { action: 'handoff', label: 'Hand off a batch' },
+  { action: 'certify', label: 'Certify a batch' },
+  { action: 'verify', label: 'Verify a batch' }
+];
+
+// Run the CLI of an actor.
+//   supplyChain  normalized definition of the chain
+//   role         role of this actor
+//   dataDir      folder of this actor (its account file)
+//   sharedDir    folder shared by the actors of the chain
+//   port         JSON-RPC port of the node
+async function runActorCLI({ supplyChain, role, dataDir, sharedDir, port = 8545 }) {
+  const actor = supplyChain.actors.find(candidate => candidate.role === role);
+  if (!actor) {
+    throw new Error(`Supply chain ${supplyChain.name} has no role ${role}`);
+  }
+
+  const client = createNodeClient(port);
+  const { rpcCall } = client;
+  const types = eventTypes(supplyChain);
+  const topics = Object.keys(eventTopics(supplyChain));
+  const actorsDir = path.join(sharedDir, 'actors');
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  const ask = prompt => new Promise(resolve => rl.question(prompt, resolve));
+
+  let account = null;
+
+  // Send an event of the chain and wait until it is mined
+  async function sendEvent(action, payload, to) {
+    const hexData = '0x' + Buffer.from(`${types[action]}:${JSON.stringify(payload)}`).toString('hex');
+
+    const txHash = await rpcCall('eth_sendTransaction', [
+      {
+        from: account,
+        to,
+        value: '0x0',
+        data: hexData,
+        gas: '0x100000'
+      }
+    ]);
+
+    const receipt = await client.waitForReceipt(txHash);
+    if (!receipt) {
+      throw new Error(`Transaction ${txHash} not confirmed`);
+    }
+    if (receipt.status !== '0x1') {
+      throw new Error(`Transaction ${txHash} failed: ${receipt.revertReason || 'reverted'}`);
+    }
+    return txHash;
+  }
+
+  async function getLogs(filter) {
+    return client.getEventLogs({ fromBlock: 'earliest', toBlock: 'latest', ...filter });
+  }
+
+  // Events of the given batches, by batch ID
+  async function batchEvents(batchIds) {
+    const events = decodeBatchEvents(supplyChain, await getLogs({ topics: [topics, batchIds.map(batchTopic)] }));
+    const byBatch = {};
+
+    batchIds.forEach(batchId => {
+      byBatch[batchId] = events.filter(event => event.data.batchId === batchId);
+    });
+    return byBatch;
+  }
+
+  // Batches this actor registered, handled or received, with their custody
+  async function myBatches() {
+    const sent = await getLogs({ topics: [topics, null, addressTopic(account)] });
+    const received = await getLogs({ address: account, topics: [eventTopic(types.handoff)] });
+    const batchIds = [...new Set(decodeBatchEvents(supplyChain, [...sent, ...received]).map(event => event.data.batchId))];
+
+    if (batchIds.length === 0) {
+      return [];
+    }
+
+    const eventsByBatch = await batchEvents(batchIds);
+    const actors = knownActors();
+    return batchIds.map(batchId => ({
+      batchId,
+      events: eventsByBatch[batchId],
+      custody: checkCustody(supplyChain, eventsByBatch[batchId], actors)
+    }));
+  }
+
+  function batchLabel(batch) {
+    const registration = batch.custody.registration;
+    const name = registration ? Object.values(registration.data.fields)[0] : 'unregistered batch';
+    return `${name} (ID: ${batch.batchId.substring(0, 8)}...)`;
+  }
+
+  function holderLabel(custody) {
+    if (custody.holder === account.toLowerCase()) {
+      return 'you';
+    }
+    return `${custody.holderRole} ${custody.holder}`;
+  }
+
+  // Actors of the chain that have started their CLI
+  function knownActors() {
+    if (!fs.existsSync(actorsDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(actorsDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(actorsDir, file), 'utf8'));
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  function printHistory(events) {
+    events.forEach((event, index) => {
+      console.log(`\n${index + 1}. ${types[event.action]}`);
+      console.log(`   Block: ${event.blockNumber}`);
+      console.log(`   Transaction: ${event.transactionHash}`);
+      console.log(`   By: ${event.data.actorName} (${event.data.role}, ${event.from})`);
+      console.log(`   Time: ${new Date(event.data.timestamp * 1000).toLocaleString()}`);
+
+      if (event.action === 'register') {
+        supplyChain.fields.forEach(field => {
+          console.log(`   ${field.name}: ${event.data.fields[field.name]}`);
+        });
+      } else if (event.action === 'handoff') {
+        console.log(`   To: ${event.data.toRole} ${event.to}`);
+      } else if (event.action === 'certify') {
+        console.log(`   Certifications: ${[].concat(event.data.certifications).join(', ')}`);
+      }
+
+      if (event.data.notes) {
+        console.log(`   Notes: ${event.data.notes}`);
+      }
+    });
+  }
+
+  // Let the user pick one of the batches this actor holds; null if none
+  async function selectHeldBatch() {
+    const batches = (await myBatches()).filter(batch => batch.custody.holder === account.toLowerCase());
+
+    if (batches.length === 0) {
+      console.log('\nYou hold no batches.');
+      return null;
+    }
+
+    console.log('\nBatches you hold:');
+    batches.forEach((batch, index) => {
+      console.log(`${index + 1}. ${batchLabel(batch)}`);
+    });
+
+    const batchIndex = parseInt((await ask('\nSelect batch number (or 0 to cancel): ')).trim()) - 1;
+    if (!(batchIndex >= 0 && batchIndex < batches.length)) {
+      return null;
+    }
+    return batches[batchIndex];
+  }
+
+  async function registerMenu() {
+    console.log('\n=== REGISTER NEW BATCH ===');
+
+    const fields = {};
+    for (const field of supplyChain.fields) {
+      const requiredText = field.required ? ' (Required)' : '';
+
+      for (;;) {
+        const value = await ask(`Value for ${field.name} (${field.type})${requiredText}: `);
+        try {
+          fields[field.name] = formatFieldValue(field, parseFieldValue(field, value));
+          break;
+        } catch (error) {
+          console.log(`Invalid value for ${field.name} (${field.type}): ${error.message}`);
+        }
+      }
+    }
+
+    const registration = {
+      role,
+      actorName: actor.name,
+      fields,
+      contract: supplyChain.contract,
+      timestamp: Math.floor(Date.now() / 1000)
+    };
+    const batchId = crypto.createHash('sha256').update(JSON.stringify({ ...registration, registrant: account })).digest('hex');
+
+    console.log('\nRegistering batch on blockchain...');
+    // Sent to ourselves: the registrant holds the batch
+    const txHash = await sendEvent('register', { batchId, ...registration }, account);
+
+    console.log('\nBatch registered successfully!');
+    console.log(`Batch ID: ${batchId}`);
+    console.log(`Transaction Hash: ${txHash}`);
+  }
+
+  async function viewBatchesMenu() {
+    console.log('\n=== MY BATCHES ===');
+
+    const batches = await myBatches();
+    if (batches.length === 0) {
+      console.log('\nNo batches found.');
+      return;
+    }
+
+    batches.forEach((batch, index) => {
+      console.log(`\n${index + 1}. ${batchLabel(batch)}`);
+      console.log(`   Held by: ${holderLabel(batch.custody)}`);
+      if (batch.custody.certifications.length > 0) {
+        console.log(`   Certifications: ${batch.custody.certifications.join(', ')}`);
+      }
+      console.log(`   Events: ${batch.events.length}`);
+    });
+
+    const batchIndex = parseInt((await ask('\nEnter batch number for details (or 0 to return): ')).trim()) - 1;
+    if (batchIndex >= 0 && batchIndex < batches.length) {
+      console.log(`\nBatch ID: ${batches[batchIndex].batchId}`);
+      printHistory(batches[batchIndex].events);
+    }
+  }
+
+  async function handoffMenu() {
+    console.log('\n=== HAND OFF A BATCH ===');
+
+    const batch = await selectHeldBatch();
+    if (!batch) {
+      return;
+    }
+
+    const recipients = knownActors().filter(known => actor.handoffTo.includes(known.role) && known.address.toLowerCase() !== account.toLowerCase());
+
+    console.log(`\nRecipients (${actor.handoffTo.join(', ')}):`);
+    recipients.forEach((recipient, index) => {
+      console.log(`${index + 1}. ${recipient.name} (${recipient.role}, ${recipient.address})`);
+    });
+    console.log(`${recipients.length + 1}. Another address`);
+
+    const recipientIndex = parseInt((await ask('\nSelect recipient number (or 0 to cancel): ')).trim()) - 1;
+    let to;
+    let toRole;
+
+    if (recipientIndex >= 0 && recipientIndex < recipients.length) {
+      to = recipients[recipientIndex].address;
+      toRole = recipients[recipientIndex].role;
+    } else if (recipientIndex === recipients.length) {
+      toRole = (await ask(`Role of the recipient (${actor.handoffTo.join(', ')}): `)).trim();
+      if (!actor.handoffTo.includes(toRole)) {
+        console.log(`\n${actor.name} cannot hand off to role "${toRole}"`);
+        return;
+      }
+      try {
+        to = parseFieldValue({ type: 'address', required: true }, await ask('Address of the recipient: '));
+      } catch (error) {
+        console.log(`\nInvalid address: ${error.message}`);
+        return;
+      }
+    } else {
+      return;
+    }
+
+    const notes = await ask('Notes: ');
+
+    console.log(`\nHanding off batch ${batch.batchId.substring(0, 8)}... to ${toRole} ${to}...`);
+    const txHash = await sendEvent('handoff', {
+      batchId: batch.batchId,
+      role,
+      actorName: actor.name,
+      to,
+      toRole,
+      notes,
+      timestamp: Math.floor(Date.now() / 1000)
+    }, to);
+
+    console.log(`\nBatch handed off. Transaction Hash: ${txHash}`);
+  }
+
+  async function certifyMenu() {
+    console.log('\n=== CERTIFY A BATCH ===');
+
+    const batch = await selectHeldBatch();
+    if (!batch) {
+      return;
+    }
+
+    const certifications = (await ask('Certifications (comma-separated): ')).split(',').map(c => c.trim()).filter(Boolean);
+    if (certifications.length === 0) {
+      console.log('\nAt least one certification is required');
+      return;
+    }
+    const notes = await ask('Notes: ');
+
+    console.log(`\nCertifying batch ${batch.batchId.substring(0, 8)}...`);
+    const txHash = await sendEvent('certify', {
+      batchId: batch.batchId,
+      role,
+      actorName: actor.name,
+      certifications,
+      notes,
+      timestamp: Math.floor(Date.now() / 1000)
+    }, account);
+
+    console.log(`\nCertification recorded. Transaction Hash: ${txHash}`);
+  }
+
+  async function verifyMenu() {
+    console.log('\n=== VERIFY A BATCH ===');
+
+    const batchId = (await ask('\nEnter batch ID to verify: ')).trim().toLowerCase();
+    const events = (await batchEvents([batchId]))[batchId];
+
+    if (events.length === 0) {
+      console.log('\nNo records found for this batch ID on the blockchain.');
+      return;
+    }
+
+    console.log(`\nFound ${events.length} records for the batch on the blockchain:`);
+    printHistory(events);
+
+    const custody = checkCustody(supplyChain, events, knownActors());
+    console.log(`\nHeld by: ${custody.holder ? holderLabel(custody) : 'nobody'}`);
+    console.log(`Certifications: ${custody.certifications.length > 0 ? custody.certifications.join(', ') : 'none'}`);
+
+    if (custody.problems.length === 0) {
+      console.log(`\nVERIFIED: every event follows the ${supplyChain.title} supply chain`);
+    } else {
+      console.log('\nNOT VERIFIED:');
+      custody.problems.forEach(problem => console.log(`- ${problem}`));
+    }
+  }
+
+  const handlers = {
+    register: registerMenu,
+    handoff: handoffMenu,
+    certify: certifyMenu,
+    verify: verifyMenu
+  };
+  const menu = MENU_ENTRIES
+    .filter(entry => entry.action === null || actor.actions.includes(entry.action))
+    .map(entry => ({ label: entry.label, run: entry.action ? handlers[entry.action] : viewBatchesMenu }));
+
+  function cleanupAndExit() {
+    console.log(`\nShutting down ${actor.name} CLI...`);
+    rl.close();
+    console.log('Goodbye!');
+    process.exit(0);
+  }
+
+  async function showMainMenu() {
+    for (;;) {
+      console.clear();
+      console.log(`\n=== ${actor.name.toUpperCase()} CLI ===`);
+      console.log(`Supply chain: ${supplyChain.title}`);
+      console.log(`Account: ${account}`);
+      menu.forEach((entry, index) => {
+        console.log(`${index + 1}. ${entry.label}`);
+      });
+      console.log(`${menu.length + 1}. Exit`);
+
+      const option = parseInt((await ask('\nSelect an option: ')).trim()) - 1;
+
+      if (option === menu.length) {
+        cleanupAndExit();
+        return;
+      }
+      if (!(option >= 0 && option < menu.length)) {
+        console.log('\nInvalid option. Please try again.');
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        continue;
+      }
+
+      console.clear();
+      try {
+        await menu[option].run();
+      } catch (error) {
+        console.error('\nError:', rpcErrorMessage(error));
+      }
+      await ask('\nPress Enter to return to main menu...');
+    }
+  }
+
+  console.log(`\n${actor.name} CLI Starting...`);
+
+  if (!await client.startNode()) {
+    console.error('Exiting due to node startup failure.');
+    process.exit(1);
+  }
+
+  // Sign with this actor's own keystore account
+  try {
+    account = await loadActorAccount({
+      rpcCall,
+      accountFile: path.join(dataDir, 'account.json'),
+      question: ask,
+      label: `${actor.role} account`
+    });
+    console.log(`Using ${actor.role} account ${account}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // Make this actor known to the others as a recipient of handoffs
+  fs.mkdirSync(actorsDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(actorsDir, `${role}-${account.toLowerCase()}.json`),
+    JSON.stringify({ role, name: actor.name, address: account }, null, 2)
+  );
+
+  // Tell the user about the batches handed to this actor as soon as they are mined
+  subscribeToNode(client.url, [{
+    params: ['logs', { address: account, topics: [eventTopic(types.handoff)] }],
+    onNotification: async log => {
+      // Logs of blocks that a reorganisation removed were announced when they were mined
+      if (log.removed || !await client.isEventLog(log).catch(() => false)) {
+        return;
+      }
+      decodeBatchEvents(supplyChain, [log]).forEach(event => {
+        console.log(`\n[Blockchain] Batch ${event.data.batchId.substring(0, 8)}... handed to you by ${event.data.actorName} (${event.from}) in block ${event.blockNumber}`);
+      });
+    }
+  }]);
+
+  process.on('SIGINT', cleanupAndExit);
+  process.on('SIGTERM', cleanupAndExit);
+
+  await showMainMenu();
+}
+
+module.exports = {
+  runActorCLI
+};
@@ -0,0 +1,236 @@
+/**
+ * IperChain Supply Chains
+ *
+ * Definition of a supply chain for the actor CLIs generated by
+ * contract-creator/create-supply-chain.js, and the reading of its batches from
+ * the chain. A definition names the chain, the fields of its batches (those of
+ * a contract of the contract creator) and its actors:
+ *
+ *   {
+ *     name: 'olive-oil',
+ *     title: 'Olive Oil',
+ *     fields: [{ name: 'cultivar', type: 'text', required: true }, ...],
+ *     actors: [
+ *       { role: 'grower', name: 'Olive Grower', actions: ['register', 'handoff'], handoffTo: ['mill'] },
+ *       ...
+ *     ]
+ *   }
+ *
+ * Every action of an actor is a supply chain event (see chain/events.js)
+ * named after the chain, e.g. OLIVE_OIL_BATCH_HANDOFF; 'verify' only reads them.
+ * The actor that registers a batch holds it until it hands it off to another
+ * actor, the recipient of the handoff transaction; only the holder of a batch
+ * may hand it off or certify it.
+ */
+
+const { FIELD_TYPES } = require('./contract-fields');
+const { eventTopic } = require('../chain/events');
+
+const ACTIONS = ['register', 'handoff', 'certify', 'verify'];
+
+// Event of each action that is recorded on chain
+const EVENT_NAMES = {
+  register: 'REGISTRATION',
+  handoff: 'HANDOFF',
+  certify: 'CERTIFICATION'
+};
+
+const NAME_PATTERN = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+
+// Event prefix of a chain: 'olive-oil' -> 'OLIVE_OIL'
+function eventPrefix(name) {
+  return name.toUpperCase().replace(/-/g, '_');
+}
+
+// Check a definition and fill in its defaults; throws one error listing every
+// problem found
+function normalizeSupplyChain(definition) {
+  const errors = [];
+  const { name, fields, actors } = definition;
+
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    errors.push('name must be lowercase words separated by dashes, e.g. "olive-oil"');
+  }
+
+  if (!Array.isArray(fields) || fields.length === 0) {
+    errors.push('fields must list at least one field');
+  } else {
+    fields.forEach((field, index) => {
+      if (!field || typeof field.name !== 'string' || field.name === '') {
+        errors.push(`field ${index + 1} has no name`);
+      } else if (!FIELD_TYPES.includes(field.type)) {
+        errors.push(`field ${field.name} has type "${field.type}", expected one of: ${FIELD_TYPES.join(', ')}`);
+      }
+    });
+  }
+
+  if (!Array.isArray(actors) || actors.length === 0) {
+    errors.push('actors must list at least one actor');
+  } else {
+    const roles = actors.map(actor => actor && actor.role);
+
+    actors.forEach((actor, index) => {
+      if (!actor || typeof actor.role !== 'string' || !NAME_PATTERN.test(actor.role)) {
+        errors.push(`actor ${index + 1} must have a role of lowercase words separated by dashes`);
+        return;
+      }
+      if (roles.indexOf(actor.role) !== index) {
+        errors.push(`role ${actor.role} is defined more than once`);
+      }
+
+      (actor.actions || []).filter(action => !ACTIONS.includes(action)).forEach(action => {
+        errors.push(`actor ${actor.role} has unknown action "${action}", expected one of: ${ACTIONS.join(', ')}`);
+      });
+      (actor.handoffTo || []).filter(role => !roles.includes(role)).forEach(role => {
+        errors.push(`actor ${actor.role} hands off to unknown role "${role}"`);
+      });
+
+      const handsOff = (actor.actions || []).includes('handoff');
+      if (handsOff && (actor.handoffTo || []).length === 0) {
+        errors.push(`actor ${actor.role} hands off batches but has no handoffTo roles`);
+      }
+      if (!handsOff && (actor.handoffTo || []).length > 0) {
+        errors.push(`actor ${actor.role} has handoffTo roles but not the handoff action`);
+      }
+    });
+
+    if (!actors.some(actor => actor && (actor.actions || []).includes('register'))) {
+      errors.push('no actor has the register action');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid supply chain definition:\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    name,
+    title: definition.title || name,
+    eventPrefix: eventPrefix(name),
+    contract: definition.contract || null,
+    fields: fields.map(field => ({ name: field.name, type: field.type, required: Boolean(field.required) })),
+    actors: actors.map(actor => ({
+      role: actor.role,
+      name: actor.name || actor.role,
+      actions: actor.actions || [],
+      handoffTo: actor.handoffTo || []
+    }))
+  };
+}
+
+// Event types of the actions of a chain: { register: 'OLIVE_OIL_BATCH_REGISTRATION', ... }
+function eventTypes(supplyChain) {
+  const types = {};
+  Object.entries(EVENT_NAMES).forEach(([action, event]) => {
+    types[action] = `${supplyChain.eventPrefix}_BATCH_${event}`;
+  });
+  return types;
+}
+
+// topics[0] of every event of a chain, and the action of each
+function eventTopics(supplyChain) {
+  const actions = {};
+  Object.entries(eventTypes(supplyChain)).forEach(([action, type]) => {
+    actions[eventTopic(type)] = action;
+  });
+  return actions;
+}
+
+// Events of a chain from its logs, in chain order:
+// [{ action, data, from, to, blockNumber, transactionHash }]. The logs must
+// be checked against their transactions first (getEventLogs() of
+// lib/node-client.js), since contracts can emit logs with these topics.
+function decodeBatchEvents(supplyChain, logs) {
+  const actions = eventTopics(supplyChain);
+
+  return logs
+    .filter(log => actions[log.topics[0]])
+    .sort((a, b) => parseInt(a.blockNumber, 16) - parseInt(b.blockNumber, 16) || parseInt(a.logIndex, 16) - parseInt(b.logIndex, 16))
+    .map(log => ({
+      action: actions[log.topics[0]],
+      data: JSON.parse(Buffer.from(log.data.slice(2), 'hex').toString('utf8')),
+      from: '0x' + log.topics[2].slice(-40), // The actor that sent the event
+      to: log.address,
+      blockNumber: parseInt(log.blockNumber, 16),
+      transactionHash: log.transactionHash
+    }));
+}
+
+// Follow the custody of a batch through its events (of that batch only, in
+// chain order) and check them against the definition of the chain. The roles
+// the events declare are checked against `actors`, the registered actors of
+// the chain ([{ role, address }]). Returns
+// { registration, holder, holderRole, certifications, problems }.
+function checkCustody(supplyChain, events, actors = []) {
+  const actorOf = role => supplyChain.actors.find(actor => actor.role === role);
+  const registered = (address, role) => actors.some(known =>
+    known.role === role && typeof known.address === 'string' && known.address.toLowerCase() === address.toLowerCase());
+  const problems = [];
+  const certifications = [];
+  let registration = null;
+  let holder = null;
+  let holderRole = null;
+
+  events.forEach(event => {
+    const sender = event.from.toLowerCase();
+    const actor = actorOf(event.data.role);
+    const where = `block ${event.blockNumber}`;
+
+    if (!actor || !actor.actions.includes(event.action)) {
+      problems.push(`${where}: ${event.action} by role "${event.data.role}", which may not ${event.action}`);
+    } else if (!registered(sender, event.data.role)) {
+      problems.push(`${where}: ${event.action} by ${event.from}, who is not a registered ${event.data.role}`);
+    }
+
+    if (event.action === 'register') {
+      if (registration) {
+        problems.push(`${where}: batch registered again by ${event.from}`);
+        return;
+      }
+      registration = event;
+      holder = sender;
+      holderRole = event.data.role;
+      return;
+    }
+
+    if (!registration) {
+      problems.push(`${where}: ${event.action} by ${event.from} before the batch was registered`);
+      return;
+    }
+    if (sender !== holder) {
+      problems.push(`${where}: ${event.action} by ${event.from}, who does not hold the batch`);
+      return;
+    }
+
+    if (event.action === 'certify') {
+      certifications.push(...[].concat(event.data.certifications || []));
+    } else if (event.action === 'handoff') {
+      const from = actorOf(holderRole);
+      if (from && !from.handoffTo.includes(event.data.toRole)) {
+        problems.push(`${where}: ${holderRole} may not hand off to role "${event.data.toRole}"`);
+      } else if (!registered(event.to, event.data.toRole)) {
+        problems.push(`${where}: handoff to ${event.to}, who is not a registered ${event.data.toRole}`);
+      }
+      if (!event.data.to || event.data.to.toLowerCase() !== event.to.toLowerCase()) {
+        problems.push(`${where}: handoff to ${event.data.to} sent to ${event.to}`);
+      }
+      holder = event.to.toLowerCase();
+      holderRole = event.data.toRole;
+    }
+  });
+
+  if (!registration) {
+    problems.push('the batch has no registration');
+  }
+
+  return { registration, holder, holderRole, certifications, problems };
+}
+
+module.exports = {
+  ACTIONS,
+  normalizeSupplyChain,
+  eventTypes,
+  eventTopics,
+  decodeBatchEvents,
+  checkCustody
+};
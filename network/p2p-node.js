@@ -1,24 +1,39 @@
+const fs = require('fs');
 const Libp2p = require('libp2p');
 const TCP = require('libp2p-tcp');
 const Mplex = require('libp2p-mplex');
 const { NOISE } = require('libp2p-noise');
 const Gossipsub = require('libp2p-gossipsub');
 const MulticastDNS = require('libp2p-mdns');
+const Bootstrap = require('libp2p-bootstrap');
 const PeerId = require('peer-id');
+const pipe = require('it-pipe');
 const { stdinToStream, streamToConsole } = require('./stream');
 
+// Largest sync request and response a node reads from a peer, in bytes, and
+// the time a peer has to send a whole one
+const MAX_SYNC_REQUEST_SIZE = 64 * 1024;
+const MAX_SYNC_RESPONSE_SIZE = 32 * 1024 * 1024;
+const SYNC_TIMEOUT = 30000;
+
 class IperChainP2PNode {
     constructor(options = {}) {
         this.nodeId = null;
         this.libp2p = null;
         this.options = {
             port: options.port || 0,
+            bootstrapList: options.bootstrapList || [],
+            peerIdFile: options.peerIdFile || null,
+            protocols: {
+                SYNC: '/iperchain/sync/1.0.0'
+            },
             topics: {
                 WINE_BATCHES: 'iperchain/wine/batches/1.0.0',
                 CERTIFICATIONS: 'iperchain/wine/certifications/1.0.0',
                 TRANSFERS: 'iperchain/wine/transfers/1.0.0',
                 QUALITY_CHECKS: 'iperchain/wine/quality/1.0.0',
                 RETAIL_SALES: 'iperchain/wine/sales/1.0.0',
+                TRANSACTIONS: 'iperchain/transactions/1.0.0',
                 BLOCKS: 'iperchain/blocks/1.0.0',
                 CONSENSUS: 'iperchain/consensus/1.0.0'
             }
@@ -31,6 +46,7 @@ class IperChainP2PNode {
             transfer: null,
             qualityCheck: null,
             retailSale: null,
+            transaction: null,
             block: null,
             consensus: null
         };
@@ -38,7 +54,13 @@ class IperChainP2PNode {
 
     async init() {
         // Generate or load PeerId
-        this.nodeId = await PeerId.create();
+        this.nodeId = await this.loadPeerId();
+        
+        // Known peers to connect to, in addition to the ones found with mDNS
+        const peerDiscovery = [MulticastDNS];
+        if (this.options.bootstrapList.length > 0) {
+            peerDiscovery.push(Bootstrap);
+        }
         
         // Create libp2p node
         this.libp2p = await Libp2p.create({
@@ -51,12 +73,16 @@ class IperChainP2PNode {
                 streamMuxer: [Mplex],
                 connEncryption: [NOISE],
                 pubsub: Gossipsub,
-                peerDiscovery: [MulticastDNS]
+                peerDiscovery
             },
             config: {
                 peerDiscovery: {
                     mdns: {
                         enabled: true
+                    },
+                    bootstrap: {
+                        enabled: this.options.bootstrapList.length > 0,
+                        list: this.options.bootstrapList
                     }
                 },
                 pubsub: {
@@ -90,13 +116,86 @@ class IperChainP2PNode {
         // Log listen addresses
         console.log('Listening on addresses:');
         this.libp2p.multiaddrs.forEach(addr => {
-            console.log(addr.toString());
+            console.log(`${addr.toString()}/p2p/${this.nodeId.toB58String()}`);
+        });
+    }
+
+    // Load the PeerId from disk so that the node keeps its address across restarts
+    async loadPeerId() {
+        const { peerIdFile } = this.options;
+
+        if (peerIdFile && fs.existsSync(peerIdFile)) {
+            return PeerId.createFromJSON(JSON.parse(fs.readFileSync(peerIdFile, 'utf8')));
+        }
+
+        const peerId = await PeerId.create();
+        if (peerIdFile) {
+            fs.writeFileSync(peerIdFile, JSON.stringify(peerId.toJSON(), null, 2), { mode: 0o600 });
+        }
+        return peerId;
+    }
+
+    // Answer block sync requests from peers. The handler receives the decoded
+    // request and returns the response; each request uses its own stream.
+    // Requests over MAX_SYNC_REQUEST_SIZE or slower than SYNC_TIMEOUT are dropped.
+    handleSyncRequests(handler) {
+        this.libp2p.handle(this.options.protocols.SYNC, async ({ stream }) => {
+            try {
+                await pipe(
+                    stream.source,
+                    async function* (source) {
+                        const request = JSON.parse(await readAll(stream, source, MAX_SYNC_REQUEST_SIZE));
+                        const response = await handler(request);
+                        yield Buffer.from(JSON.stringify(response));
+                    },
+                    stream.sink
+                );
+            } catch (err) {
+                stream.abort(err);
+                console.error('Error handling sync request:', err.message);
+            }
         });
     }
 
+    // Send a block sync request to a peer and wait for its response; rejects
+    // for responses over MAX_SYNC_RESPONSE_SIZE or slower than SYNC_TIMEOUT
+    async sendSyncRequest(peerId, request) {
+        const peer = typeof peerId === 'string' ? PeerId.createFromB58String(peerId) : peerId;
+        const { stream } = await this.libp2p.dialProtocol(peer, this.options.protocols.SYNC);
+
+        try {
+            return await pipe(
+                [Buffer.from(JSON.stringify(request))],
+                stream,
+                async (source) => JSON.parse(await readAll(stream, source, MAX_SYNC_RESPONSE_SIZE))
+            );
+        } catch (err) {
+            stream.abort(err);
+            throw err;
+        }
+    }
+
+    // Get the ids of the peers we currently have a connection with
+    getConnectedPeers() {
+        return Array.from(this.libp2p.connections.keys());
+    }
+
+    // Subscribe to a topic and handle its messages. Messages come from other
+    // peers, so a malformed one is logged and dropped.
+    subscribe(topic, handler) {
+        this.libp2p.pubsub.on(topic, (msg) => {
+            try {
+                handler(msg);
+            } catch (err) {
+                console.error(`Error handling message on ${topic}:`, err.message);
+            }
+        });
+        this.libp2p.pubsub.subscribe(topic);
+    }
+
     async subscribeToTopics() {
         // Subscribe to wine batch events
-        this.libp2p.pubsub.subscribe(this.options.topics.WINE_BATCHES, (msg) => {
+        this.subscribe(this.options.topics.WINE_BATCHES, (msg) => {
             const batch = JSON.parse(msg.data.toString());
             console.log('Received wine batch event:', batch.id);
             if (this.messageHandlers.wineBatch) {
@@ -105,7 +204,7 @@ class IperChainP2PNode {
         });
 
         // Subscribe to certification events
-        this.libp2p.pubsub.subscribe(this.options.topics.CERTIFICATIONS, (msg) => {
+        this.subscribe(this.options.topics.CERTIFICATIONS, (msg) => {
             const certification = JSON.parse(msg.data.toString());
             console.log('Received certification:', certification.batchId);
             if (this.messageHandlers.certification) {
@@ -114,7 +213,7 @@ class IperChainP2PNode {
         });
 
         // Subscribe to transfer events
-        this.libp2p.pubsub.subscribe(this.options.topics.TRANSFERS, (msg) => {
+        this.subscribe(this.options.topics.TRANSFERS, (msg) => {
             const transfer = JSON.parse(msg.data.toString());
             console.log('Received transfer:', transfer.batchId);
             if (this.messageHandlers.transfer) {
@@ -123,7 +222,7 @@ class IperChainP2PNode {
         });
 
         // Subscribe to quality check events
-        this.libp2p.pubsub.subscribe(this.options.topics.QUALITY_CHECKS, (msg) => {
+        this.subscribe(this.options.topics.QUALITY_CHECKS, (msg) => {
             const check = JSON.parse(msg.data.toString());
             console.log('Received quality check:', check.batchId);
             if (this.messageHandlers.qualityCheck) {
@@ -132,7 +231,7 @@ class IperChainP2PNode {
         });
 
         // Subscribe to retail sale events
-        this.libp2p.pubsub.subscribe(this.options.topics.RETAIL_SALES, (msg) => {
+        this.subscribe(this.options.topics.RETAIL_SALES, (msg) => {
             const sale = JSON.parse(msg.data.toString());
             console.log('Received retail sale:', sale.bottleId);
             if (this.messageHandlers.retailSale) {
@@ -140,8 +239,17 @@ class IperChainP2PNode {
             }
         });
 
+        // Subscribe to pending transactions
+        this.subscribe(this.options.topics.TRANSACTIONS, (msg) => {
+            const tx = JSON.parse(msg.data.toString());
+            console.log('Received transaction:', tx.hash);
+            if (this.messageHandlers.transaction) {
+                this.messageHandlers.transaction(tx);
+            }
+        });
+
         // Subscribe to block events
-        this.libp2p.pubsub.subscribe(this.options.topics.BLOCKS, (msg) => {
+        this.subscribe(this.options.topics.BLOCKS, (msg) => {
             const block = JSON.parse(msg.data.toString());
             console.log('Received block:', block.hash);
             if (this.messageHandlers.block) {
@@ -150,7 +258,7 @@ class IperChainP2PNode {
         });
 
         // Subscribe to consensus messages
-        this.libp2p.pubsub.subscribe(this.options.topics.CONSENSUS, (msg) => {
+        this.subscribe(this.options.topics.CONSENSUS, (msg) => {
             const consensusMsg = JSON.parse(msg.data.toString());
             console.log('Received consensus message:', consensusMsg.type);
             if (this.messageHandlers.consensus) {
@@ -224,6 +332,19 @@ class IperChainP2PNode {
         }
     }
 
+    // Method to broadcast a pending transaction
+    async broadcastTransaction(tx) {
+        try {
+            await this.libp2p.pubsub.publish(
+                this.options.topics.TRANSACTIONS,
+                Buffer.from(JSON.stringify(tx))
+            );
+            console.log('Transaction broadcast:', tx.hash);
+        } catch (err) {
+            console.error('Error broadcasting transaction:', err);
+        }
+    }
+
     // Method to broadcast a new block
     async broadcastBlock(block) {
         try {
@@ -274,4 +395,32 @@ class IperChainP2PNode {
     }
 }
 
+// Concatenate all the chunks of a stream source into a string. Rejects when
+// they add up to more than `maxSize` bytes, or when the stream has not ended
+// after SYNC_TIMEOUT (the stream is then aborted).
+async function readAll(stream, source, maxSize) {
+    const chunks = [];
+    let size = 0;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        stream.abort(new Error('sync timeout'));
+    }, SYNC_TIMEOUT);
+
+    try {
+        for await (const chunk of source) {
+            size += chunk.length;
+            if (size > maxSize) {
+                throw new Error(`sync message larger than ${maxSize} bytes`);
+            }
+            chunks.push(chunk.slice());
+        }
+    } catch (err) {
+        throw timedOut ? new Error(`sync message not complete after ${SYNC_TIMEOUT / 1000} s`) : err;
+    } finally {
+        clearTimeout(timer);
+    }
+    return Buffer.concat(chunks).toString();
+}
+
 module.exports = IperChainP2PNode; 
\ No newline at end of file
@@ -12,25 +12,29 @@
 
 const fs = require('fs');
 const path = require('path');
-const http = require('http');
 const crypto = require('crypto');
 const readline = require('readline');
-const { spawn } = require('child_process');
+const { loadActorAccount, knownActorAddress } = require('../lib/actor-account');
+const { createNodeClient } = require('../lib/node-client');
 
 // Configuration
-const PRODUCER_ACCOUNT = '0x742d35Cc6634C0532925a3b844Bc454e4438f44e';
+let PRODUCER_ACCOUNT = null; // Keystore account of this producer, unlocked at start-up
+const ACCOUNT_FILE = path.join(__dirname, 'account.json');
 const BLOCKCHAIN_PORT = 8545;
 const DB_FILE = path.join(__dirname, 'producer-batches.json');
 const CERTIFIERS_FILE = path.join(__dirname, 'known-certifiers.json');
 
+const { rpcCall, startNode, waitForReceipt } = createNodeClient(BLOCKCHAIN_PORT);
+
 // Ensure DB files exist
 if (!fs.existsSync(DB_FILE)) {
   fs.writeFileSync(DB_FILE, JSON.stringify({}));
 }
 
+// The address of a certifier is the account its CLI created (see knownActorAddress)
 if (!fs.existsSync(CERTIFIERS_FILE)) {
   fs.writeFileSync(CERTIFIERS_FILE, JSON.stringify([
-    { id: 'certifier1', name: 'Premium Wine Certifications', address: '0x123f681646d4a755815f9cb19e1acc8565a0c2ac' }
+    { id: 'certifier1', name: 'Premium Wine Certifications', accountFile: '../certifier/account.json' }
   ]));
 }
 
@@ -61,17 +65,33 @@ let authorityNames = {
   '0x0000000000000000000000000000000000000000': 'Genesis'
 };
 
+let blockFilterId = null; // Block filter reporting the new blocks since the last update
+
 async function updateLastBlockMiner() {
   try {
-    const blockNumberHex = await rpcCall('eth_blockNumber');
-    if (blockNumberHex) {
-      const block = await rpcCall('eth_getBlockByNumber', [blockNumberHex, false]);
+    let blockHash = null;
+    
+    if (!blockFilterId) {
+      // First update (or the filter expired): install the filter and read the head block
+      blockFilterId = await rpcCall('eth_newBlockFilter');
+      const blockNumberHex = await rpcCall('eth_blockNumber');
+      const head = await rpcCall('eth_getBlockByNumber', [blockNumberHex, false]);
+      blockHash = head && head.hash;
+    } else {
+      // Only fetch a block when the filter reports new ones
+      const newBlocks = await rpcCall('eth_getFilterChanges', [blockFilterId]);
+      blockHash = newBlocks.length > 0 ? newBlocks[newBlocks.length - 1] : null;
+    }
+    
+    if (blockHash) {
+      const block = await rpcCall('eth_getBlockByHash', [blockHash, false]);
       if (block && block.miner) {
         lastBlockMiner = block.miner;
       }
     }
   } catch (error) {
-    // Ignore errors, likely node not fully started or temporary issue
+    // Node not fully started, restarted, or the filter expired: install a new filter next time
+    blockFilterId = null;
   }
 }
 // --- PoA Simulation Display End ---
@@ -82,122 +102,6 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
-// IperChain node process
-let nodeProcess = null;
-
-// JSON-RPC call helper
-function rpcCall(method, params = []) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method,
-      params
-    });
-
-    const options = {
-      hostname: 'localhost',
-      port: BLOCKCHAIN_PORT,
-      path: '/',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': data.length
-      }
-    };
-
-    const req = http.request(options, (res) => {
-      let responseData = '';
-
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(responseData);
-          
-          if (response.error) {
-            console.log(`RPC Error in ${method}:`, response.error);
-            reject(response.error);
-          } else {
-            resolve(response.result);
-          }
-        } catch (error) {
-          console.error(`Failed to parse response for ${method}:`, error.message);
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      console.error(`Request failed for ${method}:`, error.message);
-      reject(error);
-    });
-
-    req.write(data);
-    req.end();
-  });
-}
-
-// Start IperChain node
-async function startNode() {
-  return new Promise(async (resolve) => {
-    try {
-      // Check if node is already running
-      try {
-        const blockNumber = await rpcCall('eth_blockNumber');
-        if (blockNumber !== null) {
-          console.log('IperChain node is already running at block:', blockNumber);
-          resolve(true);
-          return;
-        }
-      } catch (error) {
-        // Node not running, continue to start it
-      }
-      
-      console.log('Starting IperChain node...');
-      nodeProcess = spawn('node', ['bin/iperchain-node.js'], {
-        detached: true,
-        stdio: 'ignore'
-      });
-      
-      // Give the node time to start
-      console.log('Waiting for node to start...');
-      
-      // Try to connect to the node several times
-      let attempts = 0;
-      const maxAttempts = 5;
-      let success = false;
-      
-      while (attempts < maxAttempts && !success) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        attempts++;
-        
-        try {
-          const blockNumber = await rpcCall('eth_blockNumber');
-          if (blockNumber !== null) {
-            console.log('IperChain node started successfully at block:', blockNumber);
-            success = true;
-          }
-        } catch (error) {
-          console.log(`Attempt ${attempts}/${maxAttempts} to connect to node failed`);
-        }
-      }
-      
-      if (success) {
-        resolve(true);
-      } else {
-        console.error('Failed to start IperChain node after several attempts');
-        resolve(false);
-      }
-    } catch (error) {
-      console.error('Error starting IperChain node:', error.message);
-      resolve(false);
-    }
-  });
-}
-
 // Register a wine batch on the blockchain
 async function registerWineBatch(batchName, productionDate, grapeVariety, location, additionalDetails) {
   // Create a data structure for the wine batch
@@ -240,18 +144,11 @@ async function registerWineBatch(batchName, productionDate, grapeVariety, locati
   ]);
   
   // Wait for transaction confirmation
-  let receipt = null;
-  let attempts = 0;
-  const maxAttempts = 5;
+  const receipt = await waitForReceipt(txHash);
   
-  while (!receipt && attempts < maxAttempts) {
-    console.log(`Waiting for confirmation (attempt ${attempts + 1})...`);
-    receipt = await rpcCall('eth_getTransactionReceipt', [txHash]);
-    
-    if (!receipt) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      attempts++;
-    }
+  // A mined transaction that reverted changed nothing
+  if (receipt && receipt.status !== '0x1') {
+    throw new Error(`Transaction ${txHash} failed: ${receipt.revertReason || 'reverted'}`);
   }
   
   if (receipt) {
@@ -282,6 +179,11 @@ async function sendBatchToCertifier(batchId, certifierId) {
     throw new Error(`Certifier with ID ${certifierId} not found`);
   }
   
+  const certifierAddress = knownActorAddress(certifier, __dirname);
+  if (!certifierAddress) {
+    throw new Error(`${certifier.name} has no account yet: start the certifier CLI first`);
+  }
+  
   // Update batch status
   wineBatches[batchId].status = "Sent to Certifier";
   wineBatches[batchId].certifierId = certifierId;
@@ -305,6 +207,7 @@ async function sendBatchToCertifier(batchId, certifierId) {
     batchId,
     producer: PRODUCER_ACCOUNT,
     producerName: "Wine Producer CLI",
+    certifier: certifierAddress,
     batchName: batch.batchName,
     grapeVariety: batch.grapeVariety,
     location: batch.location,
@@ -610,11 +513,6 @@ function cleanupAndExit() {
   // Close readline interface
   rl.close();
   
-  // In a real system, we might want to gracefully shutdown the node
-  if (nodeProcess) {
-    nodeProcess.kill();
-  }
-  
   console.log('Goodbye!');
   process.exit(0);
 }
@@ -630,6 +528,20 @@ async function start() {
     process.exit(1);
   }
 
+  // Sign with this producer's own keystore account
+  try {
+    PRODUCER_ACCOUNT = await loadActorAccount({
+      rpcCall,
+      accountFile: ACCOUNT_FILE,
+      question: prompt => new Promise(resolve => rl.question(prompt, resolve)),
+      label: 'producer account'
+    });
+    console.log(`Using producer account ${PRODUCER_ACCOUNT}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
   // --- PoA Simulation Display Start ---
   // Periodically update the last block miner info in the background
   setInterval(updateLastBlockMiner, 15000); // Update every 15 seconds
@@ -13,15 +13,20 @@
 
 const fs = require('fs');
 const path = require('path');
-const http = require('http');
 const crypto = require('crypto');
 const readline = require('readline');
-const { spawn } = require('child_process');
+const { loadActorAccount } = require('../lib/actor-account');
+const { eventTopic, batchTopic } = require('../chain/events');
+const { subscribeToNode } = require('../lib/node-subscriptions');
+const { createNodeClient } = require('../lib/node-client');
 
 // Configuration
-const RETAILER_ACCOUNT = '0x456f681646d4a755815f9cb19e1acc8565a0c2ac';
+let RETAILER_ACCOUNT = null; // Keystore account of this retailer, unlocked at start-up
+const ACCOUNT_FILE = path.join(__dirname, 'account.json');
 const BLOCKCHAIN_PORT = 8545;
 const DB_FILE = path.join(__dirname, 'retailer-batches.json');
+const nodeClient = createNodeClient(BLOCKCHAIN_PORT);
+const { rpcCall, startNode, waitForReceipt } = nodeClient;
 
 // Ensure DB files exist
 if (!fs.existsSync(DB_FILE)) {
@@ -55,122 +60,6 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
-// IperChain node process
-let nodeProcess = null;
-
-// JSON-RPC call helper
-function rpcCall(method, params = []) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method,
-      params
-    });
-
-    const options = {
-      hostname: 'localhost',
-      port: BLOCKCHAIN_PORT,
-      path: '/',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': data.length
-      }
-    };
-
-    const req = http.request(options, (res) => {
-      let responseData = '';
-
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(responseData);
-          
-          if (response.error) {
-            console.log(`RPC Error in ${method}:`, response.error);
-            reject(response.error);
-          } else {
-            resolve(response.result);
-          }
-        } catch (error) {
-          console.error(`Failed to parse response for ${method}:`, error.message);
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      console.error(`Request failed for ${method}:`, error.message);
-      reject(error);
-    });
-
-    req.write(data);
-    req.end();
-  });
-}
-
-// Start IperChain node
-async function startNode() {
-  return new Promise(async (resolve) => {
-    try {
-      // Check if node is already running
-      try {
-        const blockNumber = await rpcCall('eth_blockNumber');
-        if (blockNumber !== null) {
-          console.log('IperChain node is already running at block:', blockNumber);
-          resolve(true);
-          return;
-        }
-      } catch (error) {
-        // Node not running, continue to start it
-      }
-      
-      console.log('Starting IperChain node...');
-      nodeProcess = spawn('node', ['bin/iperchain-node.js'], {
-        detached: true,
-        stdio: 'ignore'
-      });
-      
-      // Give the node time to start
-      console.log('Waiting for node to start...');
-      
-      // Try to connect to the node several times
-      let attempts = 0;
-      const maxAttempts = 5;
-      let success = false;
-      
-      while (attempts < maxAttempts && !success) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        attempts++;
-        
-        try {
-          const blockNumber = await rpcCall('eth_blockNumber');
-          if (blockNumber !== null) {
-            console.log('IperChain node started successfully at block:', blockNumber);
-            success = true;
-          }
-        } catch (error) {
-          console.log(`Attempt ${attempts}/${maxAttempts} to connect to node failed`);
-        }
-      }
-      
-      if (success) {
-        resolve(true);
-      } else {
-        console.error('Failed to start IperChain node after several attempts');
-        resolve(false);
-      }
-    } catch (error) {
-      console.error('Error starting IperChain node:', error.message);
-      resolve(false);
-    }
-  });
-}
-
 // Check for incoming shipments
 function checkIncomingShipments() {
   const incomingFolder = path.join(__dirname, '..', 'shared-data', 'retailer', 'incoming');
@@ -191,6 +80,11 @@ function checkIncomingShipments() {
       try {
         const shipment = JSON.parse(fs.readFileSync(path.join(incomingFolder, file), 'utf8'));
         
+        // Shipments to another retailer are left for it
+        if (shipment.retailerAddress && shipment.retailerAddress.toLowerCase() !== RETAILER_ACCOUNT.toLowerCase()) {
+          continue;
+        }
+        
         // Add to incoming batches if not already there
         if (shipment.batchId && !retailerDB.incoming[shipment.batchId]) {
           retailerDB.incoming[shipment.batchId] = {
@@ -217,6 +111,25 @@ function checkIncomingShipments() {
   return newShipments;
 }
 
+// Tell the user about the certification of a batch shipped to this retailer
+// as soon as it is mined, and pick up the shipments that arrived meanwhile.
+// Only the event logs of certification transactions are trusted, and logs
+// removed by a reorganisation were announced when they were mined.
+async function onBatchCertified(log) {
+  if (log.removed || !await nodeClient.isEventLog(log).catch(() => false)) {
+    return;
+  }
+  
+  checkIncomingShipments().forEach(shipment => {
+    console.log(`[Shipments] New incoming shipment: ${shipment.batchName} from ${shipment.producerName}`);
+  });
+  
+  const certification = JSON.parse(Buffer.from(log.data.substring(2), 'hex').toString('utf8'));
+  if (retailerDB.incoming[certification.batchId] || retailerDB.inventory[certification.batchId]) {
+    console.log(`\n[Blockchain] Batch "${certification.batchName}" certified by ${certification.certifierName} in block ${parseInt(log.blockNumber, 16)}`);
+  }
+}
+
 // Record batch arrival on blockchain
 async function recordBatchArrival(batchId, arrivalNotes) {
   if (!retailerDB.incoming[batchId]) {
@@ -261,18 +174,11 @@ async function recordBatchArrival(batchId, arrivalNotes) {
   ]);
   
   // Wait for transaction confirmation
-  let receipt = null;
-  let attempts = 0;
-  const maxAttempts = 5;
+  const receipt = await waitForReceipt(txHash);
   
-  while (!receipt && attempts < maxAttempts) {
-    console.log(`Waiting for confirmation (attempt ${attempts + 1})...`);
-    receipt = await rpcCall('eth_getTransactionReceipt', [txHash]);
-    
-    if (!receipt) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      attempts++;
-    }
+  // A mined transaction that reverted changed nothing
+  if (receipt && receipt.status !== '0x1') {
+    throw new Error(`Transaction ${txHash} failed: ${receipt.revertReason || 'reverted'}`);
   }
   
   if (receipt) {
@@ -353,60 +259,44 @@ function recordBottleSale(batchId, numBottles, customerInfo) {
 async function verifyBatch(batchId) {
   console.log(`Verifying batch ${batchId} on blockchain...`);
   
-  // Get latest block number
-  const blockNumber = await rpcCall('eth_blockNumber');
-  const numBlocks = parseInt(blockNumber, 16);
+  const eventTypes = ['WINE_BATCH_REGISTRATION', 'WINE_BATCH_CERTIFICATION', 'WINE_BATCH_ARRIVAL'];
+  const typesByTopic = {};
+  eventTypes.forEach(type => {
+    typesByTopic[eventTopic(type)] = type;
+  });
   
-  console.log(`Scanning ${numBlocks} blocks for batch history...`);
+  // Ask the node for the event logs of this batch only, leaving out those
+  // that contracts emitted with the topics of wine events
+  const logs = await nodeClient.getEventLogs({
+    fromBlock: 'earliest',
+    toBlock: 'latest',
+    topics: [Object.keys(typesByTopic), batchTopic(batchId)]
+  });
   
   const batchHistory = [];
-  const prefixes = ['WINE_BATCH_REGISTRATION:', 'WINE_BATCH_CERTIFICATION:', 'WINE_BATCH_ARRIVAL:'];
+  const blockTimestamps = {};
   
-  // Scan blockchain for all events related to this batch
-  for (let i = 0; i < numBlocks; i++) {
-    const blockNumberHex = '0x' + i.toString(16);
-    const block = await rpcCall('eth_getBlockByNumber', [blockNumberHex, true]);
+  for (const log of logs) {
+    if (blockTimestamps[log.blockHash] === undefined) {
+      const block = await rpcCall('eth_getBlockByNumber', [log.blockNumber, false]);
+      blockTimestamps[log.blockHash] = block && block.timestamp ? parseInt(block.timestamp, 16) : 0;
+    }
     
-    if (block && block.transactions) {
-      for (const tx of block.transactions) {
-        if (tx.input && tx.input.length > 2) { // Not empty data
-          try {
-            // Convert hex to string
-            const hexData = tx.input.substring(2); // Remove 0x prefix
-            const stringData = Buffer.from(hexData, 'hex').toString('utf8');
-            
-            // Check if this is a wine batch transaction
-            const prefix = prefixes.find(p => stringData.startsWith(p));
-            
-            if (prefix) {
-              // Extract the JSON part
-              const jsonData = stringData.substring(prefix.length);
-              const data = JSON.parse(jsonData);
-              
-              // Check if this transaction is for our batch
-              if (data.batchId && data.batchId.toLowerCase() === batchId.toLowerCase()) {
-                batchHistory.push({
-                  type: prefix.replace(':', ''),
-                  data,
-                  transaction: {
-                    hash: tx.hash,
-                    from: tx.from,
-                    to: tx.to,
-                    blockNumber: blockNumberHex,
-                    timestamp: block.timestamp ? parseInt(block.timestamp, 16) : 0
-                  }
-                });
-              }
-            }
-          } catch (e) {
-            // Not a valid data transaction or not in the expected format
-            // This is expected for most transactions
-          }
-        }
+    batchHistory.push({
+      type: typesByTopic[log.topics[0]],
+      data: JSON.parse(Buffer.from(log.data.substring(2), 'hex').toString('utf8')),
+      transaction: {
+        hash: log.transactionHash,
+        from: '0x' + log.topics[2].slice(-40), // The actor that sent the event
+        to: log.address,
+        blockNumber: log.blockNumber,
+        timestamp: blockTimestamps[log.blockHash]
       }
-    }
+    });
   }
   
+  console.log(`Found ${batchHistory.length} events for the batch`);
+  
   // Sort by timestamp if available
   batchHistory.sort((a, b) => {
     return a.transaction.timestamp - b.transaction.timestamp;
@@ -912,12 +802,6 @@ function cleanupAndExit() {
   // Save database
   fs.writeFileSync(DB_FILE, JSON.stringify(retailerDB, null, 2));
   
-  if (nodeProcess) {
-    console.log('Stopping IperChain node...');
-    // In a real implementation, we might want to keep the node running
-    // nodeProcess.kill();
-  }
-  
   console.log('Goodbye!');
   process.exit(0);
 }
@@ -939,6 +823,26 @@ async function start() {
   
   // Start blockchain node
   await startNode();
+
+  // Sign with this retailer's own keystore account
+  try {
+    RETAILER_ACCOUNT = await loadActorAccount({
+      rpcCall,
+      accountFile: ACCOUNT_FILE,
+      question: prompt => new Promise(resolve => rl.question(prompt, resolve)),
+      label: 'retailer account'
+    });
+    console.log(`Using retailer account ${RETAILER_ACCOUNT}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  
+  // Update the dashboard in real time instead of waiting for "Check for incoming shipments"
+  subscribeToNode(`ws://localhost:${BLOCKCHAIN_PORT}`, [{
+    params: ['logs', { topics: [eventTopic('WINE_BATCH_CERTIFICATION')] }],
+    onNotification: onBatchCertified
+  }]);
   
   // Show main menu
   showMainMenu();
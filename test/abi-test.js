@@ -0,0 +1,84 @@
+/**
+ * Tests of lib/abi.js: the encodings of the Solidity ABI specification,
+ * round trips of static, dynamic and nested types, and the values and data
+ * the codec rejects.
+ *
+ * Run with: node --test test/abi-test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const abi = require('../lib/abi');
+
+// 32-byte words of ABI data, without the 0x prefix
+function words(...values) {
+  return values.map(value => value.padStart(64, '0')).join('');
+}
+
+function padRight(hex) {
+  return hex.padEnd(64, '0');
+}
+
+test('computes function selectors and event topics', () => {
+  assert.equal(abi.functionSelector('transfer(address,uint256)'), '0xa9059cbb');
+  assert.equal(abi.eventTopic('Transfer(address,address,uint256)'), '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef');
+  assert.equal(abi.signature({ name: 'f', inputs: [{ type: 'tuple', components: [{ type: 'uint256' }, { type: 'string' }] }, { type: 'bytes32[2]' }] }),
+    'f((uint256,string),bytes32[2])');
+});
+
+test('encodes the example of the Solidity ABI specification', () => {
+  // f(uint256,uint32[],bytes10,bytes) with (0x123, [0x456, 0x789], "1234567890", "Hello, world!")
+  const data = abi.encode(['uint256', 'uint32[]', 'bytes10', 'bytes'], [
+    0x123n,
+    [0x456, 0x789],
+    '0x' + Buffer.from('1234567890').toString('hex'),
+    '0x' + Buffer.from('Hello, world!').toString('hex')
+  ]);
+
+  assert.equal(data, '0x' +
+    words('123', '80') +
+    padRight('31323334353637383930') +
+    words('e0', '2', '456', '789', 'd') +
+    padRight('48656c6c6f2c20776f726c6421'));
+});
+
+test('decodes what it encodes', () => {
+  const types = ['string', 'int16', 'address', 'bool', 'uint8[]', '(bool,bytes2)', 'string[2]', 'bytes'];
+  const values = [
+    'Barolo DOCG 2019',
+    -5n,
+    '0x742d35cc6634c0532925a3b844bc454e4438f44e',
+    true,
+    [1n, 2n, 3n],
+    [false, '0xbeef'],
+    ['Nebbiolo', 'Langhe'],
+    '0x'
+  ];
+
+  assert.deepEqual(abi.decode(types, abi.encode(types, values)), values);
+});
+
+test('encodes and decodes function calls', () => {
+  const entry = { name: 'setVintage', inputs: [{ name: 'vintage', type: 'uint256' }], outputs: [{ name: '', type: 'uint256' }] };
+  const data = abi.encodeFunctionCall(entry, [2019]);
+
+  assert.equal(data, abi.functionSelector('setVintage(uint256)') + words('7e3'));
+  assert.deepEqual(abi.decodeFunctionCall(entry, data), [2019n]);
+  assert.deepEqual(abi.decodeFunctionResult(entry, '0x' + words('7e3')), [2019n]);
+  assert.throws(() => abi.decodeFunctionCall(entry, '0x12345678' + words('1')), /not a call to setVintage\(uint256\)/);
+});
+
+test('rejects values that do not fit their type', () => {
+  assert.throws(() => abi.encode(['uint8'], [256]), /out of range for uint8/);
+  assert.throws(() => abi.encode(['int8'], [-129]), /out of range for int8/);
+  assert.throws(() => abi.encode(['address'], ['0x12']), /invalid address/);
+  assert.throws(() => abi.encode(['bool'], [2]), /invalid bool/);
+  assert.throws(() => abi.encode(['uint256[2]'], [[1]]), /expected an array of 2 items/);
+  assert.throws(() => abi.encode(['uint256'], []), /expected 1 ABI values, got 0/);
+});
+
+test('rejects malformed data', () => {
+  assert.throws(() => abi.decode(['uint256'], '0x12'), /ABI data too short/);
+  assert.throws(() => abi.decode(['bool'], '0x' + words('2')), /invalid bool in ABI data/);
+  assert.throws(() => abi.decode(['uint256'], 'zz'), /ABI data must be hex data/);
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests of lib/contract-fields.js: the values each field type accepts, how
+ * they are normalised for their ABI type, the values refused with the reason
+ * the CLIs show, and how the values of an instance move to another version of
+ * its contract.
+ *
+ * Run with: node --test test/contract-fields-test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_DATE,
+  toChecksumAddress,
+  parseFieldValue,
+  parseFieldValues,
+  formatFieldValue,
+  diffFields,
+  migrateFieldValues
+} = require('../lib/contract-fields');
+
+// The example address of EIP-55
+const CHECKSUMMED = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const ZERO_ADDRESS = '0x' + '0'.repeat(40);
+
+const field = (type, required = false) => ({ name: 'value', type, required });
+
+test('checksums addresses as EIP-55', () => {
+  assert.equal(toChecksumAddress(CHECKSUMMED.toLowerCase()), CHECKSUMMED);
+  assert.equal(parseFieldValue(field('address'), CHECKSUMMED.toLowerCase()), CHECKSUMMED);
+  assert.equal(parseFieldValue(field('address'), '0x' + CHECKSUMMED.slice(2).toUpperCase()), CHECKSUMMED);
+  assert.equal(parseFieldValue(field('address'), CHECKSUMMED), CHECKSUMMED);
+
+  // Mixed case is a checksum, which must match
+  assert.throws(() => parseFieldValue(field('address'), '0x5aaeb6053F3E94C9b9A09f33669435E7Ef1BeAed'), /has an invalid checksum/);
+  assert.throws(() => parseFieldValue(field('address'), '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAe'), /is not an address/);
+});
+
+test('reads dates as Unix timestamps or ISO dates in UTC', () => {
+  assert.equal(parseFieldValue(field('date'), '1685620800'), 1685620800n);
+  assert.equal(parseFieldValue(field('date'), '2023-06-01T12:00'), 1685620800n);
+  assert.equal(parseFieldValue(field('date'), '2023-06-01T14:00+02:00'), 1685620800n);
+  assert.equal(parseFieldValue(field('date'), '2024-02-29'), 1709164800n);
+  assert.equal(formatFieldValue(field('date'), 1685620800n), '2023-06-01T12:00:00.000Z');
+});
+
+test('refuses days that are not in the calendar', () => {
+  assert.throws(() => parseFieldValue(field('date'), '2023-02-30'), /"2023-02-30" is not a valid date/);
+  assert.throws(() => parseFieldValue(field('date'), '2023-02-29'), /is not a valid date/);
+  assert.throws(() => parseFieldValue(field('date'), '2023-13-01'), /is not a valid date/);
+  assert.throws(() => parseFieldValue(field('date'), '01/06/2023'), /is not a Unix timestamp or an ISO date/);
+  assert.throws(() => parseFieldValue(field('date'), '1969-12-31'), /is not a valid date from 1970 on/);
+});
+
+test('accepts dates up to the end of the year 9999', () => {
+  assert.equal(parseFieldValue(field('date'), '9999-12-31T23:59:59Z'), MAX_DATE);
+  assert.equal(parseFieldValue(field('date'), String(MAX_DATE)), MAX_DATE);
+  assert.throws(() => parseFieldValue(field('date'), String(MAX_DATE + 1n)), /is after the year 9999/);
+});
+
+test('reads numbers and booleans', () => {
+  assert.equal(parseFieldValue(field('number'), ' 42 '), 42n);
+  assert.equal(parseFieldValue(field('number'), String((1n << 256n) - 1n)), (1n << 256n) - 1n);
+  assert.throws(() => parseFieldValue(field('number'), String(1n << 256n)), /is larger than 2\^256 - 1/);
+  assert.throws(() => parseFieldValue(field('number'), '-1'), /is not a whole number of 0 or more/);
+  assert.throws(() => parseFieldValue(field('number'), '1.5'), /is not a whole number/);
+
+  assert.equal(parseFieldValue(field('boolean'), 'Yes'), true);
+  assert.equal(parseFieldValue(field('boolean'), '0'), false);
+  assert.throws(() => parseFieldValue(field('boolean'), 'maybe'), /is not a boolean/);
+});
+
+test('gives empty optional fields the zero value of their type', () => {
+  assert.equal(parseFieldValue(field('text'), ''), '');
+  assert.equal(parseFieldValue(field('number'), undefined), 0n);
+  assert.equal(parseFieldValue(field('date'), null), 0n);
+  assert.equal(parseFieldValue(field('boolean'), ' '), false);
+  assert.equal(parseFieldValue(field('address'), ''), ZERO_ADDRESS);
+});
+
+test('refuses empty required fields, but not the zero values they can hold', () => {
+  ['text', 'number', 'date', 'boolean', 'address'].forEach(type => {
+    assert.throws(() => parseFieldValue(field(type, true), ''), /^Error: is required$/);
+  });
+
+  // Zero is a number, and false a boolean; the zero address is no address
+  assert.equal(parseFieldValue(field('number', true), '0'), 0n);
+  assert.equal(parseFieldValue(field('boolean', true), 'no'), false);
+  assert.throws(() => parseFieldValue(field('address', true), ZERO_ADDRESS), /is required and cannot be the zero address/);
+});
+
+test('lists every invalid value of an instance', () => {
+  const fields = [
+    { name: 'vintage', type: 'number', required: true },
+    { name: 'bottled', type: 'date' },
+    { name: 'name', type: 'text', required: true }
+  ];
+
+  assert.deepEqual(parseFieldValues(fields, { vintage: '2019', name: 'Barolo' }), [2019n, 0n, 'Barolo']);
+  assert.throws(() => parseFieldValues(fields, { vintage: 'old', bottled: '2023-02-30' }),
+    /^Error: Invalid field values:\n {2}vintage \(number\): "old" is not a whole number of 0 or more\n {2}bottled \(date\): "2023-02-30" is not a valid date\n {2}name \(text\): is required$/);
+});
+
+// Version 1 of a contract, and its instance
+const V1_FIELDS = [
+  { name: 'variety', type: 'text', required: true },
+  { name: 'vintage', type: 'text' },
+  { name: 'owner', type: 'address' },
+  { name: 'notes', type: 'text' }
+];
+const V1_VALUES = { variety: 'Nebbiolo', vintage: '2019', owner: CHECKSUMMED.toLowerCase(), notes: 'cask 7' };
+
+test('compares the fields of two versions', () => {
+  const v2 = [
+    { name: 'variety', type: 'text', required: false },
+    { name: 'vintage', type: 'number' },
+    { name: 'owner', type: 'address', required: true },
+    { name: 'region', type: 'text' }
+  ];
+
+  const { added, removed, changed } = diffFields(V1_FIELDS, v2);
+
+  assert.deepEqual(added.map(f => f.name), ['region']);
+  assert.deepEqual(removed.map(f => f.name), ['notes']);
+  assert.deepEqual(changed.map(f => f.name), ['variety', 'vintage', 'owner']);
+  assert.deepEqual(diffFields(V1_FIELDS, V1_FIELDS.map(f => ({ ...f, required: Boolean(f.required) }))), { added: [], removed: [], changed: [] });
+});
+
+test('keeps the values of the fields a new version keeps', () => {
+  const v2 = [
+    ...V1_FIELDS.filter(f => f.name !== 'notes'),
+    { name: 'bottles', type: 'number' },
+    { name: 'bottled', type: 'date' },
+    { name: 'organic', type: 'boolean' },
+    { name: 'importer', type: 'address' }
+  ];
+
+  // Removed fields are dropped, new ones get their zero value, and every
+  // value comes back as text, normalised
+  assert.deepEqual(migrateFieldValues(V1_FIELDS, v2, V1_VALUES), {
+    variety: 'Nebbiolo',
+    vintage: '2019',
+    owner: CHECKSUMMED,
+    bottles: '0',
+    bottled: '',
+    organic: 'false',
+    importer: ZERO_ADDRESS
+  });
+});
+
+test('follows the from and value rules of a migration', () => {
+  const v2 = [
+    { name: 'grape', type: 'text', required: true },
+    { name: 'vintage', type: 'number' },
+    { name: 'region', type: 'text', required: true },
+    { name: 'owner', type: 'address' }
+  ];
+  const rules = {
+    grape: { from: 'variety' },
+    region: { value: 'Piemonte' },
+    // A fixed value wins over the field it would be taken from
+    owner: { from: 'owner', value: '' }
+  };
+
+  assert.deepEqual(migrateFieldValues(V1_FIELDS, v2, V1_VALUES, rules), {
+    grape: 'Nebbiolo',
+    vintage: '2019',
+    region: 'Piemonte',
+    owner: ZERO_ADDRESS
+  });
+
+  assert.throws(() => migrateFieldValues(V1_FIELDS, v2, V1_VALUES, { ...rules, grape: { from: 'grape' } }),
+    /^Error: Invalid migration rule for grape: the old version has no field grape$/);
+});
+
+test('refuses migrations that leave values invalid for the new version', () => {
+  const v2 = [
+    { name: 'variety', type: 'text', required: true },
+    { name: 'vintage', type: 'number' },
+    { name: 'region', type: 'text', required: true }
+  ];
+
+  // A text that is no number, and a new required field without a rule
+  assert.throws(() => migrateFieldValues(V1_FIELDS, v2, { ...V1_VALUES, vintage: 'old vine' }),
+    /^Error: Invalid field values:\n {2}vintage \(number\): "old vine" is not a whole number of 0 or more\n {2}region \(text\): is required$/);
+});
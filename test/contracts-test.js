@@ -0,0 +1,124 @@
+/**
+ * Tests of chain/contracts.js: deployments, metered runs that use the same
+ * gas every time, running out of gas, reverts, storage and the globals a
+ * contract cannot reach.
+ *
+ * Run with: node --test test/contracts-test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const abi = require('../lib/abi');
+const { encodeDeployment, decodeDeployment, runContract } = require('../chain/contracts');
+
+// The gas costs of bin/iperchain-node.js that contracts use
+const COSTS = {
+  step: 20,
+  builtinItem: 1,
+  storageRead: 2100,
+  storageWrite: 20000,
+  storageUpdate: 5000,
+  hash: 30,
+  hashWord: 6,
+  abiWord: 3,
+  log: 375,
+  logTopic: 375,
+  logDataByte: 8
+};
+
+const ADDRESS = '0x' + '22'.repeat(20);
+const SENDER = '0x' + '11'.repeat(20);
+
+function call(code, { storage = {}, data = '0x', gas = 1000000 } = {}) {
+  return runContract(code, 'call', { address: ADDRESS, storage, msg: { sender: SENDER, value: '0x0', data }, gasAvailable: gas, costs: COSTS });
+}
+
+// Contract returning the sum of 0..n-1, n being its uint256 call data
+const SUM_CODE = `exports.call = msg => {
+  const n = abi.decode(['uint256'], msg.data)[0];
+  let sum = 0n;
+  for (let i = 0n; i < n; i++) {
+    sum += i;
+  }
+  return abi.encode(['uint256'], [sum]);
+};`;
+
+test('encodes and decodes deployments', () => {
+  const input = encodeDeployment('exports.call = () => "0x";', '0x1234');
+
+  assert.deepEqual(decodeDeployment(input), { code: 'exports.call = () => "0x";', input: '0x1234' });
+  assert.equal(decodeDeployment('0x' + Buffer.from('WINE_BATCH:{}').toString('hex')), null);
+});
+
+test('charges the same gas for the same run, and more for more steps', () => {
+  const data = n => abi.encode(['uint256'], [n]);
+  const first = call(SUM_CODE, { data: data(100) });
+  const second = call(SUM_CODE, { data: data(100) });
+  const longer = call(SUM_CODE, { data: data(200) });
+
+  assert.deepEqual(abi.decode(['uint256'], first.returnData), [4950n]);
+  assert.equal(first.gasUsed, second.gasUsed);
+  assert.ok(longer.gasUsed >= first.gasUsed + 100 * COSTS.step);
+});
+
+test('stops a contract that loops forever', () => {
+  assert.throws(() => call('exports.call = () => { while (true) {} };'), /out of gas/);
+
+  // Catching the error does not give the gas back
+  assert.throws(() => call('exports.call = () => { try { while (true) {} } catch (e) {} return "0x"; };'), /out of gas/);
+});
+
+test('charges built-in functions for their work', () => {
+  assert.throws(() => call('exports.call = () => { "x".repeat(1e7); return "0x"; };'), /out of gas/);
+  assert.throws(() => call('exports.call = () => { new Array(1e7).fill(0); return "0x"; };'), /out of gas/);
+});
+
+test('fails with the reason of a revert', () => {
+  assert.throws(() => call('exports.call = () => revert("only the creator can change it");'), /^Error: only the creator can change it$/);
+});
+
+test('keeps storage between runs', () => {
+  const storage = {};
+  const code = `exports.call = msg => {
+    if (msg.data === '0x') {
+      return abi.encode(['uint256'], [BigInt(storage.get(1))]);
+    }
+    storage.set(1, msg.data);
+    storage.setBytes(2, '0x' + 'ab'.repeat(40));
+    return '0x';
+  };`;
+
+  call(code, { storage, data: '0x' + '00'.repeat(31) + '2a' });
+  assert.deepEqual(abi.decode(['uint256'], call(code, { storage }).returnData), [42n]);
+  // Slot 1, and the 40 bytes as in Solidity: their length in slot 2 and two words of data
+  assert.equal(Object.keys(storage).length, 1 + 1 + 2);
+});
+
+test('gives contracts no time, randomness or regular expressions', () => {
+  const result = call(`exports.call = () => abi.encode(['bool[]'], [[
+    typeof Date === 'undefined',
+    typeof Intl === 'undefined',
+    Math.random === undefined,
+    typeof RegExp === 'undefined',
+    typeof WebAssembly === 'undefined',
+    ''.localeCompare === undefined
+  ]]);`);
+
+  assert.deepEqual(abi.decode(['bool[]'], result.returnData), [[true, true, true, true, true, true]]);
+  assert.throws(() => call('exports.call = () => eval("1");'), /code generation from strings disallowed|not allowed/i);
+});
+
+test('gives contracts no way out to the node', () => {
+  // The constructors of the global object and of the contract's own functions
+  // are those of the context, which cannot compile strings
+  const escapes = [
+    'globalThis.constructor.constructor("return process")()',
+    '(() => {}).constructor("return process")()',
+    'Object.getPrototypeOf(globalThis).constructor.constructor("return process")()',
+    'storage.get.constructor("return process")()'
+  ];
+
+  escapes.forEach(escape => {
+    assert.throws(() => call(`exports.call = () => { ${escape}; return '0x'; };`), /Code generation from strings disallowed/);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests of chain/finality.js: the quorum of votes that makes a block final,
+ * and the commit certificates nodes accept, which must hold a quorum of
+ * distinct authorities that really signed the block.
+ *
+ * Run with: node --test test/finality-test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateAuthorityKey } = require('../chain/authority');
+const { createVote, FinalityTracker } = require('../chain/finality');
+
+const AUTHORITIES = ['0xaa', '0xbb', '0xcc', '0xdd'].map(prefix => prefix + '00'.repeat(19));
+const KEYS = AUTHORITIES.map(address => generateAuthorityKey(address));
+const REGISTRY = Object.fromEntries(KEYS.map(key => [key.address, key.publicKey]));
+
+const BLOCK = { number: '0x5', hash: '0x' + 'ab'.repeat(32) };
+const OTHER_BLOCK = { number: '0x5', hash: '0x' + 'cd'.repeat(32) };
+
+function createTracker() {
+  return new FinalityTracker(AUTHORITIES, REGISTRY);
+}
+
+// Certificate entry of a vote
+function certified({ voter, signature }) {
+  return { voter, signature };
+}
+
+test('needs the votes of more than two thirds of the authorities', () => {
+  const tracker = createTracker();
+  assert.equal(tracker.quorum, 3);
+
+  KEYS.slice(0, 2).forEach(key => assert.equal(tracker.addVote(createVote(BLOCK, key)), true));
+  assert.equal(tracker.hasQuorum(BLOCK.hash), false);
+
+  tracker.addVote(createVote(BLOCK, KEYS[2]));
+  assert.equal(tracker.hasQuorum(BLOCK.hash), true);
+  assert.equal(tracker.hasQuorum(OTHER_BLOCK.hash), false);
+});
+
+test('counts every authority once', () => {
+  const tracker = createTracker();
+  const vote = createVote(BLOCK, KEYS[0]);
+
+  tracker.addVote(vote);
+  tracker.addVote(vote);
+  tracker.addVote({ ...vote, voter: vote.voter.toUpperCase().replace('0X', '0x') });
+  tracker.addVote(createVote(BLOCK, KEYS[1]));
+
+  assert.equal(tracker.hasQuorum(BLOCK.hash), false);
+  assert.equal(tracker.getCertificate(BLOCK.hash).length, 2);
+});
+
+test('rejects votes that an authority did not sign for the block', () => {
+  const tracker = createTracker();
+  const outsider = generateAuthorityKey('0x' + 'ee'.repeat(20));
+
+  // Not an authority, signed by another authority, or signed for another block
+  assert.equal(tracker.addVote(createVote(BLOCK, outsider)), false);
+  assert.equal(tracker.addVote({ ...createVote(BLOCK, KEYS[1]), voter: KEYS[0].address }), false);
+  assert.equal(tracker.addVote({ ...createVote(OTHER_BLOCK, KEYS[0]), blockHash: BLOCK.hash }), false);
+  assert.equal(tracker.addVote({ ...createVote(BLOCK, KEYS[0]), voter: null }), false);
+
+  assert.deepEqual(tracker.getCertificate(BLOCK.hash), []);
+});
+
+test('accepts the certificate of a quorum', () => {
+  const tracker = createTracker();
+  KEYS.slice(0, 3).forEach(key => tracker.addVote(createVote(BLOCK, key)));
+
+  const certificate = tracker.getCertificate(BLOCK.hash);
+
+  // Verified by another node, which did not see the votes
+  assert.equal(createTracker().verifyCertificate(BLOCK.number, BLOCK.hash, certificate), true);
+  assert.equal(createTracker().verifyCertificate(OTHER_BLOCK.number, OTHER_BLOCK.hash, certificate), false);
+});
+
+test('rejects certificates with duplicate or forged voters', () => {
+  const tracker = createTracker();
+  const votes = KEYS.map(key => certified(createVote(BLOCK, key)));
+
+  // One authority three times, also in another case
+  const duplicated = [votes[0], votes[0], { ...votes[0], voter: votes[0].voter.toUpperCase().replace('0X', '0x') }];
+  assert.equal(tracker.verifyCertificate(BLOCK.number, BLOCK.hash, duplicated), false);
+
+  // Two real votes, and the signature of one of them given for a third authority
+  const forged = [votes[0], votes[1], { voter: KEYS[2].address, signature: votes[1].signature }];
+  assert.equal(tracker.verifyCertificate(BLOCK.number, BLOCK.hash, forged), false);
+
+  // Two real votes, and one of an outsider
+  const outsider = generateAuthorityKey('0x' + 'ee'.repeat(20));
+  const withOutsider = [votes[0], votes[1], certified(createVote(BLOCK, outsider))];
+  assert.equal(tracker.verifyCertificate(BLOCK.number, BLOCK.hash, withOutsider), false);
+
+  // Invalid votes do not spoil a quorum of valid ones
+  assert.equal(tracker.verifyCertificate(BLOCK.number, BLOCK.hash, [...forged, votes[3]]), true);
+});
+
+test('rejects malformed certificates', () => {
+  const tracker = createTracker();
+  const votes = KEYS.slice(0, 3).map(key => certified(createVote(BLOCK, key)));
+
+  assert.equal(tracker.verifyCertificate(BLOCK.number, BLOCK.hash, null), false);
+  assert.equal(tracker.verifyCertificate(BLOCK.number, BLOCK.hash, { 0: votes[0] }), false);
+  assert.equal(tracker.verifyCertificate(BLOCK.number, BLOCK.hash, [...votes, null]), false);
+  assert.equal(tracker.verifyCertificate(BLOCK.number, BLOCK.hash, [...votes, { voter: KEYS[3].address, signature: 42 }]), false);
+});
+
+test('forgets the votes of finalized heights', () => {
+  const tracker = createTracker();
+  const next = { number: '0x6', hash: '0x' + 'ef'.repeat(32) };
+
+  tracker.addVote(createVote(BLOCK, KEYS[0]));
+  tracker.addVote(createVote(next, KEYS[0]));
+  tracker.prune(5);
+
+  assert.deepEqual(tracker.getCertificate(BLOCK.hash), []);
+  assert.equal(tracker.getCertificate(next.hash).length, 1);
+});
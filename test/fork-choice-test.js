@@ -0,0 +1,131 @@
+/**
+ * Tests of chain/fork-choice.js: the weight of in-turn and out-of-turn
+ * blocks, the choice between competing branches, the final block that no
+ * branch may leave, and the transactions a reorganisation gives back to the
+ * transaction pool.
+ *
+ * Run with: node --test test/fork-choice-test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getProposerSlot,
+  getBlockDifficulty,
+  descendsFrom,
+  selectBestHead,
+  findReorg,
+  orphanedTransactions
+} = require('../chain/fork-choice');
+
+const AUTHORITIES = ['0xaa', '0xbb', '0xcc', '0xdd'].map(prefix => prefix + '00'.repeat(19));
+
+// A chain being built: the block index, the canonical blocks and the tips
+function createTree() {
+  const genesis = { number: '0x0', hash: '0x00', parentHash: '0x' + '0'.repeat(64), totalDifficulty: '0x1', transactions: [] };
+  return { blockIndex: { [genesis.hash]: genesis }, blocks: [genesis], genesis };
+}
+
+// Add a child of `parent` proposed by the authority of index `miner`, weighed
+// as validateBlock() weighs it
+function addBlock(tree, parent, hash, miner, transactions = []) {
+  const number = Number(parent.number) + 1;
+  const difficulty = getBlockDifficulty(getProposerSlot(AUTHORITIES, AUTHORITIES[miner], number));
+  const block = {
+    number: '0x' + number.toString(16),
+    hash,
+    parentHash: parent.hash,
+    miner: AUTHORITIES[miner],
+    totalDifficulty: '0x' + (Number(parent.totalDifficulty) + difficulty).toString(16),
+    transactions: transactions.map(tx => ({ ...tx, blockHash: hash, blockNumber: '0x' + number.toString(16) }))
+  };
+
+  tree.blockIndex[hash] = block;
+  return block;
+}
+
+// Tips of a tree: the blocks without children
+function tips(tree) {
+  const parents = new Set(Object.values(tree.blockIndex).map(block => block.parentHash));
+  return Object.keys(tree.blockIndex).filter(hash => !parents.has(hash));
+}
+
+const GENESIS_FINAL = { number: 0, hash: '0x00' };
+
+test('weighs blocks proposed in turn more than backup blocks', () => {
+  // Block 1 is the turn of the second authority
+  assert.equal(getProposerSlot(AUTHORITIES, AUTHORITIES[1], 1), 0);
+  assert.equal(getProposerSlot(AUTHORITIES, AUTHORITIES[2], 1), 1);
+  assert.equal(getProposerSlot(AUTHORITIES, AUTHORITIES[0], 1), 3);
+  assert.equal(getProposerSlot(AUTHORITIES, AUTHORITIES[1].toUpperCase().replace('0X', '0x'), 5), 0);
+
+  assert.equal(getBlockDifficulty(0), 2);
+  assert.equal(getBlockDifficulty(1), 1);
+  assert.equal(getBlockDifficulty(3), 1);
+});
+
+test('follows the heavier of two competing branches, not the longer', () => {
+  const tree = createTree();
+
+  // Three backup blocks (weight 3) against two blocks proposed in turn (weight 4)
+  const a1 = addBlock(tree, tree.genesis, '0xa1', 0);
+  const a2 = addBlock(tree, a1, '0xa2', 0);
+  const a3 = addBlock(tree, a2, '0xa3', 0);
+  const b1 = addBlock(tree, tree.genesis, '0xb1', 1);
+  const b2 = addBlock(tree, b1, '0xb2', 2);
+
+  assert.equal(Number(a3.totalDifficulty), 4);
+  assert.equal(Number(b2.totalDifficulty), 5);
+  assert.equal(selectBestHead(tree.blockIndex, a3, tips(tree), GENESIS_FINAL), b2);
+  assert.equal(selectBestHead(tree.blockIndex, b2, tips(tree), GENESIS_FINAL), b2);
+});
+
+test('keeps the head when a competing branch weighs the same', () => {
+  const tree = createTree();
+  const a1 = addBlock(tree, tree.genesis, '0xa1', 1);
+  const b1 = addBlock(tree, tree.genesis, '0xb1', 1);
+
+  assert.equal(selectBestHead(tree.blockIndex, a1, tips(tree), GENESIS_FINAL), a1);
+  assert.equal(selectBestHead(tree.blockIndex, b1, tips(tree), GENESIS_FINAL), b1);
+});
+
+test('never leaves the final block for a heavier branch', () => {
+  const tree = createTree();
+  const a1 = addBlock(tree, tree.genesis, '0xa1', 0);
+  const b1 = addBlock(tree, tree.genesis, '0xb1', 1);
+  const b2 = addBlock(tree, b1, '0xb2', 2);
+  const finalized = { number: 1, hash: a1.hash };
+
+  assert.equal(descendsFrom(tree.blockIndex, b2, finalized), false);
+  assert.equal(selectBestHead(tree.blockIndex, a1, tips(tree), finalized), a1);
+
+  // A branch built on the final block can still take over
+  const a2 = addBlock(tree, a1, '0xa2', 2);
+  const a3 = addBlock(tree, a2, '0xa3', 3);
+  assert.equal(descendsFrom(tree.blockIndex, a3, finalized), true);
+  assert.equal(selectBestHead(tree.blockIndex, a1, tips(tree), finalized), a3);
+});
+
+test('gives the transactions of the reverted blocks back to the pool', () => {
+  const tree = createTree();
+  const tx1 = { hash: '0xt1', nonce: '0x0' };
+  const tx2 = { hash: '0xt2', nonce: '0x1' };
+  const tx3 = { hash: '0xt3', nonce: '0x2' };
+
+  const a1 = addBlock(tree, tree.genesis, '0xa1', 0, [tx1, tx2]);
+  const a2 = addBlock(tree, a1, '0xa2', 0, [tx3]);
+  tree.blocks.push(a1, a2);
+
+  // The new branch includes tx2 again, but not tx1 and tx3
+  const b1 = addBlock(tree, tree.genesis, '0xb1', 1, [tx2]);
+  const b2 = addBlock(tree, b1, '0xb2', 2);
+
+  const { ancestor, reverted, connected } = findReorg(tree.blocks, tree.blockIndex, b2);
+
+  assert.equal(ancestor, tree.genesis);
+  assert.deepEqual(reverted.map(block => block.hash), ['0xa1', '0xa2']);
+  assert.deepEqual(connected.map(block => block.hash), ['0xb1', '0xb2']);
+
+  // Without the fields of their inclusion in the old branch
+  assert.deepEqual(orphanedTransactions(reverted, connected), [tx1, tx3]);
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests of chain/mempool.js: pending and queued transactions, the order
+ * blocks take them in, replacements, the limits of the pool and what it
+ * drops once nonces are used on chain.
+ *
+ * Run with: node --test test/mempool-test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TxPool = require('../chain/mempool');
+
+const ALICE = '0x' + 'a1'.repeat(20);
+const BOB = '0x' + 'b0'.repeat(20);
+
+// A pool over account nonces that the test changes as blocks would
+function createPool(options = {}) {
+  const nonces = {};
+  const pool = new TxPool(address => nonces[address.toLowerCase()] || 0, options);
+  return { pool, nonces };
+}
+
+function tx(from, nonce, gasPrice = 1000, tag = '') {
+  return { hash: `0x${from.slice(2, 6)}${nonce}${tag}`, from, nonce: '0x' + nonce.toString(16), gasPrice: '0x' + gasPrice.toString(16) };
+}
+
+const hashes = txs => txs.map(t => t.hash);
+
+test('queues transactions until the nonces before them arrive', () => {
+  const { pool } = createPool();
+
+  assert.equal(pool.add(tx(ALICE, 0)), 'pending');
+  assert.equal(pool.add(tx(ALICE, 2)), 'queued');
+  assert.equal(pool.add(tx(ALICE, 3)), 'queued');
+  assert.deepEqual(pool.status(), { pending: 1, queued: 2 });
+  assert.equal(pool.nextNonce(ALICE), 1);
+
+  // Nonce 1 fills the gap: 2 and 3 become pending too
+  assert.equal(pool.add(tx(ALICE, 1)), 'pending');
+  assert.deepEqual(pool.status(), { pending: 4, queued: 0 });
+  assert.equal(pool.nextNonce(ALICE), 4);
+  assert.deepEqual(hashes(pool.pending()), [tx(ALICE, 0), tx(ALICE, 1), tx(ALICE, 2), tx(ALICE, 3)].map(t => t.hash));
+});
+
+test('gives blocks the transactions by nonce, and by arrival across senders', () => {
+  const { pool } = createPool();
+
+  pool.add(tx(ALICE, 1));
+  pool.add(tx(BOB, 0));
+  pool.add(tx(ALICE, 0));
+  pool.add(tx(BOB, 1));
+
+  assert.deepEqual(hashes(pool.pending()), [tx(BOB, 0), tx(ALICE, 0), tx(ALICE, 1), tx(BOB, 1)].map(t => t.hash));
+  assert.deepEqual(hashes(pool.pending(2)), [tx(BOB, 0), tx(ALICE, 0)].map(t => t.hash));
+});
+
+test('replaces a transaction only for a high enough gas price', () => {
+  const { pool } = createPool();
+  pool.add(tx(ALICE, 0, 1000));
+  pool.add(tx(BOB, 0, 1000));
+
+  assert.throws(() => pool.add(tx(ALICE, 0, 1099, 'b')), /replacement transaction underpriced: gas price must be at least 1100/);
+  assert.equal(pool.add(tx(ALICE, 0, 1100, 'c')), 'replaced');
+
+  assert.equal(pool.has(tx(ALICE, 0).hash), false);
+  assert.equal(pool.get(tx(ALICE, 0, 1100, 'c').hash).gasPrice, '0x44c');
+  assert.equal(pool.size, 2);
+
+  // The replacement keeps the place of the transaction it replaced
+  assert.deepEqual(hashes(pool.pending()), [tx(ALICE, 0, 1100, 'c').hash, tx(BOB, 0).hash]);
+});
+
+test('refuses known, underpriced and already used transactions', () => {
+  const { pool, nonces } = createPool({ minGasPrice: 1000 });
+  nonces[ALICE] = 3;
+
+  pool.add(tx(ALICE, 3));
+  assert.throws(() => pool.add(tx(ALICE, 3)), /already known/);
+  assert.throws(() => pool.add(tx(ALICE, 4, 999)), /transaction underpriced: gas price must be at least 1000/);
+  assert.throws(() => pool.add(tx(ALICE, 2)), /nonce too low: next nonce 3, transaction nonce 2/);
+});
+
+test('limits the transactions of an account and of the whole pool', () => {
+  const { pool } = createPool({ maxPerAccount: 2, maxSize: 3 });
+
+  pool.add(tx(ALICE, 0));
+  pool.add(tx(ALICE, 5));
+  assert.throws(() => pool.add(tx(ALICE, 1)), /account limit reached/);
+
+  pool.add(tx(BOB, 0));
+  assert.throws(() => pool.add(tx(BOB, 1)), /transaction pool is full/);
+
+  // Replacements do not take more room
+  assert.equal(pool.add(tx(ALICE, 5, 2000, 'b')), 'replaced');
+  assert.equal(pool.add(tx(BOB, 0, 2000, 'b')), 'replaced');
+});
+
+test('drops the transactions whose nonces were used on chain', () => {
+  const { pool, nonces } = createPool();
+
+  [0, 1, 2].forEach(nonce => pool.add(tx(ALICE, nonce)));
+  pool.add(tx(BOB, 0));
+
+  // A block includes nonces 0 and 1 of Alice and nonce 0 of Bob
+  nonces[ALICE] = 2;
+  nonces[BOB] = 1;
+  pool.prune();
+
+  assert.deepEqual(hashes(pool.pending()), [tx(ALICE, 2).hash]);
+  assert.equal(pool.has(tx(BOB, 0).hash), false);
+  assert.equal(pool.nextNonce(BOB), 1);
+  assert.deepEqual(pool.content().pending, { [ALICE]: { 2: tx(ALICE, 2) } });
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests of chain/metering.js: where the rewriter inserts steps, the code it
+ * leaves alone and the constructs it rejects.
+ *
+ * Run with: node --test test/metering-test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { instrument } = require('../chain/metering');
+
+// Source without whitespace, so that the tests do not depend on the spacing of the rewriter
+function compact(source) {
+  return source.replace(/\s+/g, '');
+}
+
+function assertInstruments(source, expected) {
+  assert.equal(compact(instrument(source)), compact(expected));
+}
+
+test('meters every loop iteration', () => {
+  assertInstruments('while (i < 3) { i++; }', 'while (__iperchain.step() && (i < 3)) { i++; }');
+  assertInstruments('do { i++; } while (i < 3);', 'do { i++; } while (__iperchain.step() && (i < 3));');
+  assertInstruments('for (let i = 0; i < 3; i++) f(i);', 'for (let i = 0; __iperchain.step() && (i < 3); i++) f(i);');
+  assertInstruments('for (;;) { f(); }', 'for (; __iperchain.step(); ) { f(); }');
+  assertInstruments('for (const x of xs) { f(x); }', 'for (const x of __iperchain.iterate(xs)) { f(x); }');
+  assertInstruments('for (const k in o) { f(k); }', 'for (const k of __iperchain.keys(o)) { f(k); }');
+});
+
+test('meters every function call', () => {
+  assertInstruments('function f(a) { return a; }', 'function f(a) { __iperchain.step(); return a; }');
+  assertInstruments('const g = a => a + 1;', 'const g = a => (__iperchain.step(), a + 1);');
+  assertInstruments('const h = (a, b) => { return a; };', 'const h = (a, b) => { __iperchain.step(); return a; };');
+  assertInstruments('const o = { m() { return 1; } };', 'const o = { m() { __iperchain.step(); return 1; } };');
+});
+
+test('leaves strings, comments and division alone', () => {
+  const source = 'const s = "while (x) /a/"; // for (;;)\nconst t = `function ${s}`; const r = 4 / 2 / 1;';
+  assert.equal(instrument(source), source);
+});
+
+test('rejects the constructs it cannot meter safely', () => {
+  assert.throws(() => instrument('x = /a/.test(y);'), /regular expression literals are not supported \(line 1\)/);
+  assert.throws(() => instrument('with (o) {}'), /with statements are not supported/);
+  assert.throws(() => instrument('async function f() { for await (const x of xs) {} }'), /for await loops are not supported/);
+  assert.throws(() => instrument('a <!-- b'), /HTML comments are not supported/);
+  assert.throws(() => instrument('const \\u0061 = 1;'), /escapes in identifiers are not supported/);
+  assert.throws(() => instrument('\n__iperchain.step = () => true;'), /identifiers starting with __iperchain are reserved \(line 2\)/);
+  assert.throws(() => instrument('f((1);'), /unclosed bracket/);
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests of chain/rlp.js: encodings from the Ethereum RLP specification,
+ * round trips, and the non-canonical inputs that decoding rejects.
+ *
+ * Run with: node --test test/rlp-test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rlp = require('../chain/rlp');
+
+function hex(buffer) {
+  return buffer.toString('hex');
+}
+
+test('encodes the examples of the specification', () => {
+  assert.equal(hex(rlp.encode(Buffer.from('dog'))), '83646f67');
+  assert.equal(hex(rlp.encode([Buffer.from('cat'), Buffer.from('dog')])), 'c88363617483646f67');
+  assert.equal(hex(rlp.encode(Buffer.alloc(0))), '80');
+  assert.equal(hex(rlp.encode([])), 'c0');
+  assert.equal(hex(rlp.encode(Buffer.from([0x0f]))), '0f');
+  assert.equal(hex(rlp.encode(Buffer.from([0x04, 0x00]))), '820400');
+  assert.equal(hex(rlp.encode([[], [[]], [[], [[]]]])), 'c7c0c1c0c3c0c1c0');
+});
+
+test('uses a length of length for items of 56 bytes or more', () => {
+  const text = Buffer.from('Lorem ipsum dolor sit amet, consectetur adipisicing elit');
+
+  assert.equal(text.length, 56);
+  assert.equal(hex(rlp.encode(text).slice(0, 2)), 'b838');
+  assert.deepEqual(rlp.decode(rlp.encode(text)), text);
+});
+
+test('decodes what it encodes', () => {
+  const item = [
+    Buffer.from('wine'),
+    [Buffer.alloc(0), Buffer.from([0x7f]), Buffer.from([0x80])],
+    Buffer.alloc(1024, 0xab),
+    [[Buffer.from('nested')]]
+  ];
+
+  assert.deepEqual(rlp.decode(rlp.encode(item)), item);
+});
+
+test('rejects non-canonical and truncated input', () => {
+  assert.throws(() => rlp.decode(Buffer.from('8100', 'hex')), /non-canonical single byte/);
+  assert.throws(() => rlp.decode(Buffer.from('b80100', 'hex')), /non-canonical length/);
+  assert.throws(() => rlp.decode(Buffer.from('c3', 'hex')), /longer than input/);
+  assert.throws(() => rlp.decode(Buffer.from('8080', 'hex')), /trailing bytes/);
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests of chain/storage.js: what a node finds in its data directory after a
+ * restart. The canonical chain is read back from the head, and the blocks of
+ * the other branches above the latest final block come back too, so that the
+ * fork choice can still switch to them.
+ *
+ * Run with: node --test test/storage-test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChainStore = require('../chain/storage');
+
+// A store in a new temporary data directory, removed after the test
+function openStore(t) {
+  const datadir = fs.mkdtempSync(path.join(os.tmpdir(), 'iperchain-storage-'));
+  t.after(() => fs.rmSync(datadir, { recursive: true, force: true }));
+
+  const store = new ChainStore(datadir);
+  store.open();
+  return store;
+}
+
+function block(number, hash, parentHash, transactions = []) {
+  return { number: '0x' + number.toString(16), hash, parentHash, transactions };
+}
+
+// Genesis, the canonical chain 0xa1 <- 0xa2 <- 0xa3, and the other branch
+// 0xb1 <- 0xb2 that forks after genesis
+function saveForkedChain(store, finalized = { number: 0, hash: '0x00' }) {
+  const tx = { hash: '0xt1' };
+
+  store.saveBlock(block(0, '0x00', '0x' + '0'.repeat(64)), []);
+  store.saveBlock(block(1, '0xa1', '0x00', [tx]), [{ transactionHash: tx.hash, status: '0x1' }]);
+  store.saveBlock(block(2, '0xa2', '0xa1'), []);
+  store.saveBlock(block(3, '0xa3', '0xa2'), []);
+  store.saveBlock(block(1, '0xb1', '0x00'), []);
+  store.saveBlock(block(2, '0xb2', '0xb1'), []);
+  store.saveState({ headHash: '0xa3', finalized, accounts: { '0x01': { balance: '5', nonce: 1 } }, contracts: {} });
+}
+
+test('finds no chain in a new data directory', t => {
+  assert.equal(openStore(t).load(), null);
+});
+
+test('reads the canonical chain back from the head', t => {
+  const store = openStore(t);
+  saveForkedChain(store);
+
+  const saved = store.load();
+
+  assert.deepEqual(saved.blocks.map(b => b.hash), ['0x00', '0xa1', '0xa2', '0xa3']);
+  assert.deepEqual(saved.receipts, { '0xt1': { transactionHash: '0xt1', status: '0x1' } });
+  assert.deepEqual(saved.accounts, { '0x01': { balance: '5', nonce: 1 } });
+  assert.deepEqual(saved.finalized, { number: 0, hash: '0x00' });
+});
+
+test('keeps the blocks of the other branches across a restart', t => {
+  const store = openStore(t);
+  saveForkedChain(store);
+
+  // A new store on the same directory, as after a restart
+  const saved = new ChainStore(store.datadir).load();
+
+  assert.deepEqual(saved.branches.map(b => b.hash), ['0xb1', '0xb2']);
+});
+
+test('leaves out the branches that can no longer become canonical', t => {
+  const store = openStore(t);
+  saveForkedChain(store, { number: 1, hash: '0xa1' });
+
+  // 0xb1 is at the height of the final block; 0xb2 is still stored but
+  // cannot join the chain, as its parent is not loaded
+  assert.deepEqual(store.load().branches.map(b => b.hash), ['0xb2']);
+
+  store.deleteBlock('0xb1');
+  store.deleteBlock('0xb2');
+  assert.deepEqual(store.load().branches, []);
+});
+
+test('fails when a block of the chain is missing', t => {
+  const store = openStore(t);
+  saveForkedChain(store);
+
+  store.deleteBlock('0xa2');
+  assert.throws(() => store.load(), /Block 0xa2 is referenced by the chain but missing/);
+});
+
+test('drops the leftovers of interrupted writes when it opens', t => {
+  const store = openStore(t);
+  const leftover = path.join(store.blocksDir, '0xa1.json.1234.tmp');
+  fs.writeFileSync(leftover, '{"block":');
+
+  store.open();
+  assert.equal(fs.existsSync(leftover), false);
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests of chain/transaction.js: signing legacy (EIP-155) and EIP-1559
+ * transactions, decoding them and recovering their sender, and rejecting
+ * transactions that were tampered with or signed for another chain.
+ *
+ * Run with: node --test test/transaction-test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rlp = require('../chain/rlp');
+const {
+  CHAIN_ID,
+  decodeRawTransaction,
+  verifyTransaction,
+  signTransaction,
+  privateKeyToAddress
+} = require('../chain/transaction');
+
+const PRIVATE_KEY = '0x' + '46'.repeat(32);
+const ADDRESS = '0x9d8a62f656a8d1615c1294fd71e9cfb3e4855a4f';
+const RECIPIENT = '0x' + '35'.repeat(20);
+
+test('derives the address of a private key', () => {
+  assert.equal(privateKeyToAddress(PRIVATE_KEY), ADDRESS);
+});
+
+test('signs the EIP-155 example transaction', () => {
+  // The example of EIP-155, signed for chain ID 1
+  const raw = signTransaction({
+    chainId: 1,
+    nonce: 9,
+    gasPrice: 20000000000n,
+    gas: 21000,
+    to: RECIPIENT,
+    value: 1000000000000000000n
+  }, PRIVATE_KEY);
+
+  assert.equal(raw, '0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a7640000' +
+    '8025a028ef61340bd939bc2195fe537567866003e1a15d3c71ff63e1590620aa636276a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83');
+});
+
+test('recovers the sender of a legacy transaction', () => {
+  const tx = decodeRawTransaction(signTransaction({
+    nonce: 3,
+    gasPrice: 1000,
+    gas: 50000,
+    to: RECIPIENT,
+    value: 7,
+    data: '0xc0ffee'
+  }, PRIVATE_KEY));
+
+  assert.equal(tx.type, '0x0');
+  assert.equal(Number(tx.chainId), CHAIN_ID);
+  assert.ok([CHAIN_ID * 2 + 35, CHAIN_ID * 2 + 36].includes(Number(tx.v)));
+  assert.equal(tx.from, ADDRESS);
+  assert.equal(tx.to, RECIPIENT);
+  assert.equal(Number(tx.nonce), 3);
+  assert.equal(Number(tx.value), 7);
+  assert.equal(tx.input, '0xc0ffee');
+  assert.ok(verifyTransaction(tx));
+});
+
+test('recovers the sender of an EIP-1559 transaction', () => {
+  const tx = decodeRawTransaction(signTransaction({
+    nonce: 0,
+    maxFeePerGas: 2000,
+    maxPriorityFeePerGas: 1000,
+    gas: 60000,
+    to: null,
+    data: '0x1234'
+  }, PRIVATE_KEY));
+
+  assert.equal(tx.type, '0x2');
+  assert.ok([0, 1].includes(Number(tx.v)));
+  assert.equal(tx.from, ADDRESS);
+  assert.equal(tx.to, null);
+  assert.equal(Number(tx.maxFeePerGas), 2000);
+  assert.equal(Number(tx.maxPriorityFeePerGas), 1000);
+  assert.deepEqual(tx.accessList, []);
+  assert.ok(verifyTransaction(tx));
+});
+
+test('does not verify a transaction changed after signing', () => {
+  const tx = decodeRawTransaction(signTransaction({ nonce: 1, gasPrice: 1, gas: 21000, to: RECIPIENT, value: 1 }, PRIVATE_KEY));
+
+  assert.equal(verifyTransaction({ ...tx, value: '0x2' }), false);
+  assert.equal(verifyTransaction({ ...tx, from: '0x' + '11'.repeat(20) }), false);
+});
+
+test('rejects transactions of another chain and without replay protection', () => {
+  const otherChain = signTransaction({ chainId: 1, nonce: 0, gasPrice: 1, gas: 21000, to: RECIPIENT }, PRIVATE_KEY);
+  assert.throws(() => decodeRawTransaction(otherChain), /invalid chain ID 0x1/);
+
+  // The signature of EIP-155's example with v = 27: the chain ID is not signed
+  const unprotected = '0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a7640000' +
+    '801ba028ef61340bd939bc2195fe537567866003e1a15d3c71ff63e1590620aa636276a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83';
+  assert.throws(() => decodeRawTransaction(unprotected), /not replay-protected/);
+});
+
+test('decodes access lists and rejects malformed ones', () => {
+  const accessList = [{ address: RECIPIENT, storageKeys: ['0x' + '22'.repeat(32)] }];
+  const signed = decodeRawTransaction(signTransaction({ nonce: 0, maxFeePerGas: 1, maxPriorityFeePerGas: 1, gas: 30000, to: RECIPIENT, accessList }, PRIVATE_KEY));
+  assert.deepEqual(signed.accessList, accessList);
+
+  // An EIP-1559 transaction whose access list is the given RLP item; it is
+  // rejected before its (empty) signature is checked
+  const withAccessList = accessList => '0x02' + rlp.encode([
+    Buffer.from([0x05, 0x39]), Buffer.alloc(0), Buffer.from([1]), Buffer.from([1]), Buffer.from([0x52, 0x08]),
+    Buffer.from(RECIPIENT.slice(2), 'hex'), Buffer.alloc(0), Buffer.alloc(0),
+    accessList, Buffer.alloc(0), Buffer.alloc(0), Buffer.alloc(0)
+  ]).toString('hex');
+  const address = Buffer.alloc(20, 0x11);
+  const key = Buffer.alloc(32, 0x22);
+
+  assert.throws(() => decodeRawTransaction(withAccessList(Buffer.from('ab', 'hex'))), /^Error: invalid access list$/);
+  assert.throws(() => decodeRawTransaction(withAccessList([address])), /^Error: invalid access list$/);
+  assert.throws(() => decodeRawTransaction(withAccessList([[address, key]])), /^Error: invalid access list$/);
+  assert.throws(() => decodeRawTransaction(withAccessList([[Buffer.alloc(19), [key]]])), /^Error: invalid access list$/);
+  assert.throws(() => decodeRawTransaction(withAccessList([[address, [Buffer.alloc(31)]]])), /^Error: invalid access list$/);
+});